@@ -0,0 +1,246 @@
+import { Extension, combineTransactionSteps, getChangedRanges } from '@tiptap/core'
+import { Plugin, PluginKey, Selection } from '@tiptap/pm/state'
+import { SUPPORTED_BLOCK_TYPES } from '../utils/blockTypes'
+import { getOutline } from '../utils/outline'
+
+/**
+ * Block ID Extension
+ *
+ * Gives every block in SUPPORTED_BLOCK_TYPES a unique id attribute:
+ * - HTML: id="...", so blocks can be linked to; JSON: attrs.id
+ * - Ids stay with their block through edits and moves, splits keep the id on
+ *   the first part, and undo restores them
+ * - Headings keep their id when their text changes; in HTML the id goes in
+ *   data-block-id and id="..." is their outline anchor ("getting-started", see
+ *   getOutline), so the outline, table of contents and #slug links find them
+ * - Copies (duplicate, paste) get a new id; the block that was not touched keeps it
+ *
+ * Blocks are found by id with findBlockById, the focusBlock and updateBlockById
+ * commands, and the block operations that take a position (see BlockOperations).
+ */
+
+const blockIdKey = new PluginKey('blockId')
+
+/**
+ * Generate a random block id
+ *
+ * @returns {string} Id such as "b4fzyo82h"
+ */
+export function generateBlockId() {
+  return `b${Math.random().toString(36).slice(2, 10)}`
+}
+
+/**
+ * Find a block by id
+ *
+ * @param {Node} doc - The ProseMirror document
+ * @param {string} id - Block id
+ * @returns {{ node: Node, pos: number }|null} The block, or null when no block has the id
+ */
+export function findBlockById(doc, id) {
+  let found = null
+  if (!id) {
+    return found
+  }
+
+  doc.descendants((node, pos) => {
+    if (found) return false
+    if (node.attrs.id === id) {
+      found = { node, pos }
+      return false
+    }
+    return !node.isTextblock
+  })
+  return found
+}
+
+/**
+ * Build a transaction that gives the blocks in some ranges a unique id
+ *
+ * @param {EditorState} state - Editor state
+ * @param {Array<{from: number, to: number}>} ranges - Changed ranges
+ * @param {Object} options - { types, generateId }
+ * @returns {Transaction|null} The transaction, or null when every id is in place
+ */
+export function getBlockIdTransaction(state, ranges, { types, generateId }) {
+  const { doc, tr } = state
+  const changed = new Map()
+
+  ranges.forEach(({ from, to }) => {
+    doc.nodesBetween(from, to, (node, pos) => {
+      if (types.includes(node.type.name)) {
+        changed.set(pos, node)
+      }
+      return !node.isTextblock
+    })
+  })
+  if (!changed.size) {
+    return null
+  }
+
+  // Ids of untouched blocks are kept, so copies are the ones that change
+  const used = new Set()
+  doc.descendants((node, pos) => {
+    if (types.includes(node.type.name) && node.attrs.id && !changed.has(pos)) {
+      used.add(node.attrs.id)
+    }
+    return !node.isTextblock
+  })
+
+  Array.from(changed.entries())
+    .sort(([a], [b]) => a - b)
+    .forEach(([pos, node]) => {
+      let { id } = node.attrs
+      if (!id || used.has(id)) {
+        do {
+          id = generateId()
+        } while (used.has(id))
+      }
+
+      used.add(id)
+      if (id !== node.attrs.id) {
+        tr.setNodeMarkup(pos, undefined, { ...node.attrs, id })
+      }
+    })
+
+  return tr.docChanged ? tr : null
+}
+
+/**
+ * Give every heading its outline anchor (attrs.anchor)
+ *
+ * @param {Transaction} tr - Transaction to add the changes to
+ * @returns {Transaction} The transaction
+ */
+export function setHeadingAnchors(tr) {
+  getOutline(tr.doc).forEach(({ pos, anchor }) => {
+    const node = tr.doc.nodeAt(pos)
+    if (node.attrs.anchor !== anchor) {
+      tr.setNodeMarkup(pos, undefined, { ...node.attrs, anchor })
+    }
+  })
+  return tr
+}
+
+/**
+ * Build a transaction that puts block ids and heading anchors in place
+ */
+function getIdsTransaction(state, ranges, options) {
+  const tr = getBlockIdTransaction(state, ranges, options) || state.tr
+  if (options.types.includes('heading')) {
+    setHeadingAnchors(tr)
+  }
+  return tr.docChanged ? tr : null
+}
+
+export const BlockId = Extension.create({
+  name: 'blockId',
+
+  addOptions() {
+    return {
+      types: SUPPORTED_BLOCK_TYPES,
+      generateId: generateBlockId
+    }
+  },
+
+  addGlobalAttributes() {
+    return [
+      {
+        types: this.options.types.filter(type => type !== 'heading'),
+        attributes: {
+          id: {
+            default: null,
+            // Enter starts a new block with a new id
+            keepOnSplit: false,
+            parseHTML: element => element.getAttribute('id') || null,
+            renderHTML: attributes => (attributes.id ? { id: attributes.id } : {})
+          }
+        }
+      },
+      {
+        // Headings are linked to by their anchor, which follows the text
+        types: this.options.types.filter(type => type === 'heading'),
+        attributes: {
+          id: {
+            default: null,
+            keepOnSplit: false,
+            parseHTML: element => element.getAttribute('data-block-id') || null,
+            renderHTML: attributes => (attributes.id ? { 'data-block-id': attributes.id } : {})
+          },
+          anchor: {
+            default: null,
+            keepOnSplit: false,
+            // Computed from the document (see setHeadingAnchors)
+            parseHTML: () => null,
+            renderHTML: attributes => (attributes.anchor ? { id: attributes.anchor } : {})
+          }
+        }
+      }
+    ]
+  },
+
+  addCommands() {
+    return {
+      /**
+       * Put the cursor in a block and scroll it into view
+       *
+       * @param {string} id - Block id
+       */
+      focusBlock: id => ({ tr, dispatch }) => {
+        const block = findBlockById(tr.doc, id)
+        if (!block) return false
+
+        if (dispatch) {
+          tr.setSelection(Selection.near(tr.doc.resolve(block.pos + 1))).scrollIntoView()
+        }
+        return true
+      },
+
+      /**
+       * Update the attributes of a block; its id is kept
+       *
+       * @param {string} id - Block id
+       * @param {Object} attrs - Attributes to change
+       */
+      updateBlockById: (id, attrs) => ({ tr, dispatch }) => {
+        const block = findBlockById(tr.doc, id)
+        if (!block) return false
+
+        if (dispatch) {
+          tr.setNodeMarkup(block.pos, undefined, { ...block.node.attrs, ...attrs, id })
+        }
+        return true
+      }
+    }
+  },
+
+  // Content loaded before the editor existed has no ids yet
+  onCreate() {
+    const { state, view } = this.editor
+    const tr = getIdsTransaction(state, [{ from: 0, to: state.doc.content.size }], this.options)
+    if (tr) {
+      view.dispatch(tr.setMeta('addToHistory', false))
+    }
+  },
+
+  addProseMirrorPlugins() {
+    const options = this.options
+
+    return [
+      new Plugin({
+        key: blockIdKey,
+        appendTransaction: (transactions, oldState, newState) => {
+          if (!transactions.some(transaction => transaction.docChanged)) {
+            return null
+          }
+
+          const ranges = getChangedRanges(combineTransactionSteps(oldState.doc, transactions))
+            .map(({ newRange }) => newRange)
+          return getIdsTransaction(newState, ranges, options)
+        }
+      })
+    ]
+  }
+})
+
+export default BlockId
@@ -0,0 +1,194 @@
+import { describe, it, expect, afterEach } from 'vitest'
+import { Editor } from '@tiptap/core'
+import { closeHistory } from '@tiptap/pm/history'
+import NodeRange from '@tiptap/extension-node-range'
+import { getContentExtensions } from './contentExtensions'
+import { BlockId, findBlockById } from './blockIdExtension'
+import { BlockOperations, getCurrentBlockRange } from '../utils/blockOperations'
+import { getOutline } from '../utils/outline'
+import { toMarkdown } from '../utils/markdownConverter'
+
+/**
+ * Tests for block ids and heading anchors
+ */
+
+let editor = null
+
+function createEditor(content = '<p></p>') {
+  let count = 0
+  editor = new Editor({
+    extensions: [
+      ...getContentExtensions(),
+      NodeRange,
+      BlockOperations,
+      BlockId.configure({ generateId: () => `id${++count}` })
+    ],
+    content
+  })
+  return editor
+}
+
+/**
+ * Wait for the editor's create event
+ */
+function created() {
+  return new Promise(resolve => setTimeout(resolve, 0))
+}
+
+/**
+ * Start a new undo step
+ */
+function closeUndoGroup() {
+  editor.view.dispatch(closeHistory(editor.state.tr))
+}
+
+/**
+ * Ids of the top-level blocks
+ */
+function blockIds() {
+  return editor.getJSON().content.map(node => node.attrs?.id)
+}
+
+afterEach(() => {
+  editor?.destroy()
+  editor = null
+})
+
+describe('BlockId', () => {
+  it('gives loaded blocks ids, keeping unique existing ones', async () => {
+    createEditor('<p id="intro">A</p><p>B</p><p id="intro">C</p><ul><li><p>D</p></li></ul><p>E</p>')
+    await created()
+
+    expect(blockIds()).toEqual(['intro', 'id1', 'id2', 'id3', 'id6'])
+    expect(editor.getJSON().content[3].content[0].attrs.id).toBe('id4')
+  })
+
+  it('keeps heading ids when their text changes and gives them slug anchors', () => {
+    createEditor()
+    editor.commands.setContent('<h1>Getting Started!</h1><h2>Setup</h2><h2>Setup</h2><p id="end">End</p>')
+
+    expect(blockIds()).toEqual(['id1', 'id2', 'id3', 'end'])
+    expect(getOutline(editor.state.doc).map(item => item.anchor)).toEqual(['getting-started', 'setup', 'setup-1'])
+
+    editor.chain().setTextSelection(1).insertContent('Quick ').run()
+    expect(blockIds()[0]).toBe('id1')
+    expect(getOutline(editor.state.doc)[0].anchor).toBe('quick-getting-started')
+    expect(editor.getHTML()).toContain('<h1 data-block-id="id1" id="quick-getting-started">Quick Getting Started!</h1>')
+  })
+
+  it('renders heading anchors so table of contents links resolve', () => {
+    createEditor()
+    editor.commands.setContent('<nav data-type="table-of-contents"></nav><h2>Setup</h2><h2 data-block-id="s2">Setup</h2><p>End</p>')
+    const html = editor.getHTML()
+
+    expect(html).toContain('<a href="#setup">Setup</a></li><li data-level="2"><a href="#setup-1">Setup</a>')
+    expect(html).toContain('<h2 data-block-id="id1" id="setup">Setup</h2><h2 data-block-id="s2" id="setup-1">Setup</h2>')
+    expect(toMarkdown(html)).toContain('- [Setup](#setup)\n- [Setup](#setup-1)')
+    expect(editor.view.dom.querySelector('#setup-1')?.textContent).toBe('Setup')
+  })
+
+  it('keeps ids in HTML and JSON output', () => {
+    createEditor()
+    editor.commands.setContent('<h2>Title</h2><p id="p1">Text</p>')
+
+    expect(editor.getHTML()).toBe('<h2 data-block-id="id1" id="title">Title</h2><p id="p1">Text</p>')
+    expect(editor.getJSON().content[0].attrs).toMatchObject({ id: 'id1', anchor: 'title' })
+    expect(editor.getJSON().content[1].attrs.id).toBe('p1')
+
+    // A saved document keeps its heading ids
+    const html = editor.getHTML()
+    editor.commands.setContent(html)
+    expect(blockIds()).toEqual(['id1', 'p1'])
+  })
+
+  it('keeps ids when blocks move and when they are undone', () => {
+    createEditor()
+    editor.commands.setContent('<p id="a">A</p><p id="b">B</p><p id="c">C</p>')
+
+    closeUndoGroup()
+    editor.commands.moveBlockTo('a', editor.state.doc.content.size)
+    expect(blockIds()).toEqual(['b', 'c', 'a'])
+
+    closeUndoGroup()
+    editor.commands.deleteBlockAt('c')
+    expect(blockIds()).toEqual(['b', 'a'])
+
+    editor.commands.undo()
+    editor.commands.undo()
+    expect(blockIds()).toEqual(['a', 'b', 'c'])
+  })
+
+  it('gives copies a new id', () => {
+    createEditor()
+    editor.commands.setContent('<p id="a">A</p><p id="b">B</p>')
+
+    editor.commands.duplicateBlockAt('a')
+    expect(blockIds()).toEqual(['a', 'id1', 'b'])
+
+    editor.commands.setTextSelection(1)
+    editor.view.pasteHTML('<p id="b">B</p><p id="b">B</p>', new Event('paste'))
+    expect(new Set(blockIds()).size).toBe(blockIds().length)
+    expect(blockIds().filter(id => id === 'b')).toHaveLength(1)
+  })
+
+  it('keeps the id on the first part of a split block', () => {
+    createEditor()
+    editor.commands.setContent('<p id="a">AB</p>')
+    editor.chain().setTextSelection(2).splitBlock().run()
+
+    expect(blockIds()).toEqual(['a', 'id1'])
+  })
+})
+
+describe('blocks by id', () => {
+  it('finds blocks, including nested ones', () => {
+    createEditor()
+    editor.commands.setContent('<p id="a">A</p><ul><li id="item"><p id="b">B</p></li></ul>')
+
+    expect(findBlockById(editor.state.doc, 'a').pos).toBe(0)
+    expect(findBlockById(editor.state.doc, 'item').node.type.name).toBe('listItem')
+    expect(findBlockById(editor.state.doc, 'missing')).toBe(null)
+  })
+
+  it('focuses and updates blocks by id', () => {
+    createEditor()
+    editor.commands.setContent('<p id="a">A</p><h2 data-block-id="title">Title</h2>')
+
+    expect(editor.commands.focusBlock('title')).toBe(true)
+    expect(editor.state.selection.$from.parent.type.name).toBe('heading')
+
+    editor.commands.updateBlockById('title', { level: 3 })
+    expect(editor.getHTML()).toContain('<h3 data-block-id="title" id="title">Title</h3>')
+    expect(editor.commands.updateBlockById('missing', { level: 3 })).toBe(false)
+  })
+
+  it('runs block operations and selections by id', () => {
+    createEditor()
+    editor.commands.setContent('<p id="a">A</p><p id="b">B</p><p id="c">C</p>')
+
+    expect(editor.commands.selectBlocks('a', 'b')).toBe(true)
+    expect(editor.state.selection.from).toBe(0)
+    expect(editor.state.selection.to).toBe(6)
+
+    editor.commands.resetBlockFormattingAt('c')
+    expect(editor.commands.deleteBlockAt('missing')).toBe(false)
+  })
+
+  it('acts on nested blocks given by id', () => {
+    createEditor()
+    editor.commands.setContent('<ul><li id="one"><p>one</p></li><li id="two"><p>two</p></li></ul><p id="end">End</p>')
+
+    expect(editor.commands.selectBlocks('one')).toBe(true)
+    expect(editor.state.selection.from).toBe(1)
+    expect(editor.state.selection.to).toBe(findBlockById(editor.state.doc, 'two').pos)
+
+    editor.commands.duplicateBlockAt('two')
+    const list = editor.state.doc.child(0)
+    expect(list.childCount).toBe(3)
+    expect(list.child(2).textContent).toBe('two')
+    expect(getCurrentBlockRange(editor.state).node).toBe(list.child(2))
+
+    ;['one', 'two', list.child(2).attrs.id].forEach(id => editor.commands.deleteBlockAt(id))
+    expect(blockIds()).toEqual(['end'])
+  })
+})
@@ -0,0 +1,210 @@
+import { Node, mergeAttributes } from '@tiptap/core'
+import { BLOCK_COLORS } from '../utils/blockColors'
+
+/**
+ * Callout Extension
+ *
+ * A block container with an icon and a variant (info, warning, success, danger):
+ * - Variant backgrounds come from the block color palette
+ * - HTML: <aside data-type="callout" data-variant="..." data-icon="...">
+ * - Markdown: GitHub alerts (> [!NOTE], > [!TIP], > [!WARNING], > [!CAUTION])
+ */
+
+/**
+ * Get a color value from the block color palette
+ */
+function getPaletteColor(name) {
+  return BLOCK_COLORS.find(color => color.name === name)?.value
+}
+
+/**
+ * Callout variants
+ * alert is the GitHub alert type used for Markdown
+ */
+export const CALLOUT_VARIANTS = {
+  info: { label: 'Info', icon: 'ℹ️', color: getPaletteColor('Blue'), alert: 'NOTE' },
+  warning: { label: 'Warning', icon: '⚠️', color: getPaletteColor('Yellow'), alert: 'WARNING' },
+  success: { label: 'Success', icon: '✅', color: getPaletteColor('Green'), alert: 'TIP' },
+  danger: { label: 'Danger', icon: '🚫', color: getPaletteColor('Red'), alert: 'CAUTION' }
+}
+
+/**
+ * Default variant for new callouts
+ */
+export const DEFAULT_CALLOUT_VARIANT = 'info'
+
+/**
+ * Emoji offered as callout icons
+ */
+export const CALLOUT_ICONS = ['ℹ️', '💡', '📌', '⚠️', '✅', '🚫', '🔥', '📝']
+
+/**
+ * GitHub alert types mapped to variants
+ * IMPORTANT has no variant of its own and is read as info
+ */
+const ALERT_VARIANTS = {
+  NOTE: 'info',
+  IMPORTANT: 'info',
+  TIP: 'success',
+  WARNING: 'warning',
+  CAUTION: 'danger'
+}
+
+/**
+ * Normalize a variant name, falling back to the default
+ *
+ * @param {string} variant - Variant name
+ * @returns {string} A key of CALLOUT_VARIANTS
+ */
+export function normalizeCalloutVariant(variant) {
+  return CALLOUT_VARIANTS[variant] ? variant : DEFAULT_CALLOUT_VARIANT
+}
+
+/**
+ * Get the icon shown for a callout
+ * A custom icon wins over the variant's default icon.
+ *
+ * @param {Object} attrs - Callout attributes
+ * @returns {string} Emoji
+ */
+export function getCalloutIcon(attrs) {
+  return attrs.icon || CALLOUT_VARIANTS[normalizeCalloutVariant(attrs.variant)].icon
+}
+
+/**
+ * Callout node
+ */
+export const Callout = Node.create({
+  name: 'callout',
+
+  group: 'block',
+
+  content: 'block+',
+
+  defining: true,
+
+  addOptions() {
+    return {
+      HTMLAttributes: {}
+    }
+  },
+
+  addAttributes() {
+    return {
+      variant: {
+        default: DEFAULT_CALLOUT_VARIANT,
+        parseHTML: element => normalizeCalloutVariant(element.getAttribute('data-variant')),
+        renderHTML: attributes => ({ 'data-variant': attributes.variant })
+      },
+      // null shows the variant's default icon
+      icon: {
+        default: null,
+        parseHTML: element => element.getAttribute('data-icon') || null,
+        renderHTML: attributes => (attributes.icon ? { 'data-icon': attributes.icon } : {})
+      }
+    }
+  },
+
+  parseHTML() {
+    return [
+      {
+        tag: 'aside[data-type="callout"]',
+        // Skip the icon; content written by other tools may not have the wrapper
+        contentElement: element => element.querySelector(':scope > .callout-content') || element
+      }
+    ]
+  },
+
+  renderHTML({ node, HTMLAttributes }) {
+    const variant = normalizeCalloutVariant(node.attrs.variant)
+    return [
+      'aside',
+      mergeAttributes(this.options.HTMLAttributes, HTMLAttributes, {
+        'data-type': this.name,
+        class: `callout callout--${variant}`,
+        style: `background-color: ${CALLOUT_VARIANTS[variant].color};`
+      }),
+      ['span', { class: 'callout-icon', contenteditable: 'false' }, getCalloutIcon(node.attrs)],
+      ['div', { class: 'callout-content' }, 0]
+    ]
+  },
+
+  /**
+   * GitHub alert: "> [!NOTE]" followed by quoted lines
+   */
+  markdownTokenizer: {
+    name: 'callout',
+    level: 'block',
+    start: src => src.search(/^ {0,3}> ?\[!(?:NOTE|TIP|IMPORTANT|WARNING|CAUTION)\]/im),
+    tokenize: (src, _tokens, lexer) => {
+      const match = /^ {0,3}> ?\[!(NOTE|TIP|IMPORTANT|WARNING|CAUTION)\][ \t]*(?:\n|$)((?: {0,3}>[^\n]*(?:\n|$))*)/i.exec(src)
+      if (!match) return undefined
+
+      const body = match[2].split('\n').map(line => line.replace(/^ {0,3}> ?/, '')).join('\n')
+      return {
+        type: 'callout',
+        raw: match[0],
+        variant: ALERT_VARIANTS[match[1].toUpperCase()],
+        tokens: lexer.blockTokens(body)
+      }
+    }
+  },
+
+  parseMarkdown: (token, helpers) => {
+    const content = helpers.parseChildren(token.tokens || [])
+    return helpers.createNode('callout', { variant: token.variant }, content.length ? content : [helpers.createNode('paragraph')])
+  },
+
+  renderMarkdown: (node, helpers) => {
+    const { alert } = CALLOUT_VARIANTS[normalizeCalloutVariant(node.attrs?.variant)]
+    const body = helpers.renderChildren(node.content || [], '\n\n')
+    const quoted = body.split('\n').map(line => (line ? `> ${line}` : '>')).join('\n')
+    return `> [!${alert}]\n${quoted}`
+  },
+
+  addCommands() {
+    return {
+      /**
+       * Wrap the selected blocks in a callout
+       * @param {Object} [attrs] - { variant, icon }
+       */
+      setCallout: (attrs = {}) => ({ commands }) => {
+        return commands.wrapIn(this.name, attrs)
+      },
+
+      /**
+       * Wrap the selection in a callout, or unwrap it when already inside one
+       * @param {Object} [attrs] - { variant, icon }
+       */
+      toggleCallout: (attrs = {}) => ({ commands }) => {
+        return commands.toggleWrap(this.name, attrs)
+      },
+
+      /**
+       * Remove the callout around the selection, keeping its content
+       */
+      unsetCallout: () => ({ commands }) => {
+        return commands.lift(this.name)
+      },
+
+      /**
+       * Update the variant or icon of the callout at a position
+       * Used by the block context menu, which knows the block position
+       *
+       * @param {number} pos - Position of the callout node
+       * @param {Object} attrs - { variant?, icon? }
+       */
+      updateCalloutAt: (pos, attrs) => ({ tr, dispatch }) => {
+        const node = tr.doc.nodeAt(pos)
+        if (node?.type.name !== this.name) return false
+
+        if (dispatch) {
+          tr.setNodeMarkup(pos, undefined, { ...node.attrs, ...attrs })
+        }
+        return true
+      }
+    }
+  }
+})
+
+export default Callout
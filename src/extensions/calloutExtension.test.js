@@ -0,0 +1,105 @@
+import { describe, it, expect, afterEach } from 'vitest'
+import { Editor } from '@tiptap/core'
+import { getContentExtensions } from './contentExtensions'
+import { CALLOUT_VARIANTS, getCalloutIcon } from './calloutExtension'
+import { toHTML, toMarkdown } from '../utils/markdownConverter'
+
+/**
+ * Tests for the Callout node
+ */
+
+let editor = null
+
+function createEditor(content = '<p></p>') {
+  editor = new Editor({
+    extensions: getContentExtensions(),
+    content
+  })
+  return editor
+}
+
+afterEach(() => {
+  editor?.destroy()
+  editor = null
+})
+
+describe('Callout', () => {
+  it('wraps the current block in a callout', () => {
+    createEditor('<p>Heads up</p>')
+    editor.commands.setTextSelection(1)
+    editor.commands.setCallout({ variant: 'warning' })
+
+    const callout = editor.getJSON().content[0]
+    expect(callout.type).toBe('callout')
+    expect(callout.attrs).toEqual({ variant: 'warning', icon: null })
+    expect(callout.content[0].content[0].text).toBe('Heads up')
+  })
+
+  it('unwraps a callout', () => {
+    createEditor('<aside data-type="callout" data-variant="info"><p>Note</p></aside>')
+    editor.commands.setTextSelection(2)
+    editor.commands.unsetCallout()
+
+    expect(editor.getJSON().content[0].type).toBe('paragraph')
+  })
+
+  it('updates the variant and icon at a position', () => {
+    createEditor('<aside data-type="callout"><p>Note</p></aside>')
+    editor.commands.updateCalloutAt(0, { variant: 'danger', icon: '🔥' })
+
+    expect(editor.getJSON().content[0].attrs).toEqual({ variant: 'danger', icon: '🔥' })
+    expect(editor.commands.updateCalloutAt(1, { variant: 'info' })).toBe(false)
+  })
+
+  it('renders an aside with data attributes and the palette color', () => {
+    createEditor('<aside data-type="callout" data-variant="success"><p>Done</p></aside>')
+    const aside = editor.view.dom.querySelector('aside')
+
+    expect(aside.getAttribute('data-type')).toBe('callout')
+    expect(aside.getAttribute('data-variant')).toBe('success')
+    expect(aside.querySelector('.callout-icon').textContent).toBe(CALLOUT_VARIANTS.success.icon)
+    expect(aside.getAttribute('style')).toContain('background-color')
+  })
+
+  it('falls back to the info variant for unknown variants', () => {
+    createEditor('<aside data-type="callout" data-variant="nope"><p>x</p></aside>')
+    expect(editor.getJSON().content[0].attrs.variant).toBe('info')
+  })
+
+  it('uses a custom icon over the variant icon', () => {
+    expect(getCalloutIcon({ variant: 'warning', icon: null })).toBe(CALLOUT_VARIANTS.warning.icon)
+    expect(getCalloutIcon({ variant: 'warning', icon: '🔥' })).toBe('🔥')
+  })
+})
+
+describe('Callout Markdown', () => {
+  it('exports GitHub alerts', () => {
+    const html = '<aside data-type="callout" data-variant="warning"><p>Be careful</p><p>Really</p></aside>'
+    expect(toMarkdown(html)).toBe('> [!WARNING]\n> Be careful\n>\n> Really')
+  })
+
+  it('maps every variant to an alert type', () => {
+    Object.entries(CALLOUT_VARIANTS).forEach(([variant, { alert }]) => {
+      const html = `<aside data-type="callout" data-variant="${variant}"><p>x</p></aside>`
+      expect(toMarkdown(html)).toBe(`> [!${alert}]\n> x`)
+    })
+  })
+
+  it('imports GitHub alerts as callouts', () => {
+    const container = document.createElement('div')
+    container.innerHTML = toHTML('> [!TIP]\n> Use **shortcuts**\n\n> Plain quote')
+
+    const aside = container.querySelector('aside[data-type="callout"]')
+    expect(aside.getAttribute('data-variant')).toBe('success')
+    expect(aside.querySelector('strong').textContent).toBe('shortcuts')
+    expect(container.querySelector('blockquote').textContent).toBe('Plain quote')
+  })
+
+  it('keeps custom icons by exporting HTML', () => {
+    const html = '<aside data-type="callout" data-variant="info" data-icon="🔥"><p>Hot</p></aside>'
+    const markdown = toMarkdown(html)
+
+    expect(markdown).toMatch(/^<aside/)
+    expect(toHTML(markdown)).toContain('data-icon="🔥"')
+  })
+})
@@ -0,0 +1,87 @@
+import { describe, it, expect, afterEach } from 'vitest'
+import { Editor } from '@tiptap/core'
+import { getContentExtensions } from './contentExtensions'
+import { countLines } from './codeBlockExtension'
+import { toHTML, toMarkdown } from '../utils/markdownConverter'
+
+/**
+ * Tests for the syntax-highlighted code block
+ * Requirements: 2.6, 5.5, 6.1
+ */
+
+let editor = null
+
+function createEditor(content = '<p></p>') {
+  editor = new Editor({
+    extensions: getContentExtensions(),
+    content
+  })
+  return editor
+}
+
+afterEach(() => {
+  editor?.destroy()
+  editor = null
+})
+
+describe('code block', () => {
+  it('reads and writes the language as a language-xxx class', () => {
+    createEditor('<pre><code class="language-python">print(1)</code></pre>')
+
+    expect(editor.getJSON().content[0].attrs.language).toBe('python')
+    expect(editor.getHTML()).toContain('<code class="language-python">')
+  })
+
+  it('highlights code with the bundled grammars', () => {
+    createEditor('<pre><code class="language-javascript">const a = "x"</code></pre>')
+
+    expect(editor.view.dom.querySelector('.hljs-keyword').textContent).toBe('const')
+    expect(editor.view.dom.querySelector('.hljs-string').textContent).toBe('"x"')
+  })
+
+  it('shows one line number per line', () => {
+    createEditor('<pre><code>a\nb\nc</code></pre>')
+    const gutter = editor.view.dom.querySelector('.code-block-line-numbers')
+    expect(gutter.children).toHaveLength(3)
+
+    editor.commands.insertContentAt(editor.state.doc.content.size - 1, '\nd')
+    expect(gutter.children).toHaveLength(4)
+  })
+
+  it('changes the language from the picker', () => {
+    createEditor('<pre><code>x = 1</code></pre>')
+    const select = editor.view.dom.querySelector('.code-block-language')
+    expect(select.value).toBe('')
+
+    select.value = 'python'
+    select.dispatchEvent(new Event('change'))
+
+    expect(editor.getJSON().content[0].attrs.language).toBe('python')
+    expect(editor.view.dom.querySelector('code').className).toBe('language-python')
+  })
+
+  it('lists unknown languages in the picker', () => {
+    createEditor('<pre><code class="language-js">1</code></pre>')
+    const select = editor.view.dom.querySelector('.code-block-language')
+
+    expect(select.value).toBe('js')
+  })
+
+  it('counts lines', () => {
+    expect(countLines('')).toBe(1)
+    expect(countLines('a\nb')).toBe(2)
+  })
+})
+
+describe('code block Markdown', () => {
+  it('keeps the language as the fence info string', () => {
+    const markdown = '```rust\nfn main() {}\n```'
+
+    expect(toHTML(markdown)).toContain('class="language-rust"')
+    expect(toMarkdown(toHTML(markdown))).toBe(markdown)
+  })
+
+  it('exports blocks without a language as plain fences', () => {
+    expect(toMarkdown('<pre><code>plain</code></pre>')).toBe('```\nplain\n```')
+  })
+})
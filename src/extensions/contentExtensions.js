@@ -0,0 +1,86 @@
+import StarterKit from '@tiptap/starter-kit'
+import Underline from '@tiptap/extension-underline'
+import { TaskList, TaskItem } from '@tiptap/extension-list'
+import { BlockColor } from '../utils/blockColorExtension'
+import { CustomImage } from './imageExtension'
+import { TableExtensions } from './tableExtension'
+import { getMathExtension } from './mathExtension'
+import { Callout } from './calloutExtension'
+import { TableOfContents } from './tableOfContentsExtension'
+import { CustomCodeBlock } from './codeBlockExtension'
+import { CustomLink } from './linkExtension'
+import { TextColorExtensions } from './textColorExtension'
+import { ContentSanitizer } from './sanitizerExtension'
+import { isSafeLinkUrl } from '../utils/sanitizer'
+
+/**
+ * Content Extensions
+ *
+ * The extensions that define the document schema (nodes, marks and their
+ * attributes). Shared by the editor and the Markdown converter so both use
+ * exactly the same parsing and serialization rules.
+ *
+ * UI-only extensions (slash menu, placeholder, drag handle, ...) are added
+ * by the editor component on top of this list.
+ *
+ * Requirements: 5.1-5.6, 6.1-6.3
+ */
+
+/**
+ * Get the schema extensions
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.image] - Extra CustomImage options (e.g. uploadImage)
+ * @param {Object} [options.math] - Options for getMathExtension (click handlers)
+ * @param {Object} [options.sanitize] - ContentSanitizer options (allowRemoteImages, allowedImageOrigins)
+ * @returns {Extension[]} Extensions ready to be spread into an editor extension list
+ */
+export function getContentExtensions({ image = {}, math = {}, sanitize = {} } = {}) {
+  return [
+    StarterKit.configure({
+      // StarterKit includes: Bold, Italic, Strike, Code, Heading, BulletList,
+      // OrderedList, Blockquote, CodeBlock, HorizontalRule, etc.
+      // Markdown shortcuts are enabled by default via inputRules
+      // Underline, Link and CodeBlock are configured below
+      underline: false,
+      link: false,
+      codeBlock: false
+    }),
+    Underline,
+    // Text color and multicolor highlight; plain ==highlights== have no color
+    ...TextColorExtensions,
+    // Links with the popover commands; the popover validates URLs with these options
+    CustomLink.configure({
+      openOnClick: false,
+      defaultProtocol: 'https',
+      // Only the sanitizer's protocols, so links typed in the popover survive import/export
+      isAllowedUri: (url, context) => context.defaultValidate(url) && isSafeLinkUrl(url),
+      HTMLAttributes: {
+        rel: 'noopener noreferrer',
+        target: '_blank'
+      }
+    }),
+    // Checklists, with nested items - Markdown: - [ ] / - [x]
+    TaskList,
+    TaskItem.configure({
+      nested: true
+    }),
+    // Syntax-highlighted code blocks - Markdown: ```lang
+    CustomCodeBlock,
+    Callout,
+    // Linked list of the headings - Markdown: <!-- toc --> ... <!-- tocstop -->
+    TableOfContents,
+    BlockColor,
+    CustomImage.configure({
+      inline: false,
+      allowBase64: true,
+      ...image
+    }),
+    ...TableExtensions,
+    getMathExtension(math),
+    // Removes unsafe links, images and colors from any content - see utils/sanitizer
+    ContentSanitizer.configure(sanitize)
+  ]
+}
+
+export default getContentExtensions
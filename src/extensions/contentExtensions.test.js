@@ -0,0 +1,85 @@
+import { describe, it, expect, afterEach } from 'vitest'
+import { Editor } from '@tiptap/core'
+import { getContentExtensions } from './contentExtensions'
+
+/**
+ * Tests for the shared content extensions
+ * Requirements: 5.1-5.6, 6.1-6.3
+ */
+
+let editor = null
+
+function createEditor(content = '<p></p>') {
+  editor = new Editor({
+    extensions: getContentExtensions(),
+    content
+  })
+  return editor
+}
+
+/**
+ * Simulate typing text at the cursor, so input rules run
+ */
+function typeText(text) {
+  const { view } = editor
+  const { from, to } = view.state.selection
+  const handled = view.someProp('handleTextInput', f => f(view, from, to, text))
+  if (!handled) {
+    view.dispatch(view.state.tr.insertText(text, from, to))
+  }
+}
+
+afterEach(() => {
+  editor?.destroy()
+  editor = null
+})
+
+describe('task lists', () => {
+  it('turns a paragraph into a task list', () => {
+    createEditor('<p>Buy milk</p>')
+    editor.commands.setTextSelection(1)
+    editor.commands.toggleTaskList()
+
+    const list = editor.getJSON().content[0]
+    expect(list.type).toBe('taskList')
+    expect(list.content[0]).toMatchObject({ type: 'taskItem', attrs: { checked: false } })
+  })
+
+  it('creates a task item when typing [ ] at the start of a line', () => {
+    createEditor()
+    editor.commands.setTextSelection(1)
+    typeText('[ ]')
+    typeText(' ')
+
+    expect(editor.getJSON().content[0].type).toBe('taskList')
+  })
+
+  it('stores the checked state', () => {
+    createEditor('<ul data-type="taskList"><li data-type="taskItem" data-checked="false"><p>Task</p></li></ul>')
+    editor.commands.setTextSelection(3)
+    editor.commands.updateAttributes('taskItem', { checked: true })
+
+    expect(editor.getJSON().content[0].content[0].attrs.checked).toBe(true)
+    expect(editor.getHTML()).toContain('data-checked="true"')
+  })
+
+  it('nests task items', () => {
+    createEditor(
+      '<ul data-type="taskList">' +
+      '<li data-type="taskItem" data-checked="false"><p>Parent</p></li>' +
+      '<li data-type="taskItem" data-checked="false"><p>Child</p></li>' +
+      '</ul>'
+    )
+    // Cursor inside "Child"
+    let childPos = null
+    editor.state.doc.descendants((node, pos) => {
+      if (node.isText && node.text === 'Child') childPos = pos
+    })
+    editor.commands.setTextSelection(childPos + 1)
+    editor.commands.sinkListItem('taskItem')
+
+    const parent = editor.getJSON().content[0].content[0]
+    expect(parent.content[1].type).toBe('taskList')
+    expect(parent.content[1].content[0].content[0].content[0].text).toBe('Child')
+  })
+})
@@ -0,0 +1,202 @@
+import { Extension } from '@tiptap/core'
+import { Plugin, PluginKey, TextSelection } from '@tiptap/pm/state'
+import { Decoration, DecorationSet } from '@tiptap/pm/view'
+import { getSectionRange } from '../utils/outline'
+
+/**
+ * Heading Fold Extension
+ *
+ * Folds the section under a heading (see getSectionRange) in the editor:
+ * - Folded sections are hidden with decorations, the document is unchanged
+ * - Folds follow their heading through edits and are dropped with it
+ * - Moving the cursor into a folded section opens it
+ * - A folded heading ends with a button that opens it again
+ *
+ * Used by the outline sidebar.
+ */
+
+export const headingFoldKey = new PluginKey('headingFold')
+
+/**
+ * Get the positions of the folded headings
+ *
+ * @param {EditorState} state - Editor state
+ * @returns {number[]} Heading positions
+ */
+export function getFoldedHeadings(state) {
+  return headingFoldKey.getState(state) || []
+}
+
+/**
+ * Check if the heading at a position is folded
+ *
+ * @param {EditorState} state - Editor state
+ * @param {number} pos - Position of the heading
+ * @returns {boolean}
+ */
+export function isHeadingFolded(state, pos) {
+  return getFoldedHeadings(state).includes(pos)
+}
+
+/**
+ * Check if a selection touches the section under a heading
+ */
+function isInSection(selection, range) {
+  return selection.from < range.to && selection.to > range.from
+}
+
+/**
+ * Compute the folded headings after a transaction
+ */
+function applyFolds(tr, folded, state) {
+  let next = folded
+
+  if (tr.docChanged) {
+    next = next
+      .map(pos => tr.mapping.mapResult(pos))
+      .filter(result => !result.deleted && state.doc.nodeAt(result.pos)?.type.name === 'heading')
+      .map(result => result.pos)
+  }
+
+  const meta = tr.getMeta(headingFoldKey)
+  if (meta?.fold !== undefined && !next.includes(meta.fold)) {
+    next = [...next, meta.fold]
+  } else if (meta?.unfold !== undefined) {
+    next = next.filter(pos => pos !== meta.unfold)
+  } else if (meta?.unfoldAll) {
+    next = []
+  }
+
+  if (tr.selectionSet || tr.docChanged) {
+    next = next.filter(pos => {
+      const range = getSectionRange(state.doc, pos)
+      return range && range.from < range.to && !isInSection(state.selection, range)
+    })
+  }
+
+  return next.length === folded.length && next.every((pos, index) => pos === folded[index]) ? folded : next
+}
+
+/**
+ * Create the button that opens a folded heading
+ */
+function createUnfoldButton(view, pos) {
+  const button = document.createElement('button')
+  button.type = 'button'
+  button.className = 'heading-fold-toggle'
+  button.contentEditable = 'false'
+  button.textContent = '…'
+  button.title = '展开'
+  button.addEventListener('mousedown', event => {
+    event.preventDefault()
+    view.dispatch(view.state.tr.setMeta(headingFoldKey, { unfold: pos }))
+  })
+  return button
+}
+
+/**
+ * Decorations hiding the folded sections
+ */
+function getFoldDecorations(state) {
+  const decorations = []
+
+  getFoldedHeadings(state).forEach(pos => {
+    const heading = state.doc.nodeAt(pos)
+    const range = getSectionRange(state.doc, pos)
+    decorations.push(
+      Decoration.node(pos, pos + heading.nodeSize, { class: 'heading--folded' }),
+      Decoration.widget(pos + heading.nodeSize - 1, view => createUnfoldButton(view, pos), {
+        side: 1,
+        key: `unfold-${pos}`,
+        ignoreSelection: true
+      })
+    )
+    state.doc.nodesBetween(range.from, range.to, (node, nodePos) => {
+      decorations.push(Decoration.node(nodePos, nodePos + node.nodeSize, { class: 'folded-content' }))
+      return false
+    })
+  })
+
+  return DecorationSet.create(state.doc, decorations)
+}
+
+export const HeadingFold = Extension.create({
+  name: 'headingFold',
+
+  addCommands() {
+    return {
+      /**
+       * Fold the section under a heading
+       * A cursor inside the section moves to the end of the heading.
+       *
+       * @param {number} pos - Position of the heading
+       */
+      foldHeading: pos => ({ state, tr, dispatch }) => {
+        const range = getSectionRange(tr.doc, pos)
+        if (!range || range.from === range.to) return false
+
+        if (dispatch) {
+          if (isInSection(tr.selection, range)) {
+            tr.setSelection(TextSelection.create(tr.doc, range.from - 1))
+          }
+          if (!isHeadingFolded(state, pos)) {
+            tr.setMeta(headingFoldKey, { fold: pos })
+          }
+        }
+        return true
+      },
+
+      /**
+       * Show the section under a heading again
+       *
+       * @param {number} pos - Position of the heading
+       */
+      unfoldHeading: pos => ({ state, tr, dispatch }) => {
+        if (!isHeadingFolded(state, pos)) return false
+
+        if (dispatch) {
+          tr.setMeta(headingFoldKey, { unfold: pos })
+        }
+        return true
+      },
+
+      /**
+       * Fold or unfold the section under a heading
+       *
+       * @param {number} pos - Position of the heading
+       */
+      toggleHeadingFold: pos => ({ state, commands }) => {
+        return isHeadingFolded(state, pos) ? commands.unfoldHeading(pos) : commands.foldHeading(pos)
+      },
+
+      /**
+       * Show every folded section
+       */
+      unfoldAllHeadings: () => ({ state, tr, dispatch }) => {
+        if (!getFoldedHeadings(state).length) return false
+
+        if (dispatch) {
+          tr.setMeta(headingFoldKey, { unfoldAll: true })
+        }
+        return true
+      }
+    }
+  },
+
+  addProseMirrorPlugins() {
+    return [
+      new Plugin({
+        key: headingFoldKey,
+        state: {
+          init: () => [],
+          apply: (tr, folded, _oldState, newState) => applyFolds(tr, folded, newState)
+        },
+        props: {
+          decorations: getFoldDecorations
+        }
+      })
+    ]
+  }
+})
+
+export default HeadingFold
@@ -0,0 +1,104 @@
+import { describe, it, expect, afterEach } from 'vitest'
+import { Editor } from '@tiptap/core'
+import { getContentExtensions } from './contentExtensions'
+import { HeadingFold, getFoldedHeadings, isHeadingFolded } from './headingFoldExtension'
+
+/**
+ * Tests for folding the section under a heading
+ */
+
+let editor = null
+
+function createEditor(content = '<p></p>') {
+  editor = new Editor({
+    extensions: [...getContentExtensions(), HeadingFold],
+    content
+  })
+  return editor
+}
+
+afterEach(() => {
+  editor?.destroy()
+  editor = null
+})
+
+const content = '<h2>A</h2><p>one</p><h3>A.1</h3><p>two</p><h2>B</h2><p>three</p>'
+
+/**
+ * Texts of the blocks hidden in the editor
+ */
+function hiddenTexts() {
+  return Array.from(editor.view.dom.querySelectorAll('.folded-content')).map(element => element.textContent)
+}
+
+describe('HeadingFold', () => {
+  it('hides the section under a heading without changing the document', () => {
+    createEditor(content)
+    const html = editor.getHTML()
+    editor.commands.foldHeading(0)
+
+    expect(isHeadingFolded(editor.state, 0)).toBe(true)
+    expect(hiddenTexts()).toEqual(['one', 'A.1', 'two'])
+    expect(editor.view.dom.querySelector('h2.heading--folded .heading-fold-toggle')).not.toBe(null)
+    expect(editor.getHTML()).toBe(html)
+  })
+
+  it('unfolds with the command and the toggle', () => {
+    createEditor(content)
+    editor.commands.toggleHeadingFold(0)
+    editor.commands.toggleHeadingFold(0)
+    expect(hiddenTexts()).toEqual([])
+
+    editor.commands.foldHeading(0)
+    editor.view.dom.querySelector('.heading-fold-toggle').dispatchEvent(new MouseEvent('mousedown'))
+    expect(getFoldedHeadings(editor.state)).toEqual([])
+  })
+
+  it('does not fold empty sections', () => {
+    createEditor('<h2>A</h2><h1>B</h1>')
+
+    expect(editor.commands.foldHeading(0)).toBe(false)
+  })
+
+  it('follows the heading through edits and drops it with the heading', () => {
+    createEditor(`<p>before</p>${content}`)
+    editor.commands.foldHeading(8)
+    editor.chain().setTextSelection(3).insertContent('XX').run()
+
+    expect(getFoldedHeadings(editor.state)).toEqual([10])
+    expect(hiddenTexts()).toEqual(['one', 'A.1', 'two'])
+
+    editor.commands.deleteRange({ from: 10, to: 13 })
+    expect(getFoldedHeadings(editor.state)).toEqual([])
+  })
+
+  it('moves the cursor out of the section it folds', () => {
+    createEditor(content)
+    editor.commands.setTextSelection(6)
+    editor.commands.foldHeading(0)
+
+    expect(editor.state.selection.from).toBe(2)
+    expect(isHeadingFolded(editor.state, 0)).toBe(true)
+  })
+
+  it('opens when the cursor moves into the section', () => {
+    createEditor(content)
+    editor.commands.foldHeading(0)
+    editor.commands.setTextSelection(6)
+
+    expect(isHeadingFolded(editor.state, 0)).toBe(false)
+  })
+
+  it('unfolds everything', () => {
+    createEditor(content)
+    const positions = []
+    editor.state.doc.forEach((node, pos) => {
+      if (node.type.name === 'heading') positions.push(pos)
+    })
+    editor.commands.foldHeading(positions[2])
+    editor.commands.foldHeading(positions[1])
+    editor.commands.unfoldAllHeadings()
+
+    expect(getFoldedHeadings(editor.state)).toEqual([])
+  })
+})
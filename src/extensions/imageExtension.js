@@ -1,39 +1,162 @@
 import Image from '@tiptap/extension-image'
+import { mergeAttributes } from '@tiptap/core'
+import { Plugin, PluginKey } from '@tiptap/pm/state'
+import { validateImageFile } from '../utils/imageUtils'
+import { showError } from '../utils/notifications'
+import { PASTE_SOURCES, detectPasteSource } from '../utils/pasteNormalizer'
+import { ImageUploadPlaceholder, uploadImageFile } from './imageUploadExtension'
+import { KEYBOARD_RESIZE_STEP, createResizableImageView, resizeImageBy } from './imageResize'
+
+/**
+ * Name of the DOM event used to ask the editor to open the image dialog
+ * (e.g. from a slash command, which has no access to the editor component)
+ */
+export const OPEN_IMAGE_DIALOG_EVENT = 'open-image-dialog'
+
+/**
+ * Request the image dialog for inserting a new image
+ * Requirement 1.1
+ * 
+ * @param {Editor} editor - The Tiptap editor instance that should receive the image
+ */
+export function requestImageDialog(editor) {
+  document.dispatchEvent(new CustomEvent(OPEN_IMAGE_DIALOG_EVENT, {
+    detail: { editor }
+  }))
+}
+
+/**
+ * Get image files from a DataTransfer (clipboard or drag-and-drop)
+ * Unsupported image formats are kept so insertImageFiles can report them.
+ * 
+ * @param {DataTransfer|null} dataTransfer - The event data transfer
+ * @returns {File[]} Files with an image MIME type
+ */
+export function getImageFiles(dataTransfer) {
+  if (!dataTransfer?.files?.length) {
+    return []
+  }
+  return Array.from(dataTransfer.files).filter(file => file.type.startsWith('image/'))
+}
+
+/**
+ * Insert image files into the editor
+ * Requirement 1.3: Upload local image files (or embed them as base64 without an adapter)
+ * Requirement 1.4: Files failing validateImageFile are reported and skipped
+ * 
+ * @param {Editor} editor - The Tiptap editor instance
+ * @param {File[]} files - Image files to insert
+ * @param {number} [pos] - Document position to insert at (defaults to the selection)
+ * @returns {Promise<void>}
+ */
+export async function insertImageFiles(editor, files, pos) {
+  const validFiles = files.filter(file => {
+    const validation = validateImageFile(file)
+    if (!validation.valid) {
+      showError(`无法插入图片 ${file.name || ''}：${validation.error}`)
+    }
+    return validation.valid
+  })
+
+  // Uploads run in parallel; each file gets its own placeholder
+  await Promise.all(validFiles.map(file => uploadImageFile(editor, file, { pos })))
+}
+
+/**
+ * Insert pasted or dropped image files without waiting for them
+ * Failures (e.g. a file that can't be read) are reported instead of left unhandled.
+ */
+function insertImageFilesInBackground(editor, files, pos) {
+  insertImageFiles(editor, files, pos).catch(error => {
+    console.error('Failed to insert image:', error)
+    showError(`无法插入图片：${error?.message || ''}`)
+  })
+}
+
+/**
+ * Get the <img> element for a parsed image
+ * Images are parsed both from a bare <img> and from <figure><img><figcaption>.
+ * 
+ * @param {HTMLElement} element - The matched <img> or <figure> element
+ * @returns {HTMLImageElement|null}
+ */
+function getImageElement(element) {
+  return element.tagName === 'FIGURE' ? element.querySelector('img') : element
+}
 
 /**
  * Custom Image Extension with extended attributes
  * 
  * Extends @tiptap/extension-image with:
- * - caption: Image caption text displayed below the image
+ * - caption: Image caption, rendered as <figcaption> and exported as the Markdown image title
  * - alignment: Image alignment (left, center, right)
  * - width: Image width in pixels
  * - height: Image height in pixels
+ * - Drag handles and keyboard shortcuts for resizing (see imageResize.js)
+ * 
+ * Options:
+ * - uploadImage: (file, { onProgress }) => Promise<{ src }>
+ *   Upload adapter for local files. When null, files are embedded as base64.
+ *   It can be replaced at runtime with setUploadAdapter.
  * 
- * Requirements: 1.2, 2.4, 3.2, 3.3
+ * Requirements: 1.2, 1.3, 2.1, 2.2, 2.4, 3.2, 3.3
  */
 export const CustomImage = Image.extend({
   name: 'image',
 
-  addAttributes() {
+  addOptions() {
     return {
       ...this.parent?.(),
+      uploadImage: null
+    }
+  },
+
+  // Current upload adapter; replaced at runtime with setUploadAdapter
+  addStorage() {
+    return {
+      uploadImage: this.options.uploadImage
+    }
+  },
+
+  // Placeholder node shown while a file is being uploaded
+  addExtensions() {
+    return [ImageUploadPlaceholder]
+  },
+
+  addAttributes() {
+    return {
+      src: {
+        default: null,
+        parseHTML: element => getImageElement(element)?.getAttribute('src') || null
+      },
+      alt: {
+        default: null,
+        parseHTML: element => getImageElement(element)?.getAttribute('alt') || null
+      },
+      title: {
+        default: null,
+        parseHTML: element => getImageElement(element)?.getAttribute('title') || null
+      },
       // Caption attribute - Requirement 3.3
+      // Read from <figcaption>, the legacy data-caption attribute, or the image title
+      // (Markdown import stores the caption as the title)
       caption: {
         default: '',
-        parseHTML: element => element.getAttribute('data-caption') || '',
-        renderHTML: attributes => {
-          if (!attributes.caption) {
-            return {}
-          }
-          return {
-            'data-caption': attributes.caption
+        parseHTML: element => {
+          const figcaption = element.tagName === 'FIGURE' ? element.querySelector('figcaption') : null
+          if (figcaption) {
+            return figcaption.textContent.trim()
           }
-        }
+          const img = getImageElement(element)
+          return img?.getAttribute('data-caption') || img?.getAttribute('title') || ''
+        },
+        // Rendered as <figcaption> by renderHTML
+        renderHTML: () => ({})
       },
       // Alignment attribute - Requirement 2.4
       alignment: {
         default: 'center',
-        parseHTML: element => element.getAttribute('data-alignment') || 'center',
+        parseHTML: element => element.getAttribute('data-alignment') || getImageElement(element)?.getAttribute('data-alignment') || 'center',
         renderHTML: attributes => {
           return {
             'data-alignment': attributes.alignment,
@@ -45,7 +168,8 @@ export const CustomImage = Image.extend({
       width: {
         default: null,
         parseHTML: element => {
-          const width = element.getAttribute('width') || element.style.width
+          const img = getImageElement(element)
+          const width = img?.getAttribute('width') || img?.style.width
           return width ? parseInt(width, 10) : null
         },
         renderHTML: attributes => {
@@ -61,7 +185,8 @@ export const CustomImage = Image.extend({
       height: {
         default: null,
         parseHTML: element => {
-          const height = element.getAttribute('height') || element.style.height
+          const img = getImageElement(element)
+          const height = img?.getAttribute('height') || img?.style.height
           return height ? parseInt(height, 10) : null
         },
         renderHTML: attributes => {
@@ -76,6 +201,64 @@ export const CustomImage = Image.extend({
     }
   },
 
+  /**
+   * Parse bare images and <figure> markup
+   * Requirement 3.3: Import captions from <figure><figcaption>
+   */
+  parseHTML() {
+    const imageSelector = this.options.allowBase64 ? 'img[src]' : 'img[src]:not([src^="data:"])'
+
+    return [
+      {
+        tag: 'figure',
+        // Only figures that wrap an image; figures take precedence over the inner <img>
+        priority: 60,
+        getAttrs: element => (element.querySelector(imageSelector) ? null : false)
+      },
+      { tag: imageSelector }
+    ]
+  },
+
+  /**
+   * Render as <figure><img><figcaption>
+   * Requirement 3.3: Display caption below the image
+   */
+  renderHTML({ node, HTMLAttributes }) {
+    const figure = [
+      'figure',
+      { class: 'image-figure', 'data-alignment': node.attrs.alignment },
+      ['img', mergeAttributes(this.options.HTMLAttributes, HTMLAttributes)]
+    ]
+
+    if (node.attrs.caption) {
+      figure.push(['figcaption', node.attrs.caption])
+    }
+    return figure
+  },
+
+  /**
+   * Import the Markdown image title as the caption
+   * Requirement 3.3: Keep captions in Markdown import
+   */
+  parseMarkdown: (token, helpers) => {
+    return helpers.createNode('image', {
+      src: token.href,
+      alt: token.text || null,
+      caption: token.title || ''
+    })
+  },
+
+  /**
+   * Export the caption as the Markdown image title
+   * Requirement 3.3: Keep captions in Markdown export
+   */
+  renderMarkdown: (node) => {
+    const { src = '', alt = '', title, caption } = node.attrs || {}
+    const label = caption || title
+    const escapedLabel = label ? label.replace(/"/g, '\\"') : ''
+    return escapedLabel ? `![${alt || ''}](${src || ''} "${escapedLabel}")` : `![${alt || ''}](${src || ''})`
+  },
+
   addCommands() {
     return {
       ...this.parent?.(),
@@ -104,8 +287,81 @@ export const CustomImage = Image.extend({
         return chain()
           .updateAttributes(this.name, attributes)
           .run()
-      }
+      },
+      /**
+       * Resize the selected image by a number of pixels
+       * Requirement 2.2: Resize image
+       */
+      resizeImageBy
+    }
+  },
+
+  /**
+   * Keyboard resizing of the selected image
+   * Requirement 2.2: Alt+Arrow resizes keeping the aspect ratio, Shift unlocks it
+   */
+  addKeyboardShortcuts() {
+    const resize = (width, height, lockAspectRatio = true) => () => {
+      return this.editor.commands.resizeImageBy({ width, height, lockAspectRatio })
     }
+
+    return {
+      'Alt-ArrowRight': resize(KEYBOARD_RESIZE_STEP, 0),
+      'Alt-ArrowLeft': resize(-KEYBOARD_RESIZE_STEP, 0),
+      'Alt-ArrowDown': resize(0, KEYBOARD_RESIZE_STEP),
+      'Alt-ArrowUp': resize(0, -KEYBOARD_RESIZE_STEP),
+      'Shift-Alt-ArrowRight': resize(KEYBOARD_RESIZE_STEP, 0, false),
+      'Shift-Alt-ArrowLeft': resize(-KEYBOARD_RESIZE_STEP, 0, false),
+      'Shift-Alt-ArrowDown': resize(0, KEYBOARD_RESIZE_STEP, false),
+      'Shift-Alt-ArrowUp': resize(0, -KEYBOARD_RESIZE_STEP, false)
+    }
+  },
+
+  /**
+   * Render images with resize handles
+   * Requirement 2.1: Drag to resize
+   */
+  addNodeView() {
+    return (props) => createResizableImageView(props)
+  },
+
+  /**
+   * Insert image files pasted or dropped into the editor
+   * Requirement 1.1: Image insertion via paste and drag-and-drop
+   */
+  addProseMirrorPlugins() {
+    const editor = this.editor
+    
+    return [
+      ...(this.parent?.() || []),
+      new Plugin({
+        key: new PluginKey('imageFileHandler'),
+        props: {
+          handlePaste: (view, event) => {
+            const files = getImageFiles(event.clipboardData)
+            if (files.length === 0) return false
+            // Word puts a picture of the copied text next to its HTML
+            if (detectPasteSource(event.clipboardData.getData('text/html')) === PASTE_SOURCES.WORD) return false
+            
+            event.preventDefault()
+            insertImageFilesInBackground(editor, files)
+            return true
+          },
+          handleDrop: (view, event, slice, moved) => {
+            // Moving an existing node inside the editor is handled by ProseMirror
+            if (moved) return false
+            
+            const files = getImageFiles(event.dataTransfer)
+            if (files.length === 0) return false
+            
+            event.preventDefault()
+            const coordinates = view.posAtCoords({ left: event.clientX, top: event.clientY })
+            insertImageFilesInBackground(editor, files, coordinates?.pos)
+            return true
+          }
+        }
+      })
+    ]
   },
 
   // Configure draggable and selectable options
@@ -1,7 +1,9 @@
-import { describe, it, expect } from 'vitest'
+import { describe, it, expect, vi, afterEach } from 'vitest'
 import { Editor } from '@tiptap/core'
 import StarterKit from '@tiptap/starter-kit'
-import { CustomImage } from './imageExtension'
+import { Markdown } from '@tiptap/markdown'
+import { CustomImage, getImageFiles, insertImageFiles } from './imageExtension'
+import { toHTML, toMarkdown } from '../utils/markdownConverter'
 
 /**
  * Tests for CustomImage Extension
@@ -11,6 +13,7 @@ import { CustomImage } from './imageExtension'
 function createEditor(content = '<p></p>') {
   return new Editor({
     extensions: [
+      Markdown,
       StarterKit,
       CustomImage
     ],
@@ -177,4 +180,193 @@ describe('CustomImage Extension', () => {
       editor.destroy()
     })
   })
+
+  describe('image files from paste and drop - Requirement 1.1', () => {
+    const png = () => new File([new Uint8Array([137, 80, 78, 71])], 'shot.png', { type: 'image/png' })
+    const text = () => new File(['hello'], 'notes.txt', { type: 'text/plain' })
+
+    const bmp = () => new File([new Uint8Array([66, 77])], 'scan.bmp', { type: 'image/bmp' })
+
+    /**
+     * Text of the error notifications on the page
+     */
+    const errorMessages = () => Array.from(document.querySelectorAll('.kiro-notification--error')).map(el => el.textContent)
+
+    afterEach(() => {
+      document.querySelectorAll('.kiro-notification').forEach(el => el.remove())
+    })
+
+    it('keeps only image files', () => {
+      expect(getImageFiles(null)).toEqual([])
+      expect(getImageFiles({ files: [text()] })).toEqual([])
+
+      const files = getImageFiles({ files: [png(), text(), bmp()] })
+      expect(files.map(file => file.name)).toEqual(['shot.png', 'scan.bmp'])
+    })
+
+    it('reports files that fail validation and inserts the rest', async () => {
+      const editor = createEditor()
+      const large = png()
+      Object.defineProperty(large, 'size', { value: 6 * 1024 * 1024 })
+
+      await insertImageFiles(editor, [bmp(), large, png()])
+
+      expect(editor.getJSON().content.filter(node => node.type === 'image')).toHaveLength(1)
+      expect(errorMessages()).toHaveLength(2)
+      expect(errorMessages()[0]).toContain('scan.bmp')
+      expect(errorMessages()[1]).toContain('exceeds maximum allowed size')
+
+      editor.destroy()
+    })
+
+    it('inserts dropped files at the drop position', async () => {
+      const editor = createEditor('<p>First</p><p>Second</p>')
+      const dropPos = editor.state.doc.firstChild.nodeSize
+      editor.view.posAtCoords = () => ({ pos: dropPos, inside: -1 })
+      const event = { dataTransfer: { files: [png()] }, clientX: 0, clientY: 0, preventDefault: vi.fn() }
+
+      const handled = editor.view.someProp('handleDrop', handler => handler(editor.view, event, null, false))
+
+      expect(handled).toBe(true)
+      await vi.waitFor(() => {
+        expect(editor.getJSON().content.map(node => node.type)).toEqual(['paragraph', 'image', 'paragraph'])
+      })
+
+      editor.destroy()
+    })
+
+    it('handles dropped image files that all fail validation', () => {
+      const editor = createEditor()
+      const event = { dataTransfer: { files: [bmp()] }, clientX: 0, clientY: 0, preventDefault: vi.fn() }
+      editor.view.posAtCoords = () => null
+
+      const handled = editor.view.someProp('handleDrop', handler => handler(editor.view, event, null, false))
+
+      expect(handled).toBe(true)
+      expect(event.preventDefault).toHaveBeenCalled()
+      expect(editor.getJSON().content.some(node => node.type === 'image')).toBe(false)
+      expect(errorMessages()).toHaveLength(1)
+
+      editor.destroy()
+    })
+
+    it('inserts files as base64 images', async () => {
+      const editor = createEditor()
+
+      await insertImageFiles(editor, [png()])
+
+      const imageNode = editor.getJSON().content.find(node => node.type === 'image')
+      expect(imageNode.attrs.src).toMatch(/^data:image\/png;base64,/)
+      expect(imageNode.attrs.alt).toBe('shot.png')
+
+      editor.destroy()
+    })
+
+    it('handles pasted image files', async () => {
+      const editor = createEditor()
+      const event = { clipboardData: { files: [png()], getData: () => '' }, preventDefault: vi.fn() }
+
+      const handled = editor.view.someProp('handlePaste', handler => handler(editor.view, event))
+
+      expect(handled).toBe(true)
+      expect(event.preventDefault).toHaveBeenCalled()
+      await vi.waitFor(() => {
+        expect(editor.getJSON().content.some(node => node.type === 'image')).toBe(true)
+      })
+
+      editor.destroy()
+    })
+
+    it('reports pasted files that cannot be read', async () => {
+      vi.stubGlobal('FileReader', class {
+        readAsDataURL() {
+          setTimeout(() => this.onerror())
+        }
+      })
+      const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {})
+      const editor = createEditor()
+      const event = { clipboardData: { files: [png()], getData: () => '' }, preventDefault: vi.fn() }
+
+      expect(editor.view.someProp('handlePaste', handler => handler(editor.view, event))).toBe(true)
+      await vi.waitFor(() => {
+        expect(errorMessages()).toEqual([expect.stringContaining('Failed to read file')])
+      })
+      expect(consoleError).toHaveBeenCalled()
+
+      consoleError.mockRestore()
+      vi.unstubAllGlobals()
+      editor.destroy()
+    })
+
+    it('ignores pastes without image files', () => {
+      const editor = createEditor()
+      const event = { clipboardData: { files: [text()], getData: () => '' }, preventDefault: vi.fn() }
+
+      const handled = editor.view.someProp('handlePaste', handler => handler(editor.view, event))
+
+      expect(handled).toBeFalsy()
+      expect(event.preventDefault).not.toHaveBeenCalled()
+
+      editor.destroy()
+    })
+  })
+
+  describe('figure and caption - Requirement 3.3', () => {
+    const figureHTML = '<figure><img src="https://example.com/cat.png" alt="Cat"><figcaption>A sleepy cat</figcaption></figure>'
+
+    it('renders images as figure with figcaption', () => {
+      const editor = createEditor()
+      editor.commands.setImage({ src: 'https://example.com/cat.png', caption: 'A sleepy cat' })
+
+      const html = editor.getHTML()
+      expect(html).toMatch(/<figure[^>]*><img[^>]*src="https:\/\/example.com\/cat.png"[^>]*><figcaption>A sleepy cat<\/figcaption><\/figure>/)
+      expect(html).not.toContain('data-caption')
+
+      editor.destroy()
+    })
+
+    it('parses existing figure markup', () => {
+      const editor = createEditor(figureHTML)
+
+      const imageNode = editor.getJSON().content.find(node => node.type === 'image')
+      expect(imageNode.attrs).toMatchObject({
+        src: 'https://example.com/cat.png',
+        alt: 'Cat',
+        caption: 'A sleepy cat'
+      })
+
+      editor.destroy()
+    })
+
+    it('keeps the caption as the image title in Markdown', () => {
+      const editor = createEditor(figureHTML)
+
+      const markdown = editor.getMarkdown()
+      expect(markdown).toContain('![Cat](https://example.com/cat.png "A sleepy cat")')
+      expect(toMarkdown(editor.getHTML())).toContain('![Cat](https://example.com/cat.png "A sleepy cat")')
+
+      const reimported = createEditor(toHTML(markdown))
+      const imageNode = reimported.getJSON().content.find(node => node.type === 'image')
+      expect(imageNode.attrs.caption).toBe('A sleepy cat')
+
+      reimported.destroy()
+      editor.destroy()
+    })
+
+    it('edits the caption in place', () => {
+      const editor = createEditor(figureHTML)
+      const caption = editor.view.dom.querySelector('figcaption')
+
+      expect(caption.textContent).toBe('A sleepy cat')
+      expect(caption.contentEditable).toBe('true')
+
+      caption.textContent = 'A very sleepy cat'
+      caption.dispatchEvent(new Event('input'))
+
+      const imageNode = editor.getJSON().content.find(node => node.type === 'image')
+      expect(imageNode.attrs.caption).toBe('A very sleepy cat')
+
+      editor.destroy()
+    })
+  })
 })
@@ -0,0 +1,318 @@
+import { getRenderedAttributes, mergeAttributes } from '@tiptap/core'
+import { NodeSelection } from '@tiptap/pm/state'
+import { calculateAspectRatioDimensions } from '../utils/imageUtils'
+
+/**
+ * Image Resize
+ *
+ * Provides the node view used by CustomImage, plus the dimension math shared
+ * by mouse and keyboard resizing:
+ * - Images render as <figure><img><figcaption>
+ * - Corner and edge handles, aspect ratio locked by default
+ * - Holding Shift while dragging unlocks the aspect ratio
+ * - A tooltip shows the live dimensions while dragging
+ * - The final size is persisted to the image's width/height attributes
+ * - The caption is edited in place and stored in the caption attribute
+ *
+ * Requirements: 2.1, 2.2, 3.3
+ */
+
+/**
+ * Smallest width or height an image can be resized to
+ */
+export const MIN_IMAGE_SIZE = 20
+
+/**
+ * Step in pixels for keyboard resizing
+ */
+export const KEYBOARD_RESIZE_STEP = 10
+
+/**
+ * Resize handles and the direction each one moves along each axis
+ * (1 grows when the pointer moves right/down, -1 when it moves left/up)
+ */
+export const RESIZE_HANDLES = {
+  nw: { x: -1, y: -1 },
+  n: { x: 0, y: -1 },
+  ne: { x: 1, y: -1 },
+  e: { x: 1, y: 0 },
+  se: { x: 1, y: 1 },
+  s: { x: 0, y: 1 },
+  sw: { x: -1, y: 1 },
+  w: { x: -1, y: 0 }
+}
+
+/**
+ * Calculate new image dimensions for a resize gesture
+ * Requirement 2.2: Resize proportionally while maintaining aspect ratio
+ *
+ * @param {{ width: number, height: number }} start - Dimensions when the gesture started
+ * @param {Object} options
+ * @param {string} options.handle - Handle being dragged (see RESIZE_HANDLES)
+ * @param {number} [options.dx=0] - Horizontal pointer movement in pixels
+ * @param {number} [options.dy=0] - Vertical pointer movement in pixels
+ * @param {boolean} [options.lockAspectRatio=true] - Keep the original aspect ratio
+ * @param {number} [options.maxWidth] - Maximum width (e.g. the editor width)
+ * @returns {{ width: number, height: number }} New dimensions
+ */
+export function getResizedDimensions(start, { handle, dx = 0, dy = 0, lockAspectRatio = true, maxWidth } = {}) {
+  const direction = RESIZE_HANDLES[handle]
+  if (!direction || !start?.width || !start?.height) {
+    return { width: start?.width || 0, height: start?.height || 0 }
+  }
+
+  const targetWidth = Math.max(MIN_IMAGE_SIZE, Math.round(start.width + dx * direction.x))
+  const targetHeight = Math.max(MIN_IMAGE_SIZE, Math.round(start.height + dy * direction.y))
+
+  if (lockAspectRatio) {
+    // Corner and side handles follow the width; top and bottom handles follow the height
+    const constraints = direction.x !== 0 ? { targetWidth } : { targetHeight }
+    return calculateAspectRatioDimensions(start.width, start.height, { ...constraints, maxWidth })
+  }
+
+  const width = direction.x !== 0 ? targetWidth : start.width
+  return {
+    width: maxWidth ? Math.min(width, maxWidth) : width,
+    height: direction.y !== 0 ? targetHeight : start.height
+  }
+}
+
+/**
+ * Get the current size of an image node
+ * Uses the stored attributes, falling back to the rendered size.
+ *
+ * @param {EditorView} view - ProseMirror view
+ * @param {number} pos - Position of the image node
+ * @param {Node} node - The image node
+ * @returns {{ width: number, height: number }|null}
+ */
+export function getImageSize(view, pos, node) {
+  if (node.attrs.width && node.attrs.height) {
+    return { width: node.attrs.width, height: node.attrs.height }
+  }
+
+  const dom = view.nodeDOM(pos)
+  const img = dom?.tagName === 'IMG' ? dom : dom?.querySelector?.('img')
+  if (!img?.offsetWidth || !img?.offsetHeight) return null
+
+  return { width: img.offsetWidth, height: img.offsetHeight }
+}
+
+/**
+ * Get the widest an image may become inside the editor
+ */
+function getMaxWidth(view) {
+  return view.dom.clientWidth || undefined
+}
+
+/**
+ * Create a transaction that persists new dimensions on an image node
+ * and keeps it selected
+ */
+function setImageSize(tr, pos, node, { width, height }) {
+  tr.setNodeMarkup(pos, undefined, { ...node.attrs, width, height })
+  return tr.setSelection(NodeSelection.create(tr.doc, pos))
+}
+
+/**
+ * Command: resize the selected image by a number of pixels
+ * Requirement 2.2: Keyboard resizing of the selected image
+ *
+ * @param {Object} options
+ * @param {number} [options.width=0] - Width change in pixels
+ * @param {number} [options.height=0] - Height change in pixels
+ * @param {boolean} [options.lockAspectRatio=true] - Keep the aspect ratio
+ */
+export const resizeImageBy = ({ width = 0, height = 0, lockAspectRatio = true } = {}) => ({ state, tr, view, dispatch }) => {
+  const { selection } = state
+  const node = selection instanceof NodeSelection ? selection.node : null
+  if (node?.type.name !== 'image') return false
+
+  const start = getImageSize(view, selection.from, node)
+  if (!start) return false
+
+  const size = getResizedDimensions(start, {
+    handle: width !== 0 ? 'e' : 's',
+    dx: width,
+    dy: height,
+    lockAspectRatio,
+    maxWidth: getMaxWidth(view)
+  })
+
+  if (dispatch) {
+    setImageSize(tr, selection.from, node, size)
+  }
+  return true
+}
+
+/**
+ * Apply node attributes to the rendered <img>
+ */
+function applyImageAttributes(img, HTMLAttributes) {
+  Array.from(img.attributes).forEach(attr => img.removeAttribute(attr.name))
+  Object.entries(HTMLAttributes).forEach(([name, value]) => {
+    if (value !== null && value !== undefined && value !== false) {
+      img.setAttribute(name, value)
+    }
+  })
+}
+
+/**
+ * Get the rendered HTML attributes of an image node
+ */
+function getImageHTMLAttributes(editor, node) {
+  const image = editor.extensionManager.extensions.find(ext => ext.name === 'image')
+  return mergeAttributes(
+    image?.options.HTMLAttributes || {},
+    getRenderedAttributes(node, editor.extensionManager.attributes)
+  )
+}
+
+/**
+ * Create the resizable image node view
+ * Requirement 2.1: Drag handles on the selected image
+ * Requirement 3.3: Caption editable in place
+ *
+ * @param {Object} props - Tiptap node view props
+ * @returns {Object} ProseMirror node view
+ */
+export function createResizableImageView({ node, HTMLAttributes, editor, getPos }) {
+  let currentNode = node
+
+  const dom = document.createElement('figure')
+  dom.className = 'image-resizer'
+  dom.dataset.alignment = node.attrs.alignment
+
+  const frame = document.createElement('span')
+  frame.className = 'image-resizer-frame'
+
+  const img = document.createElement('img')
+  applyImageAttributes(img, HTMLAttributes)
+  frame.appendChild(img)
+
+  const tooltip = document.createElement('span')
+  tooltip.className = 'image-resize-tooltip'
+  tooltip.hidden = true
+  frame.appendChild(tooltip)
+
+  let drag = null
+
+  const handlePointerMove = (event) => {
+    if (!drag) return
+    event.preventDefault()
+
+    drag.size = getResizedDimensions(drag.start, {
+      handle: drag.handle,
+      dx: event.clientX - drag.startX,
+      dy: event.clientY - drag.startY,
+      lockAspectRatio: !event.shiftKey,
+      maxWidth: getMaxWidth(editor.view)
+    })
+
+    img.style.width = `${drag.size.width}px`
+    img.style.height = `${drag.size.height}px`
+    tooltip.textContent = `${drag.size.width} × ${drag.size.height}`
+  }
+
+  const handlePointerUp = () => {
+    if (!drag) return
+    const { size } = drag
+    drag = null
+
+    document.removeEventListener('pointermove', handlePointerMove)
+    document.removeEventListener('pointerup', handlePointerUp)
+    dom.classList.remove('is-resizing')
+    tooltip.hidden = true
+    img.style.width = ''
+    img.style.height = ''
+
+    const pos = typeof getPos === 'function' ? getPos() : null
+    if (!size || typeof pos !== 'number' || editor.isDestroyed) return
+
+    editor.view.dispatch(setImageSize(editor.state.tr, pos, currentNode, size))
+  }
+
+  Object.keys(RESIZE_HANDLES).forEach(handle => {
+    const element = document.createElement('span')
+    element.className = `image-resize-handle image-resize-handle--${handle}`
+    element.dataset.handle = handle
+
+    element.addEventListener('pointerdown', (event) => {
+      if (!editor.isEditable || event.button !== 0) return
+      event.preventDefault()
+      event.stopPropagation()
+
+      drag = {
+        handle,
+        startX: event.clientX,
+        startY: event.clientY,
+        start: { width: img.offsetWidth, height: img.offsetHeight },
+        size: null
+      }
+
+      dom.classList.add('is-resizing')
+      tooltip.textContent = `${img.offsetWidth} × ${img.offsetHeight}`
+      tooltip.hidden = false
+      document.addEventListener('pointermove', handlePointerMove)
+      document.addEventListener('pointerup', handlePointerUp)
+    })
+
+    frame.appendChild(element)
+  })
+
+  dom.appendChild(frame)
+
+  const caption = document.createElement('figcaption')
+  caption.className = 'image-caption'
+  caption.contentEditable = editor.isEditable ? 'true' : 'false'
+  caption.dataset.placeholder = '添加图片说明'
+  caption.textContent = node.attrs.caption || ''
+
+  // Store the caption as it is typed
+  caption.addEventListener('input', () => {
+    const pos = typeof getPos === 'function' ? getPos() : null
+    if (typeof pos !== 'number' || editor.isDestroyed) return
+
+    const text = caption.textContent
+    editor.view.dispatch(editor.state.tr.setNodeMarkup(pos, undefined, {
+      ...currentNode.attrs,
+      caption: text
+    }))
+  })
+
+  // Enter and Escape leave the caption and select the image again
+  caption.addEventListener('keydown', (event) => {
+    if (event.key !== 'Enter' && event.key !== 'Escape') return
+    event.preventDefault()
+
+    const pos = typeof getPos === 'function' ? getPos() : null
+    if (typeof pos !== 'number') return
+    editor.chain().focus().setNodeSelection(pos).run()
+  })
+
+  dom.appendChild(caption)
+
+  return {
+    dom,
+    update(updatedNode) {
+      if (updatedNode.type !== currentNode.type) return false
+      currentNode = updatedNode
+      dom.dataset.alignment = updatedNode.attrs.alignment
+      applyImageAttributes(img, getImageHTMLAttributes(editor, updatedNode))
+
+      // Don't overwrite the caption while it is being typed (keeps the cursor in place)
+      const text = updatedNode.attrs.caption || ''
+      if (caption.textContent !== text) {
+        caption.textContent = text
+      }
+      return true
+    },
+    // Pointer events on the handles and events inside the caption are handled by the node view
+    stopEvent: (event) => Boolean(event.target?.dataset?.handle) || caption.contains(event.target),
+    ignoreMutation: () => true,
+    destroy() {
+      document.removeEventListener('pointermove', handlePointerMove)
+      document.removeEventListener('pointerup', handlePointerUp)
+    }
+  }
+}
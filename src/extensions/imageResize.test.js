@@ -0,0 +1,111 @@
+import { describe, it, expect } from 'vitest'
+import { Editor } from '@tiptap/core'
+import StarterKit from '@tiptap/starter-kit'
+import { CustomImage } from './imageExtension'
+import { getResizedDimensions, MIN_IMAGE_SIZE, KEYBOARD_RESIZE_STEP } from './imageResize'
+
+/**
+ * Tests for image resizing
+ * Requirements: 2.1, 2.2
+ */
+
+function createEditor(content = '<p></p>') {
+  return new Editor({
+    extensions: [
+      StarterKit,
+      CustomImage
+    ],
+    content
+  })
+}
+
+function findImage(editor) {
+  return editor.getJSON().content.find(node => node.type === 'image')
+}
+
+function selectImage(editor) {
+  let imagePos = null
+  editor.state.doc.descendants((node, pos) => {
+    if (node.type.name === 'image') imagePos = pos
+  })
+  editor.commands.setNodeSelection(imagePos)
+}
+
+describe('Image Resize', () => {
+  describe('getResizedDimensions', () => {
+    const start = { width: 400, height: 200 }
+
+    it('keeps the aspect ratio when dragging a corner - Requirement 2.2', () => {
+      expect(getResizedDimensions(start, { handle: 'se', dx: 100, dy: 10 })).toEqual({ width: 500, height: 250 })
+      expect(getResizedDimensions(start, { handle: 'nw', dx: 100, dy: 0 })).toEqual({ width: 300, height: 150 })
+    })
+
+    it('follows the height for top and bottom handles', () => {
+      expect(getResizedDimensions(start, { handle: 's', dy: 50 })).toEqual({ width: 500, height: 250 })
+      expect(getResizedDimensions(start, { handle: 'n', dy: 50 })).toEqual({ width: 300, height: 150 })
+    })
+
+    it('changes each axis independently when the aspect ratio is unlocked', () => {
+      expect(getResizedDimensions(start, { handle: 'se', dx: 100, dy: 10, lockAspectRatio: false }))
+        .toEqual({ width: 500, height: 210 })
+      expect(getResizedDimensions(start, { handle: 'e', dx: -50, dy: 30, lockAspectRatio: false }))
+        .toEqual({ width: 350, height: 200 })
+    })
+
+    it('respects the minimum size and the maximum width', () => {
+      expect(getResizedDimensions(start, { handle: 'e', dx: -1000, lockAspectRatio: false }).width).toBe(MIN_IMAGE_SIZE)
+      expect(getResizedDimensions(start, { handle: 'e', dx: 1000, maxWidth: 600 })).toEqual({ width: 600, height: 300 })
+    })
+  })
+
+  describe('node view', () => {
+    it('renders the image with resize handles and a hidden tooltip - Requirement 2.1', () => {
+      const editor = createEditor('<img src="https://example.com/a.png" width="400" height="200">')
+
+      const wrapper = editor.view.dom.querySelector('.image-resizer')
+      expect(wrapper).not.toBeNull()
+      expect(wrapper.querySelector('img').getAttribute('width')).toBe('400')
+      expect(wrapper.querySelectorAll('.image-resize-handle')).toHaveLength(8)
+      expect(wrapper.querySelector('.image-resize-tooltip').hidden).toBe(true)
+
+      editor.destroy()
+    })
+
+    it('updates the rendered image when attributes change', () => {
+      const editor = createEditor('<img src="https://example.com/a.png" width="400" height="200">')
+      selectImage(editor)
+
+      editor.commands.updateImageAttributes({ width: 320, height: 160, alignment: 'left' })
+
+      const wrapper = editor.view.dom.querySelector('.image-resizer')
+      expect(wrapper.dataset.alignment).toBe('left')
+      expect(wrapper.querySelector('img').getAttribute('width')).toBe('320')
+
+      editor.destroy()
+    })
+  })
+
+  describe('keyboard resizing', () => {
+    it('resizes the selected image and persists width/height - Requirement 2.2', () => {
+      const editor = createEditor('<img src="https://example.com/a.png" width="400" height="200">')
+      selectImage(editor)
+
+      expect(editor.commands.resizeImageBy({ width: KEYBOARD_RESIZE_STEP })).toBe(true)
+      expect(findImage(editor).attrs).toMatchObject({ width: 410, height: 205 })
+
+      expect(editor.commands.resizeImageBy({ height: -5, lockAspectRatio: false })).toBe(true)
+      expect(findImage(editor).attrs).toMatchObject({ width: 410, height: 200 })
+      expect(editor.state.selection.node?.type.name).toBe('image')
+
+      editor.destroy()
+    })
+
+    it('does nothing without a selected image', () => {
+      const editor = createEditor('<p>Text</p>')
+
+      expect(editor.commands.resizeImageBy({ width: KEYBOARD_RESIZE_STEP })).toBe(false)
+
+      editor.destroy()
+    })
+  })
+})
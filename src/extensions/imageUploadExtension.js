@@ -0,0 +1,392 @@
+import { Node } from '@tiptap/core'
+import { Plugin, PluginKey } from '@tiptap/pm/state'
+import { fileToBase64 } from '../utils/imageUtils'
+import { showError } from '../utils/notifications'
+
+/**
+ * Image Upload Extension
+ *
+ * Provides a placeholder node shown while an image file is uploaded through
+ * the `uploadImage` adapter configured on CustomImage:
+ *
+ *   uploadImage(file, { onProgress }) => Promise<{ src }>
+ *
+ * - The placeholder displays the file name and upload progress
+ * - On success it is replaced by an image node with the returned src
+ * - On failure it offers retry and remove actions
+ * - It is left out of HTML, Markdown and the JSON from removeUploadPlaceholders,
+ *   so a half-finished document is never saved
+ * - A placeholder that is deleted or undone forgets its file
+ * - Without an adapter, files are embedded as base64 (previous behavior)
+ *
+ * Requirements: 1.3
+ */
+
+const imageUploadKey = new PluginKey('imageUpload')
+
+let uploadCounter = 0
+
+/**
+ * Create a unique id linking a placeholder node to its pending file
+ * @returns {string}
+ */
+function createUploadId() {
+  uploadCounter += 1
+  return `upload-${Date.now().toString(36)}-${uploadCounter}`
+}
+
+/**
+ * Get the upload adapter configured on the image extension
+ *
+ * @param {Editor} editor - The Tiptap editor instance
+ * @returns {Function|null} The uploadImage adapter, or null if none is set
+ */
+export function getUploadAdapter(editor) {
+  const adapter = editor?.storage.image?.uploadImage
+  return typeof adapter === 'function' ? adapter : null
+}
+
+/**
+ * Set the upload adapter of the image extension
+ * Uploads started afterwards, including retries, use the new adapter.
+ *
+ * @param {Editor} editor - The Tiptap editor instance
+ * @param {Function|null} adapter - The uploadImage adapter, or null to embed files as base64
+ */
+export function setUploadAdapter(editor, adapter) {
+  if (editor?.storage.image) {
+    editor.storage.image.uploadImage = adapter
+  }
+}
+
+/**
+ * Remove upload placeholders from a JSON document
+ *
+ * @param {Object} json - Document JSON (editor.getJSON())
+ * @returns {Object} The document without imageUpload nodes
+ */
+export function removeUploadPlaceholders(json) {
+  if (!json?.content) {
+    return json
+  }
+  return {
+    ...json,
+    content: json.content
+      .filter(node => node.type !== 'imageUpload')
+      .map(removeUploadPlaceholders)
+  }
+}
+
+/**
+ * Find a placeholder node by upload id
+ *
+ * @param {Node} doc - ProseMirror document
+ * @param {string} uploadId - Upload id
+ * @returns {{ node: Node, pos: number }|null}
+ */
+export function findUploadPlaceholder(doc, uploadId) {
+  let result = null
+  doc.descendants((node, pos) => {
+    if (result) return false
+    if (node.type.name === 'imageUpload' && node.attrs.uploadId === uploadId) {
+      result = { node, pos }
+      return false
+    }
+  })
+  return result
+}
+
+/**
+ * Update placeholder attributes without adding a history step
+ * Progress and error updates are not user edits and must not be undoable.
+ */
+function setPlaceholderAttrs(editor, uploadId, attrs) {
+  if (editor.isDestroyed) return
+
+  const found = findUploadPlaceholder(editor.state.doc, uploadId)
+  if (!found) return
+
+  const tr = editor.state.tr
+    .setNodeMarkup(found.pos, undefined, { ...found.node.attrs, ...attrs })
+    .setMeta('addToHistory', false)
+  editor.view.dispatch(tr)
+}
+
+/**
+ * Replace a placeholder with the uploaded image
+ */
+function replacePlaceholder(editor, uploadId, imageAttrs) {
+  if (editor.isDestroyed) return
+
+  const found = findUploadPlaceholder(editor.state.doc, uploadId)
+  // The placeholder was removed (e.g. undone or deleted) while uploading
+  if (!found) return
+
+  const imageNode = editor.schema.nodes.image.create(imageAttrs)
+  const tr = editor.state.tr
+    .replaceWith(found.pos, found.pos + found.node.nodeSize, imageNode)
+    .setMeta('addToHistory', false)
+  editor.view.dispatch(tr)
+}
+
+/**
+ * Run (or re-run) the upload for a placeholder
+ *
+ * @param {Editor} editor - The Tiptap editor instance
+ * @param {string} uploadId - Upload id of the placeholder
+ * @returns {Promise<boolean>} Whether the upload succeeded
+ */
+async function runUpload(editor, uploadId) {
+  const pending = editor.storage.imageUpload.uploads.get(uploadId)
+  const adapter = getUploadAdapter(editor)
+  if (!pending || !adapter) return false
+
+  setPlaceholderAttrs(editor, uploadId, { status: 'uploading', progress: 0, error: null })
+
+  const onProgress = (percent) => {
+    const progress = Math.max(0, Math.min(100, Math.round(percent)))
+    setPlaceholderAttrs(editor, uploadId, { progress })
+  }
+
+  try {
+    const result = await adapter(pending.file, { onProgress })
+    if (!result?.src) {
+      throw new Error('Upload adapter did not return an image src')
+    }
+
+    replacePlaceholder(editor, uploadId, { ...pending.attrs, src: result.src })
+    editor.storage.imageUpload.uploads.delete(uploadId)
+    return true
+  } catch (error) {
+    console.error('Failed to upload image:', error)
+    setPlaceholderAttrs(editor, uploadId, {
+      status: 'error',
+      error: error?.message || 'Upload failed'
+    })
+    showError(`图片上传失败：${pending.file.name || ''}`)
+    return false
+  }
+}
+
+/**
+ * Insert an image file, uploading it through the configured adapter
+ * Requirement 1.3: Insert local image files
+ *
+ * Falls back to embedding the file as base64 when no adapter is configured.
+ *
+ * @param {Editor} editor - The Tiptap editor instance
+ * @param {File} file - Image file to insert
+ * @param {Object} [options]
+ * @param {number} [options.pos] - Document position to insert at (defaults to the selection)
+ * @param {Object} [options.attrs] - Extra image attributes (alt, caption, alignment, ...)
+ * @returns {Promise<boolean>} Whether an image was inserted
+ */
+export async function uploadImageFile(editor, file, { pos, attrs = {} } = {}) {
+  if (!editor || editor.isDestroyed || !file) return false
+
+  const imageAttrs = { alt: file.name || '', ...attrs }
+  const insertAt = (content) => {
+    const chain = editor.chain().focus()
+    if (typeof pos === 'number') {
+      return chain.insertContentAt(Math.min(pos, editor.state.doc.content.size), content).run()
+    }
+    return chain.insertContent(content).run()
+  }
+
+  const adapter = getUploadAdapter(editor)
+  if (!adapter) {
+    const src = await fileToBase64(file)
+    if (editor.isDestroyed) return false
+    return insertAt({ type: 'image', attrs: { ...imageAttrs, src } })
+  }
+
+  const uploadId = createUploadId()
+  editor.storage.imageUpload.uploads.set(uploadId, { file, attrs: imageAttrs })
+
+  insertAt({
+    type: 'imageUpload',
+    attrs: { uploadId, fileName: file.name || '', progress: 0, status: 'uploading' }
+  })
+
+  return runUpload(editor, uploadId)
+}
+
+/**
+ * Render the placeholder contents
+ */
+function renderPlaceholder(dom, node, editor) {
+  const { uploadId, fileName, progress, status, error } = node.attrs
+  dom.replaceChildren()
+  dom.classList.toggle('is-error', status === 'error')
+
+  const label = document.createElement('div')
+  label.className = 'image-upload-label'
+  label.textContent = status === 'error'
+    ? `上传失败：${fileName}`
+    : `正在上传 ${fileName}… ${progress}%`
+  dom.appendChild(label)
+
+  if (status === 'error') {
+    if (error) {
+      label.title = error
+    }
+
+    const actions = document.createElement('div')
+    actions.className = 'image-upload-actions'
+
+    const retryButton = document.createElement('button')
+    retryButton.type = 'button'
+    retryButton.textContent = '重试'
+    retryButton.addEventListener('click', () => editor.commands.retryImageUpload(uploadId))
+
+    const removeButton = document.createElement('button')
+    removeButton.type = 'button'
+    removeButton.textContent = '移除'
+    removeButton.addEventListener('click', () => editor.commands.removeImageUpload(uploadId))
+
+    actions.append(retryButton, removeButton)
+    dom.appendChild(actions)
+    return
+  }
+
+  const bar = document.createElement('div')
+  bar.className = 'image-upload-progress'
+  bar.setAttribute('role', 'progressbar')
+  bar.setAttribute('aria-valuemin', '0')
+  bar.setAttribute('aria-valuemax', '100')
+  bar.setAttribute('aria-valuenow', String(progress))
+
+  const fill = document.createElement('div')
+  fill.className = 'image-upload-progress-fill'
+  fill.style.width = `${progress}%`
+  bar.appendChild(fill)
+  dom.appendChild(bar)
+}
+
+/**
+ * Image upload placeholder node
+ */
+export const ImageUploadPlaceholder = Node.create({
+  name: 'imageUpload',
+  group: 'block',
+  atom: true,
+  selectable: true,
+  draggable: false,
+
+  addStorage() {
+    return {
+      // uploadId → { file, attrs } for pending and failed uploads
+      uploads: new Map()
+    }
+  },
+
+  addAttributes() {
+    return {
+      uploadId: { default: null },
+      fileName: { default: '' },
+      progress: { default: 0 },
+      status: { default: 'uploading' },
+      error: { default: null }
+    }
+  },
+
+  // Placeholders are transient and never parsed back from HTML
+  parseHTML() {
+    return []
+  },
+
+  // Only shown in the editor (see the node view); exports leave it out
+  renderHTML() {
+    return ''
+  },
+
+  addCommands() {
+    return {
+      /**
+       * Retry a failed upload
+       */
+      retryImageUpload: (uploadId) => ({ editor, tr, dispatch }) => {
+        const found = findUploadPlaceholder(tr.doc, uploadId)
+        if (!found || !editor.storage.imageUpload.uploads.has(uploadId)) return false
+
+        if (dispatch) {
+          tr.setNodeMarkup(found.pos, undefined, {
+            ...found.node.attrs,
+            status: 'uploading',
+            progress: 0,
+            error: null
+          }).setMeta('addToHistory', false)
+          // Start the upload once this transaction has been applied
+          queueMicrotask(() => runUpload(editor, uploadId))
+        }
+        return true
+      },
+
+      /**
+       * Remove an upload placeholder and forget its file
+       */
+      removeImageUpload: (uploadId) => ({ editor, tr, dispatch }) => {
+        const found = findUploadPlaceholder(tr.doc, uploadId)
+        if (!found) return false
+
+        if (dispatch) {
+          tr.delete(found.pos, found.pos + found.node.nodeSize)
+          editor.storage.imageUpload.uploads.delete(uploadId)
+        }
+        return true
+      }
+    }
+  },
+
+  addProseMirrorPlugins() {
+    const { uploads } = this.storage
+
+    return [
+      new Plugin({
+        key: imageUploadKey,
+        // Forget the files of placeholders that were deleted or undone
+        appendTransaction: (transactions, _oldState, newState) => {
+          if (!uploads.size || !transactions.some(transaction => transaction.docChanged)) {
+            return null
+          }
+
+          const present = new Set()
+          newState.doc.descendants(node => {
+            if (node.type.name === 'imageUpload') {
+              present.add(node.attrs.uploadId)
+            }
+            return !node.isTextblock
+          })
+          Array.from(uploads.keys())
+            .filter(uploadId => !present.has(uploadId))
+            .forEach(uploadId => uploads.delete(uploadId))
+          return null
+        }
+      })
+    ]
+  },
+
+  addNodeView() {
+    return ({ node, editor }) => {
+      const dom = document.createElement('div')
+      dom.className = 'image-upload-placeholder'
+      dom.dataset.type = 'image-upload'
+      dom.contentEditable = 'false'
+      renderPlaceholder(dom, node, editor)
+
+      return {
+        dom,
+        update(updatedNode) {
+          if (updatedNode.type.name !== 'imageUpload') return false
+          renderPlaceholder(dom, updatedNode, editor)
+          return true
+        },
+        // Button clicks inside the placeholder are handled by the node view
+        stopEvent: (event) => event.type === 'click' || event.type === 'mousedown',
+        ignoreMutation: () => true
+      }
+    }
+  }
+})
+
+export default ImageUploadPlaceholder
@@ -0,0 +1,170 @@
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { Editor } from '@tiptap/core'
+import StarterKit from '@tiptap/starter-kit'
+import { CustomImage } from './imageExtension'
+import {
+  uploadImageFile,
+  findUploadPlaceholder,
+  setUploadAdapter,
+  removeUploadPlaceholders
+} from './imageUploadExtension'
+
+vi.mock('../utils/notifications', () => ({
+  showError: vi.fn()
+}))
+
+/**
+ * Tests for the image upload adapter and placeholder node
+ * Requirements: 1.3
+ */
+
+function createEditor(uploadImage = null) {
+  return new Editor({
+    extensions: [
+      StarterKit,
+      CustomImage.configure({ uploadImage })
+    ],
+    content: '<p></p>'
+  })
+}
+
+function png() {
+  return new File([new Uint8Array([137, 80, 78, 71])], 'shot.png', { type: 'image/png' })
+}
+
+function findNode(editor, type) {
+  return editor.getJSON().content.find(node => node.type === type)
+}
+
+/**
+ * In-memory adapter whose uploads are settled manually by the test
+ */
+function createDeferredAdapter() {
+  const calls = []
+  const adapter = vi.fn((file, { onProgress }) => new Promise((resolve, reject) => {
+    calls.push({ file, onProgress, resolve, reject })
+  }))
+  return { adapter, calls }
+}
+
+describe('Image Upload Extension', () => {
+  let editor
+
+  afterEach(() => {
+    editor?.destroy()
+    editor = null
+  })
+
+  it('embeds the file as base64 when no adapter is configured', async () => {
+    editor = createEditor()
+
+    expect(await uploadImageFile(editor, png())).toBe(true)
+
+    expect(findNode(editor, 'image').attrs.src).toMatch(/^data:image\/png;base64,/)
+    expect(findNode(editor, 'imageUpload')).toBeUndefined()
+  })
+
+  it('shows a placeholder with progress while uploading', () => {
+    const { adapter, calls } = createDeferredAdapter()
+    editor = createEditor(adapter)
+
+    uploadImageFile(editor, png())
+
+    const placeholder = findNode(editor, 'imageUpload')
+    expect(placeholder.attrs.fileName).toBe('shot.png')
+    expect(placeholder.attrs.status).toBe('uploading')
+    expect(adapter).toHaveBeenCalledTimes(1)
+
+    calls[0].onProgress(42.4)
+    expect(findNode(editor, 'imageUpload').attrs.progress).toBe(42)
+  })
+
+  it('replaces the placeholder with the uploaded image', async () => {
+    const { adapter, calls } = createDeferredAdapter()
+    editor = createEditor(adapter)
+
+    const pending = uploadImageFile(editor, png(), { attrs: { alt: 'Screenshot' } })
+    calls[0].resolve({ src: 'https://cdn.example.com/shot.png' })
+
+    expect(await pending).toBe(true)
+    expect(findNode(editor, 'imageUpload')).toBeUndefined()
+
+    const image = findNode(editor, 'image')
+    expect(image.attrs.src).toBe('https://cdn.example.com/shot.png')
+    expect(image.attrs.alt).toBe('Screenshot')
+    expect(editor.storage.imageUpload.uploads.size).toBe(0)
+  })
+
+  it('marks the placeholder as failed and retries on demand', async () => {
+    const { adapter, calls } = createDeferredAdapter()
+    editor = createEditor(adapter)
+
+    const pending = uploadImageFile(editor, png())
+    calls[0].reject(new Error('Network error'))
+
+    expect(await pending).toBe(false)
+    const failed = findNode(editor, 'imageUpload')
+    expect(failed.attrs.status).toBe('error')
+    expect(failed.attrs.error).toBe('Network error')
+
+    expect(editor.commands.retryImageUpload(failed.attrs.uploadId)).toBe(true)
+    expect(findNode(editor, 'imageUpload').attrs.status).toBe('uploading')
+
+    await vi.waitFor(() => expect(adapter).toHaveBeenCalledTimes(2))
+    calls[1].resolve({ src: 'https://cdn.example.com/shot.png' })
+    await vi.waitFor(() => {
+      expect(findNode(editor, 'image')?.attrs.src).toBe('https://cdn.example.com/shot.png')
+    })
+  })
+
+  it('removes a failed placeholder', async () => {
+    const adapter = vi.fn().mockRejectedValue(new Error('Forbidden'))
+    editor = createEditor(adapter)
+
+    await uploadImageFile(editor, png())
+    const { uploadId } = findNode(editor, 'imageUpload').attrs
+
+    expect(editor.commands.removeImageUpload(uploadId)).toBe(true)
+    expect(findUploadPlaceholder(editor.state.doc, uploadId)).toBeNull()
+    expect(editor.storage.imageUpload.uploads.has(uploadId)).toBe(false)
+  })
+
+  it('leaves pending uploads out of the HTML and JSON output', () => {
+    const { adapter } = createDeferredAdapter()
+    editor = createEditor(adapter)
+    editor.commands.setContent('<p>Text</p>')
+
+    uploadImageFile(editor, png(), { pos: editor.state.doc.content.size })
+
+    expect(findNode(editor, 'imageUpload')).toBeDefined()
+    expect(editor.getHTML()).toBe('<p>Text</p><p></p>')
+    expect(removeUploadPlaceholders(editor.getJSON()).content.map(node => node.type)).toEqual(['paragraph', 'paragraph'])
+  })
+
+  it('forgets the file when the placeholder is deleted or undone', async () => {
+    const adapter = vi.fn().mockRejectedValue(new Error('Forbidden'))
+    editor = createEditor(adapter)
+
+    await uploadImageFile(editor, png())
+    const { uploadId } = findNode(editor, 'imageUpload').attrs
+    const { pos } = findUploadPlaceholder(editor.state.doc, uploadId)
+    editor.commands.deleteRange({ from: pos, to: pos + 1 })
+
+    expect(editor.storage.imageUpload.uploads.has(uploadId)).toBe(false)
+
+    uploadImageFile(editor, png())
+    editor.commands.undo()
+    expect(findNode(editor, 'imageUpload')).toBeUndefined()
+    expect(editor.storage.imageUpload.uploads.size).toBe(0)
+  })
+
+  it('uses an adapter set after the editor was created', async () => {
+    editor = createEditor()
+    const adapter = vi.fn().mockResolvedValue({ src: 'https://cdn.example.com/shot.png' })
+    setUploadAdapter(editor, adapter)
+
+    expect(await uploadImageFile(editor, png())).toBe(true)
+    expect(adapter).toHaveBeenCalledTimes(1)
+    expect(findNode(editor, 'image').attrs.src).toBe('https://cdn.example.com/shot.png')
+  })
+})
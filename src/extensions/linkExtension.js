@@ -0,0 +1,177 @@
+import Link, { isAllowedUri } from '@tiptap/extension-link'
+import { getMarkRange } from '@tiptap/core'
+
+/**
+ * Link Extension
+ *
+ * Extends @tiptap/extension-link with:
+ * - applyLink / removeLink commands used by the link popover
+ * - Mod-k to open the link popover
+ * - URL validation that follows the configured protocols and isAllowedUri
+ * - target="_self" for links that should not open in a new tab
+ *
+ * Pasting a URL over selected text links it (linkOnPaste, on by default).
+ *
+ * Requirements: 3.2, 3.3, 3.5
+ */
+
+/**
+ * Custom event name for requesting the link popover
+ * Handled by the TiptapEditor component that owns the editor
+ */
+export const OPEN_LINK_EDITOR_EVENT = 'open-link-editor'
+
+/**
+ * Target used for links that open in the same tab
+ */
+export const SAME_TAB_TARGET = '_self'
+
+/**
+ * Request the link popover for the current selection
+ * Requirement 3.2
+ *
+ * @param {Editor} editor - The Tiptap editor instance
+ */
+export function requestLinkEditor(editor) {
+  document.dispatchEvent(new CustomEvent(OPEN_LINK_EDITOR_EVENT, {
+    detail: { editor }
+  }))
+}
+
+/**
+ * Get the options of the editor's link extension
+ *
+ * @param {Editor} editor - The Tiptap editor instance
+ * @returns {Object|null} Link options, or null without a link extension
+ */
+export function getLinkOptions(editor) {
+  return editor?.extensionManager.extensions.find(extension => extension.name === 'link')?.options ?? null
+}
+
+/**
+ * Validate and normalize a URL typed into the link popover
+ * A bare domain ("example.com") gets the configured default protocol.
+ * The result must pass the link extension's isAllowedUri check.
+ * Requirement 3.3
+ *
+ * @param {Editor} editor - The Tiptap editor instance
+ * @param {string} input - URL as typed
+ * @returns {{ valid: boolean, href?: string, error?: string }}
+ */
+export function normalizeLinkUrl(editor, input) {
+  const options = getLinkOptions(editor) || {}
+  const protocols = options.protocols || []
+  const defaultProtocol = options.defaultProtocol || 'https'
+  let href = (input || '').trim()
+
+  if (!href) {
+    return { valid: false, error: '请输入链接地址' }
+  }
+  if (/\s/.test(href)) {
+    return { valid: false, error: '链接地址不能包含空格' }
+  }
+
+  // Bare domains and "www." addresses
+  const hasScheme = /^[a-z][a-z\d+.-]*:/i.test(href)
+  const isRelative = /^[/#?.]/.test(href)
+  if (!hasScheme && !isRelative) {
+    if (!/^[^/]+\.[^/.]+/.test(href)) {
+      return { valid: false, error: '链接地址无效' }
+    }
+    href = `${defaultProtocol}://${href}`
+  }
+
+  if (/^https?:/i.test(href)) {
+    try {
+      new URL(href)
+    } catch {
+      return { valid: false, error: '链接地址无效' }
+    }
+  }
+
+  const context = {
+    defaultValidate: url => !!isAllowedUri(url, protocols),
+    protocols,
+    defaultProtocol
+  }
+  const isAllowed = options.isAllowedUri ? options.isAllowedUri(href, context) : context.defaultValidate(href)
+  if (!isAllowed) {
+    return { valid: false, error: '不支持此类链接' }
+  }
+
+  return { valid: true, href }
+}
+
+/**
+ * Get the link at a position
+ *
+ * @param {EditorState} state - Editor state
+ * @param {number} pos - Document position inside the link text
+ * @returns {{ from: number, to: number, href: string, target: string|null }|null}
+ */
+export function getLinkAt(state, pos) {
+  const type = state.schema.marks.link
+  const $pos = state.doc.resolve(pos)
+  const range = getMarkRange($pos, type)
+  if (!range) return null
+
+  const mark = state.doc.nodeAt(range.from)?.marks.find(candidate => candidate.type === type)
+  if (!mark) return null
+
+  return { ...range, href: mark.attrs.href, target: mark.attrs.target }
+}
+
+/**
+ * Link mark with popover commands
+ */
+export const CustomLink = Link.extend({
+  addCommands() {
+    return {
+      ...this.parent?.(),
+
+      /**
+       * Link the selection, the link around the cursor, or insert the URL as linked text
+       * @param {Object} options
+       * @param {string} options.href - Normalized URL
+       * @param {boolean} [options.newTab=true] - Open in a new tab
+       */
+      applyLink: ({ href, newTab = true }) => ({ state, chain }) => {
+        const attrs = {
+          href,
+          target: newTab ? (this.options.HTMLAttributes.target || '_blank') : SAME_TAB_TARGET
+        }
+        const { empty, from } = state.selection
+
+        if (!empty) {
+          return chain().setLink(attrs).run()
+        }
+        if (getLinkAt(state, from)) {
+          return chain().extendMarkRange(this.name).setLink(attrs).run()
+        }
+        return chain()
+          .insertContent({ type: 'text', text: href, marks: [{ type: this.name, attrs }] })
+          .unsetMark(this.name)
+          .run()
+      },
+
+      /**
+       * Remove the link around the cursor or in the selection, keeping its text
+       */
+      removeLink: () => ({ chain }) => {
+        return chain().extendMarkRange(this.name).unsetLink().run()
+      }
+    }
+  },
+
+  addKeyboardShortcuts() {
+    return {
+      ...this.parent?.(),
+      'Mod-k': () => {
+        requestLinkEditor(this.editor)
+        return true
+      }
+    }
+  }
+})
+
+export default CustomLink
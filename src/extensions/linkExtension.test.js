@@ -0,0 +1,135 @@
+import { describe, it, expect, afterEach, vi } from 'vitest'
+import { Editor } from '@tiptap/core'
+import { Fragment, Slice } from '@tiptap/pm/model'
+import { getContentExtensions } from './contentExtensions'
+import { normalizeLinkUrl, getLinkAt, OPEN_LINK_EDITOR_EVENT } from './linkExtension'
+import { toHTML, toMarkdown } from '../utils/markdownConverter'
+
+/**
+ * Tests for link editing
+ * Requirements: 3.2, 3.3, 3.5
+ */
+
+let editor = null
+
+function createEditor(content = '<p></p>') {
+  editor = new Editor({
+    extensions: getContentExtensions(),
+    content
+  })
+  return editor
+}
+
+/**
+ * Find the position of the first occurrence of some text
+ */
+function findText(text) {
+  let found = null
+  editor.state.doc.descendants((node, pos) => {
+    if (found === null && node.isText && node.text.includes(text)) {
+      found = pos + node.text.indexOf(text)
+    }
+  })
+  return found
+}
+
+afterEach(() => {
+  editor?.destroy()
+  editor = null
+})
+
+describe('normalizeLinkUrl', () => {
+  it('adds the default protocol to bare domains', () => {
+    createEditor()
+    expect(normalizeLinkUrl(editor, ' example.com/docs ')).toEqual({ valid: true, href: 'https://example.com/docs' })
+    expect(normalizeLinkUrl(editor, 'www.example.com').href).toBe('https://www.example.com')
+  })
+
+  it('keeps full, mail and relative URLs', () => {
+    createEditor()
+    expect(normalizeLinkUrl(editor, 'http://example.com').href).toBe('http://example.com')
+    expect(normalizeLinkUrl(editor, 'mailto:me@example.com').href).toBe('mailto:me@example.com')
+    expect(normalizeLinkUrl(editor, '#section').href).toBe('#section')
+  })
+
+  it('rejects empty, malformed and unsafe URLs', () => {
+    createEditor()
+    expect(normalizeLinkUrl(editor, '').valid).toBe(false)
+    expect(normalizeLinkUrl(editor, 'not a url').valid).toBe(false)
+    expect(normalizeLinkUrl(editor, 'hello').valid).toBe(false)
+    expect(normalizeLinkUrl(editor, 'javascript:alert(1)').valid).toBe(false)
+  })
+})
+
+describe('link commands', () => {
+  it('links the selection', () => {
+    createEditor('<p>Visit docs now</p>')
+    const from = findText('docs')
+    editor.chain().setTextSelection({ from, to: from + 4 }).applyLink({ href: 'https://example.com' }).run()
+
+    const link = getLinkAt(editor.state, from + 1)
+    expect(link).toMatchObject({ from, to: from + 4, href: 'https://example.com', target: '_blank' })
+  })
+
+  it('updates the link around the cursor', () => {
+    createEditor('<p><a href="https://old.example.com">docs</a></p>')
+    editor.chain().setTextSelection(2).applyLink({ href: 'https://new.example.com', newTab: false }).run()
+
+    const link = getLinkAt(editor.state, 2)
+    expect(link).toMatchObject({ from: 1, to: 5, href: 'https://new.example.com', target: '_self' })
+    expect(editor.getHTML()).toContain('target="_self"')
+  })
+
+  it('inserts the URL as text when nothing is selected', () => {
+    createEditor()
+    editor.chain().setTextSelection(1).applyLink({ href: 'https://example.com' }).run()
+
+    expect(editor.getText()).toBe('https://example.com')
+    expect(getLinkAt(editor.state, 2).href).toBe('https://example.com')
+    expect(editor.isActive('link')).toBe(false)
+  })
+
+  it('removes the link around the cursor', () => {
+    createEditor('<p><a href="https://example.com">docs</a> text</p>')
+    editor.chain().setTextSelection(2).removeLink().run()
+
+    expect(editor.getHTML()).not.toContain('<a')
+    expect(editor.getText()).toBe('docs text')
+  })
+
+  it('links selected text when a URL is pasted over it', () => {
+    createEditor('<p>Visit docs now</p>')
+    const from = findText('docs')
+    editor.commands.setTextSelection({ from, to: from + 4 })
+    // Run the paste handlers directly (jsdom has no ClipboardEvent)
+    const { view } = editor
+    const slice = new Slice(Fragment.from(view.state.schema.text('https://example.com')), 0, 0)
+    view.someProp('handlePaste', handler => handler(view, new Event('paste'), slice))
+
+    expect(editor.getText()).toBe('Visit docs now')
+    expect(getLinkAt(editor.state, from + 1).href).toBe('https://example.com')
+  })
+
+  it('requests the link popover with Mod-k', () => {
+    createEditor('<p>text</p>')
+    const listener = vi.fn()
+    document.addEventListener(OPEN_LINK_EDITOR_EVENT, listener)
+
+    editor.view.someProp('handleKeyDown', handler => handler(editor.view, new KeyboardEvent('keydown', { key: 'k', ctrlKey: true })))
+    document.removeEventListener(OPEN_LINK_EDITOR_EVENT, listener)
+
+    expect(listener).toHaveBeenCalledOnce()
+    expect(listener.mock.calls[0][0].detail.editor).toBe(editor)
+  })
+})
+
+describe('link Markdown', () => {
+  it('writes new-tab links as Markdown', () => {
+    expect(toMarkdown('<p><a href="https://example.com" target="_blank">docs</a></p>')).toBe('[docs](https://example.com)')
+  })
+
+  it('keeps same-tab links as HTML', () => {
+    const markdown = toMarkdown('<p><a href="https://example.com" target="_self">docs</a></p>')
+    expect(toHTML(markdown)).toContain('target="_self"')
+  })
+})
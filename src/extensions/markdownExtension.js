@@ -0,0 +1,36 @@
+import { Markdown, assumeContentType } from '@tiptap/markdown'
+import { createMarkdownManager } from '../utils/markdownConverter'
+
+/**
+ * Editor Markdown Extension
+ *
+ * The @tiptap/markdown extension using the converter's Markdown manager, so
+ * editor.getMarkdown(), setContent(markdown, { contentType: 'markdown' }) and
+ * the toHTML/toMarkdown utilities share a single lossless pipeline.
+ *
+ * Requirements: 5.1-5.6, 6.1-6.3
+ */
+export const EditorMarkdown = Markdown.extend({
+  onBeforeCreate() {
+    if (this.editor.markdown) {
+      console.error('[EditorMarkdown]: There is already a `markdown` property on the editor instance.')
+      return
+    }
+
+    this.storage.manager = createMarkdownManager({
+      extensions: this.editor.extensionManager.baseExtensions,
+      schema: this.editor.schema,
+      indentation: this.options.indentation
+    })
+    this.editor.markdown = this.storage.manager
+    this.editor.getMarkdown = () => this.storage.manager.serialize(this.editor.getJSON())
+
+    // Parse Markdown initial content
+    const { content, contentType } = this.editor.options
+    if (contentType && typeof content === 'string' && assumeContentType(content, contentType) === 'markdown') {
+      this.editor.options.content = this.storage.manager.parse(content)
+    }
+  }
+})
+
+export default EditorMarkdown
@@ -1,4 +1,4 @@
-import Mathematics from '@tiptap/extension-mathematics'
+import Mathematics, { BlockMath, InlineMath } from '@tiptap/extension-mathematics'
 
 /**
  * Custom Mathematics Extension Configuration
@@ -7,8 +7,9 @@ import Mathematics from '@tiptap/extension-mathematics'
  * - KaTeX rendering options with error handling
  * - Input rules for $...$ (inline) and $$...$$ (block) syntax
  * - Error handling for invalid LaTeX
+ * - Markdown tokenizers that leave currency amounts ("$5 and $10") as text
  * 
- * Requirements: 4.1, 4.4, 5.1, 5.4
+ * Requirements: 4.1, 4.4, 5.1, 5.4, 6.2, 6.3
  */
 
 /**
@@ -35,6 +36,64 @@ const katexOptions = {
   }
 }
 
+/**
+ * Block math node with a stricter Markdown tokenizer
+ * "$$" must start the block and the closing "$$" must end its line.
+ * Requirement 6.3
+ */
+const MarkdownBlockMath = BlockMath.extend({
+  markdownTokenizer: {
+    name: 'blockMath',
+    level: 'block',
+    start: src => src.indexOf('$$'),
+    tokenize: (src) => {
+      const match = /^\$\$([\s\S]+?)\$\$(?:\n+|$)/.exec(src)
+      if (!match) return undefined
+      return {
+        type: 'blockMath',
+        raw: match[0],
+        latex: match[1].trim()
+      }
+    }
+  }
+})
+
+/**
+ * Inline math node with a stricter Markdown tokenizer
+ * The opening "$" must not be followed by whitespace and the closing "$"
+ * must not be preceded by whitespace or followed by a digit, so prices
+ * like "$5 and $10" are left as text.
+ * Requirement 6.2
+ */
+const MarkdownInlineMath = InlineMath.extend({
+  markdownTokenizer: {
+    name: 'inlineMath',
+    level: 'inline',
+    start: src => src.indexOf('$'),
+    tokenize: (src) => {
+      const match = /^\$(?!\s)([^$\n]+?)(?<!\s)\$(?![$\d])/.exec(src)
+      if (!match) return undefined
+      return {
+        type: 'inlineMath',
+        raw: match[0],
+        latex: match[1]
+      }
+    }
+  }
+})
+
+/**
+ * Mathematics extension using the stricter Markdown tokenizers
+ */
+const CustomMathematics = Mathematics.extend({
+  addExtensions() {
+    return [
+      MarkdownBlockMath.configure({ ...this.options.blockOptions, katexOptions: this.options.katexOptions }),
+      MarkdownInlineMath.configure({ ...this.options.inlineOptions, katexOptions: this.options.katexOptions })
+    ]
+  }
+})
+
 /**
  * Configured Mathematics Extension
  * 
@@ -44,7 +103,7 @@ const katexOptions = {
  * - LaTeX editing and updates (Requirements 4.4, 5.4)
  * - Error handling for invalid LaTeX (Requirement 4.5)
  */
-export const MathExtension = Mathematics.configure({
+export const MathExtension = CustomMathematics.configure({
   katexOptions,
   // The extension handles both inline ($...$) and block ($$...$$) math
   // based on the regex patterns it uses internally
@@ -52,14 +111,42 @@ export const MathExtension = Mathematics.configure({
 
 /**
  * Get the configured Mathematics extension
+ * 
+ * Click handlers receive the clicked math node and its document position,
+ * which is used to open the formula editing dialog (Requirements 4.3, 5.3)
+ * 
+ * @param {Object} [options] - Extension options
+ * @param {Function} [options.onInlineClick] - (node, pos) => void, called when an inline formula is clicked
+ * @param {Function} [options.onBlockClick] - (node, pos) => void, called when a block formula is clicked
  * @returns {Extension} Configured Mathematics extension
  */
-export function getMathExtension() {
-  return Mathematics.configure({
-    katexOptions
+export function getMathExtension({ onInlineClick, onBlockClick } = {}) {
+  return CustomMathematics.configure({
+    katexOptions,
+    inlineOptions: onInlineClick ? { onClick: onInlineClick } : undefined,
+    blockOptions: onBlockClick ? { onClick: onBlockClick } : undefined
   })
 }
 
+/**
+ * Name of the DOM event used to ask the editor to open the formula dialog
+ * (e.g. from a slash command, which has no access to the editor component)
+ */
+export const OPEN_MATH_DIALOG_EVENT = 'open-math-dialog'
+
+/**
+ * Request the formula dialog for inserting a new formula
+ * Requirements: 4.2, 5.2
+ * 
+ * @param {Editor} editor - The Tiptap editor instance that should receive the formula
+ * @param {boolean} isBlock - Whether to insert a block formula instead of an inline one
+ */
+export function requestMathDialog(editor, isBlock = false) {
+  document.dispatchEvent(new CustomEvent(OPEN_MATH_DIALOG_EVENT, {
+    detail: { editor, isBlock }
+  }))
+}
+
 /**
  * Validate LaTeX string synchronously (basic validation only)
  * Returns an object with isValid flag and error message if invalid
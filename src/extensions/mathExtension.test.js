@@ -0,0 +1,103 @@
+import { describe, it, expect, vi } from 'vitest'
+import { Editor } from '@tiptap/core'
+import StarterKit from '@tiptap/starter-kit'
+import { Markdown } from '@tiptap/markdown'
+import { getMathExtension } from './mathExtension'
+import { toHTML } from '../utils/markdownConverter'
+
+/**
+ * Tests for Mathematics Extension configuration
+ * Requirements: 4.1, 4.4, 5.1, 5.4, 6.2, 6.3
+ */
+
+function createEditor(content = '<p></p>', options = {}) {
+  return new Editor({
+    extensions: [
+      Markdown,
+      StarterKit,
+      getMathExtension(options)
+    ],
+    content
+  })
+}
+
+function findNode(editor, typeName) {
+  let found = null
+  editor.state.doc.descendants((node, pos) => {
+    if (!found && node.type.name === typeName) {
+      found = { node, pos }
+    }
+  })
+  return found
+}
+
+describe('Math Extension', () => {
+  describe('getMathExtension', () => {
+    it('forwards click handlers to the inline and block nodes - Requirements 4.3, 5.3', () => {
+      const onInlineClick = vi.fn()
+      const onBlockClick = vi.fn()
+      const editor = createEditor('<p></p>', { onInlineClick, onBlockClick })
+
+      const inline = editor.extensionManager.extensions.find(ext => ext.name === 'inlineMath')
+      const block = editor.extensionManager.extensions.find(ext => ext.name === 'blockMath')
+
+      expect(inline.options.onClick).toBe(onInlineClick)
+      expect(block.options.onClick).toBe(onBlockClick)
+
+      editor.destroy()
+    })
+  })
+
+  describe('insert and update commands', () => {
+    it('inserts and updates inline math - Requirement 4.4', () => {
+      const editor = createEditor('<p>x</p>')
+
+      editor.commands.insertInlineMath({ latex: 'a^2', pos: 1 })
+      const { pos } = findNode(editor, 'inlineMath')
+      editor.commands.updateInlineMath({ latex: 'b^2', pos })
+
+      expect(findNode(editor, 'inlineMath').node.attrs.latex).toBe('b^2')
+
+      editor.destroy()
+    })
+
+    it('inserts and updates block math - Requirement 5.4', () => {
+      const editor = createEditor()
+
+      editor.commands.insertBlockMath({ latex: '\\int_0^1 x\\,dx', pos: 0 })
+      const { pos } = findNode(editor, 'blockMath')
+      editor.commands.updateBlockMath({ latex: '\\sum_i x_i', pos })
+
+      expect(findNode(editor, 'blockMath').node.attrs.latex).toBe('\\sum_i x_i')
+
+      editor.destroy()
+    })
+  })
+
+  describe('Markdown round-trip', () => {
+    const markdown = 'Euler: $e^{i\\pi} + 1 = 0$\n\n$$\n\\frac{a}{b}\n$$'
+
+    it('imports $...$ and $$...$$ through toHTML - Requirements 6.2, 6.3', () => {
+      const editor = createEditor(toHTML(markdown))
+
+      expect(findNode(editor, 'inlineMath').node.attrs.latex).toBe('e^{i\\pi} + 1 = 0')
+      expect(findNode(editor, 'blockMath').node.attrs.latex).toBe('\\frac{a}{b}')
+
+      editor.destroy()
+    })
+
+    it('exports math and survives getMarkdown → setMarkdown', () => {
+      const editor = createEditor(toHTML(markdown))
+
+      const exported = editor.getMarkdown()
+      expect(exported).toContain('$e^{i\\pi} + 1 = 0$')
+      expect(exported).toContain('$$\n\\frac{a}{b}\n$$')
+
+      const reimported = createEditor(toHTML(exported))
+      expect(reimported.getJSON()).toEqual(editor.getJSON())
+
+      reimported.destroy()
+      editor.destroy()
+    })
+  })
+})
@@ -0,0 +1,112 @@
+import { Extension, combineTransactionSteps, getChangedRanges } from '@tiptap/core'
+import { Plugin, PluginKey } from '@tiptap/pm/state'
+import { sanitizeAttributes, sanitizeDocument, sanitizeHTML } from '../utils/sanitizer'
+
+/**
+ * Content Sanitizer Extension
+ *
+ * Keeps the document free of unsafe links, images and colors (utils/sanitizer),
+ * whichever way content arrives: setContent in any format, paste, drop or commands.
+ * The initial content is sanitized before it is parsed, like pasted HTML, and
+ * changed ranges are checked after every transaction. Exports of a clean document are clean.
+ *
+ * Options:
+ * - allowRemoteImages: keep http(s) images (default true)
+ * - allowedImageOrigins: origins whose images are kept when remote images are
+ *   blocked, such as the one uploadImage returns URLs from (default []);
+ *   images from the page's own origin are always kept
+ *
+ * Requirements: 3.1, 3.2, 6.1-6.3
+ */
+
+/**
+ * Build a transaction that sanitizes the nodes and marks in some ranges
+ *
+ * @param {EditorState} state - Editor state
+ * @param {Array<{from: number, to: number}>} ranges - Ranges to check
+ * @param {Object} options - { allowRemoteImages, allowedImageOrigins }
+ * @returns {Transaction|null} The transaction, or null when everything is safe
+ */
+export function getSanitizeTransaction(state, ranges, options) {
+  const { tr } = state
+  const removals = new Map()
+
+  ranges.forEach(({ from, to }) => {
+    state.doc.nodesBetween(from, to, (node, pos) => {
+      const attrs = sanitizeAttributes(node.type.name, node.attrs, options)
+      if (attrs === null) {
+        removals.set(pos, node.nodeSize)
+        return false
+      }
+      if (attrs !== node.attrs) {
+        tr.setNodeMarkup(pos, undefined, attrs, node.marks)
+      }
+
+      node.marks.forEach(mark => {
+        const markAttrs = sanitizeAttributes(mark.type.name, mark.attrs, options)
+        if (markAttrs === null) {
+          tr.removeMark(pos, pos + node.nodeSize, mark)
+        } else if (markAttrs !== mark.attrs) {
+          tr.addMark(pos, pos + node.nodeSize, mark.type.create(markAttrs))
+        }
+      })
+    })
+  })
+
+  // Attribute and mark steps keep positions; delete from the end so removals do too
+  Array.from(removals.entries())
+    .sort(([a], [b]) => b - a)
+    .forEach(([pos, size]) => tr.delete(pos, pos + size))
+
+  return tr.docChanged ? tr : null
+}
+
+export const ContentSanitizer = Extension.create({
+  name: 'contentSanitizer',
+
+  addOptions() {
+    return {
+      allowRemoteImages: true,
+      allowedImageOrigins: []
+    }
+  },
+
+  // Runs after EditorMarkdown has turned Markdown content into JSON
+  onBeforeCreate() {
+    const { options } = this.editor
+    const { content } = options
+    if (typeof content === 'string') {
+      if (options.contentType !== 'markdown') {
+        options.content = sanitizeHTML(content, this.options)
+      }
+    } else if (Array.isArray(content)) {
+      options.content = content.map(node => sanitizeDocument(node, this.options)).filter(Boolean)
+    } else if (content) {
+      options.content = sanitizeDocument(content, this.options)
+    }
+  },
+
+  addProseMirrorPlugins() {
+    const options = this.options
+
+    return [
+      new Plugin({
+        key: new PluginKey('contentSanitizer'),
+        props: {
+          transformPastedHTML: html => sanitizeHTML(html, options)
+        },
+        appendTransaction: (transactions, oldState, newState) => {
+          if (!transactions.some(transaction => transaction.docChanged)) {
+            return null
+          }
+
+          const ranges = getChangedRanges(combineTransactionSteps(oldState.doc, transactions))
+            .map(({ newRange }) => newRange)
+          return getSanitizeTransaction(newState, ranges, options)
+        }
+      })
+    ]
+  }
+})
+
+export default ContentSanitizer
@@ -0,0 +1,99 @@
+import { Extension } from '@tiptap/core'
+import { Plugin, PluginKey } from '@tiptap/pm/state'
+import { Fragment, Slice } from '@tiptap/pm/model'
+import { normalizePastedHTML } from '../utils/pasteNormalizer'
+
+/**
+ * Smart Paste Extension
+ *
+ * - Cleans HTML pasted from Word, Google Docs and web pages (utils/pasteNormalizer)
+ *   so only our headings, lists, tables, images and marks come through
+ * - Mod-Shift-v pastes the clipboard as plain text
+ *
+ * Runs before the image paste handler, so plain-text pastes skip clipboard images.
+ *
+ * Requirements: 5.1-5.6
+ */
+
+/**
+ * Insert plain text at the selection
+ * Lines become paragraphs (blank lines are collapsed); code blocks get the text as is.
+ *
+ * @param {EditorView} view - The ProseMirror view
+ * @param {string} text - Text to insert
+ * @returns {boolean} Whether anything was inserted
+ */
+export function insertPlainText(view, text) {
+  const { state } = view
+  if (!text) {
+    return false
+  }
+
+  if (state.selection.$from.parent.type.spec.code) {
+    view.dispatch(state.tr.insertText(text.replace(/\r\n?/g, '\n')).setMeta('uiEvent', 'paste').scrollIntoView())
+    return true
+  }
+
+  const paragraphs = text
+    .split(/(?:\r\n?|\n)+/)
+    .filter(line => line.length)
+    .map(line => state.schema.nodes.paragraph.create(null, state.schema.text(line)))
+  if (!paragraphs.length) {
+    return false
+  }
+
+  const slice = new Slice(Fragment.from(paragraphs), 1, 1)
+  view.dispatch(state.tr.replaceSelection(slice).setMeta('uiEvent', 'paste').scrollIntoView())
+  return true
+}
+
+export const SmartPaste = Extension.create({
+  name: 'smartPaste',
+
+  priority: 110,
+
+  addStorage() {
+    return {
+      // Set by Mod-Shift-v until the paste event it triggers arrives
+      plainTextPaste: false
+    }
+  },
+
+  addKeyboardShortcuts() {
+    return {
+      // Let the browser fire the paste event; handlePaste reads the flag
+      'Mod-Shift-v': () => {
+        this.storage.plainTextPaste = true
+        return false
+      }
+    }
+  },
+
+  addProseMirrorPlugins() {
+    const storage = this.storage
+
+    return [
+      new Plugin({
+        key: new PluginKey('smartPaste'),
+        props: {
+          transformPastedHTML: html => normalizePastedHTML(html),
+          handlePaste: (view, event) => {
+            if (!storage.plainTextPaste) return false
+
+            storage.plainTextPaste = false
+            return insertPlainText(view, event.clipboardData?.getData('text/plain'))
+          },
+          handleDOMEvents: {
+            // The paste event fires before the shortcut's keyup
+            keyup: () => {
+              storage.plainTextPaste = false
+              return false
+            }
+          }
+        }
+      })
+    ]
+  }
+})
+
+export default SmartPaste
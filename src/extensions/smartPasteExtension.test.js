@@ -0,0 +1,88 @@
+import { describe, it, expect, afterEach, vi } from 'vitest'
+import { Editor } from '@tiptap/core'
+import { getContentExtensions } from './contentExtensions'
+import { SmartPaste } from './smartPasteExtension'
+
+/**
+ * Tests for the paste-as-plain-text shortcut
+ * Requirements: 5.1-5.6
+ */
+
+let editor = null
+
+function createEditor(content = '<p></p>') {
+  editor = new Editor({
+    extensions: [...getContentExtensions(), SmartPaste],
+    content
+  })
+  return editor
+}
+
+/**
+ * Send a keyboard event to the editor
+ */
+function pressKey(type, key, modifiers = {}) {
+  const event = new KeyboardEvent(type, { key, ...modifiers })
+  if (type === 'keyup') {
+    editor.view.dom.dispatchEvent(event)
+    return
+  }
+  editor.view.someProp('handleKeyDown', handler => handler(editor.view, event))
+}
+
+/**
+ * Paste clipboard data with plain text and HTML flavors
+ */
+function paste({ text = '', html = '' }) {
+  const data = { 'text/plain': text, 'text/html': html }
+  const event = {
+    clipboardData: { files: [], getData: type => data[type] ?? '' },
+    preventDefault: vi.fn()
+  }
+  editor.view.pasteHTML(html, event)
+}
+
+afterEach(() => {
+  editor?.destroy()
+  editor = null
+})
+
+describe('paste as plain text', () => {
+  const clipboard = {
+    text: 'First line\n\nSecond line',
+    html: '<h1 style="color: red">First line</h1><p><strong>Second line</strong></p>'
+  }
+
+  it('pastes the HTML flavor by default', () => {
+    createEditor()
+    paste(clipboard)
+
+    expect(editor.getHTML()).toBe('<h1>First line</h1><p><strong>Second line</strong></p>')
+  })
+
+  it('pastes lines as plain paragraphs after Mod-Shift-v', () => {
+    createEditor()
+    pressKey('keydown', 'v', { ctrlKey: true, shiftKey: true })
+    paste(clipboard)
+
+    expect(editor.getHTML()).toBe('<p>First line</p><p>Second line</p>')
+  })
+
+  it('keeps line breaks inside code blocks', () => {
+    createEditor('<pre><code>x</code></pre>')
+    editor.commands.setTextSelection(2)
+    pressKey('keydown', 'v', { ctrlKey: true, shiftKey: true })
+    paste({ text: 'a\nb', html: '<p>a</p><p>b</p>' })
+
+    expect(editor.state.doc.firstChild.textContent).toBe('xa\nb')
+  })
+
+  it('only applies to the paste triggered by the shortcut', () => {
+    createEditor()
+    pressKey('keydown', 'v', { ctrlKey: true, shiftKey: true })
+    pressKey('keyup', 'v')
+    paste(clipboard)
+
+    expect(editor.getHTML()).toBe('<h1>First line</h1><p><strong>Second line</strong></p>')
+  })
+})
@@ -0,0 +1,180 @@
+import { describe, it, expect } from 'vitest'
+import { Editor } from '@tiptap/core'
+import StarterKit from '@tiptap/starter-kit'
+import { Markdown } from '@tiptap/markdown'
+import { TableExtensions, insertTable, normalizeTableSize, selectTableCellAt, MAX_TABLE_SIZE } from './tableExtension'
+import { toHTML } from '../utils/markdownConverter'
+
+/**
+ * Tests for Table Extension configuration
+ * Requirements: 8.1, 8.2, 9.1-9.7, 11.1, 11.2
+ */
+
+function createEditor(content = '<p></p>') {
+  return new Editor({
+    extensions: [
+      Markdown,
+      StarterKit,
+      ...TableExtensions
+    ],
+    content
+  })
+}
+
+function findTable(editor) {
+  return editor.getJSON().content.find(node => node.type === 'table')
+}
+
+/**
+ * Find the document positions of every cell in the first table
+ */
+function cellPositions(editor) {
+  const positions = []
+  editor.state.doc.descendants((node, pos) => {
+    if (node.type.name === 'tableCell' || node.type.name === 'tableHeader') {
+      positions.push(pos)
+    }
+  })
+  return positions
+}
+
+describe('Table Extension', () => {
+  describe('normalizeTableSize', () => {
+    it('clamps to the supported range', () => {
+      expect(normalizeTableSize(2, 4)).toEqual({ rows: 2, cols: 4 })
+      expect(normalizeTableSize(50, 50)).toEqual(MAX_TABLE_SIZE)
+      expect(normalizeTableSize(0, 'x')).toEqual({ rows: 3, cols: 3 })
+    })
+  })
+
+  describe('insertTable', () => {
+    it('inserts a table with the requested size and a header row - Requirement 8.1', () => {
+      const editor = createEditor()
+
+      expect(insertTable(editor, 2, 4)).toBe(true)
+
+      const table = findTable(editor)
+      expect(table).toBeDefined()
+      expect(table.content).toHaveLength(2)
+      expect(table.content[0].content).toHaveLength(4)
+      expect(table.content[0].content[0].type).toBe('tableHeader')
+      expect(table.content[1].content[0].type).toBe('tableCell')
+
+      editor.destroy()
+    })
+
+    it('enables column resizing - Requirement 8.2', () => {
+      const editor = createEditor()
+      const table = editor.extensionManager.extensions.find(ext => ext.name === 'table')
+
+      expect(table.options.resizable).toBe(true)
+
+      editor.destroy()
+    })
+  })
+
+  describe('row and column operations', () => {
+    it('adds a row after the current row - Requirement 9.2', () => {
+      const editor = createEditor()
+      insertTable(editor, 2, 2)
+
+      editor.commands.addRowAfter()
+
+      expect(findTable(editor).content).toHaveLength(3)
+
+      editor.destroy()
+    })
+
+    it('adds a column after the current column - Requirement 9.4', () => {
+      const editor = createEditor()
+      insertTable(editor, 2, 2)
+
+      editor.commands.addColumnAfter()
+
+      findTable(editor).content.forEach(row => {
+        expect(row.content).toHaveLength(3)
+      })
+
+      editor.destroy()
+    })
+  })
+
+  describe('merge and split cells', () => {
+    it('merges selected cells and splits them back', () => {
+      const editor = createEditor()
+      insertTable(editor, 2, 2)
+
+      const [, , bodyA, bodyB] = cellPositions(editor)
+      editor.commands.setCellSelection({ anchorCell: bodyA, headCell: bodyB })
+
+      expect(editor.commands.mergeCells()).toBe(true)
+      let bodyRow = findTable(editor).content[1]
+      expect(bodyRow.content).toHaveLength(1)
+      expect(bodyRow.content[0].attrs.colspan).toBe(2)
+
+      expect(editor.commands.splitCell()).toBe(true)
+      bodyRow = findTable(editor).content[1]
+      expect(bodyRow.content).toHaveLength(2)
+
+      editor.destroy()
+    })
+  })
+
+  describe('context menu selection - Requirement 8.5', () => {
+    it('keeps a cell selection only when it contains the clicked cell', () => {
+      const editor = createEditor()
+      insertTable(editor, 3, 2)
+      const [headA, , bodyA, bodyB, lastA, lastB] = cellPositions(editor)
+
+      editor.commands.setCellSelection({ anchorCell: bodyA, headCell: bodyB })
+      expect(selectTableCellAt(editor, bodyB + 2)).toBe(true)
+      expect(editor.state.selection.$anchorCell.pos).toBe(bodyA)
+
+      expect(selectTableCellAt(editor, lastB + 2)).toBe(true)
+      expect(editor.state.selection.$anchorCell).toBeUndefined()
+      expect(editor.state.selection.from).toBe(lastB + 2)
+
+      editor.commands.setCellSelection({ anchorCell: headA, headCell: lastA })
+      selectTableCellAt(editor, bodyB + 2)
+      expect(editor.state.selection.$from.node(-1).type.name).toBe('tableCell')
+      expect(editor.state.selection.from).toBe(bodyB + 2)
+
+      expect(selectTableCellAt(editor, 0)).toBe(false)
+      editor.destroy()
+    })
+  })
+
+  describe('GFM Markdown round-trip', () => {
+    const markdown = [
+      '| Name | Role |',
+      '| --- | --- |',
+      '| Ada | Engineer |',
+      '| Linus | Maintainer |'
+    ].join('\n')
+
+    it('parses GFM tables imported through toHTML - Requirement 11.2', () => {
+      const editor = createEditor(toHTML(markdown))
+
+      const table = findTable(editor)
+      expect(table.content).toHaveLength(3)
+      expect(table.content[0].content[0].type).toBe('tableHeader')
+      expect(editor.state.doc.textContent).toContain('Maintainer')
+
+      editor.destroy()
+    })
+
+    it('exports tables as GFM and survives a round trip - Requirements 11.1, 11.3', () => {
+      const editor = createEditor(toHTML(markdown))
+
+      const exported = editor.getMarkdown()
+      expect(exported).toMatch(/\|\s*Name\s*\|\s*Role\s*\|/)
+      expect(exported).toMatch(/\|\s*-{3,}\s*\|\s*-{3,}\s*\|/)
+
+      const reimported = createEditor(toHTML(exported))
+      expect(findTable(reimported)).toEqual(findTable(editor))
+
+      reimported.destroy()
+      editor.destroy()
+    })
+  })
+})
@@ -0,0 +1,285 @@
+import { Node, mergeAttributes } from '@tiptap/core'
+import { Plugin, PluginKey } from '@tiptap/pm/state'
+import { DOMSerializer } from '@tiptap/pm/model'
+import { getOutline, nestOutline, scrollToHeading } from '../utils/outline'
+
+/**
+ * Table of Contents Extension
+ *
+ * A block listing the document headings as links to their anchors:
+ * - The headings are stored in the node (attrs.headings) and updated after
+ *   every change, so the block and its exports are always in sync
+ * - HTML: <nav data-type="table-of-contents"> with a nested list of links to
+ *   the heading anchors, which headings render as their id (see BlockId)
+ * - Markdown: the same links as a nested list between <!-- toc --> and <!-- tocstop -->
+ * - Clicking an entry in the editor scrolls to its heading
+ */
+
+const tableOfContentsKey = new PluginKey('tableOfContents')
+
+/**
+ * Get the entries of a table of contents: the non-empty headings of a document
+ *
+ * @param {Node} doc - The ProseMirror document
+ * @returns {Array<{ level: number, text: string, anchor: string }>}
+ */
+export function getTableOfContentsItems(doc) {
+  return getOutline(doc)
+    .filter(item => item.text)
+    .map(({ level, text, anchor }) => ({ level, text, anchor }))
+}
+
+/**
+ * Check if two entry lists are the same
+ */
+function isSameItems(a, b) {
+  return a.length === b.length && a.every((item, index) => (
+    item.level === b[index].level && item.text === b[index].text &&
+    item.anchor === b[index].anchor
+  ))
+}
+
+/**
+ * Decode an anchor taken from a link, keeping it as is when it is not URI-encoded
+ */
+function decodeAnchor(anchor) {
+  try {
+    return decodeURIComponent(anchor)
+  } catch {
+    return anchor
+  }
+}
+
+/**
+ * Render entries as a nested list of links
+ */
+function renderList(items) {
+  return ['ul', ...items.map(item => [
+    'li',
+    { 'data-level': String(item.level) },
+    ['a', { href: `#${encodeURIComponent(item.anchor)}` }, item.text],
+    ...(item.children.length ? [renderList(item.children)] : [])
+  ])]
+}
+
+/**
+ * Render entries as nested Markdown list lines
+ */
+function renderMarkdownList(items, depth = 0) {
+  return items.flatMap(item => [
+    `${'  '.repeat(depth)}- [${item.text.replace(/[[\]\\]/g, '\\$&')}](#${encodeURIComponent(item.anchor)})`,
+    ...renderMarkdownList(item.children, depth + 1)
+  ])
+}
+
+/**
+ * Build a transaction that updates every table of contents in a document
+ *
+ * @param {EditorState} state - Editor state
+ * @returns {Transaction|null} The transaction, or null when all are up to date
+ */
+export function getTableOfContentsTransaction(state) {
+  const positions = []
+  state.doc.descendants((node, pos) => {
+    if (node.type.name === 'tableOfContents') {
+      positions.push(pos)
+    }
+    return !node.isTextblock
+  })
+  if (!positions.length) {
+    return null
+  }
+
+  const items = getTableOfContentsItems(state.doc)
+  const { tr } = state
+  positions.forEach(pos => {
+    const node = tr.doc.nodeAt(pos)
+    if (!isSameItems(node.attrs.headings, items)) {
+      tr.setNodeMarkup(pos, undefined, { ...node.attrs, headings: items })
+    }
+  })
+  return tr.docChanged ? tr : null
+}
+
+/**
+ * Create the table of contents node view
+ * Renders the same list as the HTML export, entries scroll to their heading.
+ *
+ * @param {Object} props - Tiptap node view props
+ * @returns {Object} ProseMirror node view
+ */
+export function createTableOfContentsView({ node, editor, HTMLAttributes }) {
+  let currentNode = node
+
+  const dom = document.createElement('nav')
+  Object.entries(HTMLAttributes).forEach(([name, value]) => {
+    if (value !== null && value !== undefined) dom.setAttribute(name, value)
+  })
+  dom.setAttribute('data-type', 'table-of-contents')
+  dom.className = 'table-of-contents'
+  dom.contentEditable = 'false'
+
+  const render = () => {
+    const { headings } = currentNode.attrs
+    if (!headings.length) {
+      const empty = document.createElement('p')
+      empty.className = 'table-of-contents-empty'
+      empty.textContent = '添加标题后将在这里生成目录'
+      dom.replaceChildren(empty)
+      return
+    }
+    dom.replaceChildren(DOMSerializer.renderSpec(document, renderList(nestOutline(headings))).dom)
+  }
+  render()
+
+  dom.addEventListener('click', event => {
+    const link = event.target.closest?.('a[href^="#"]')
+    if (!link) return
+
+    event.preventDefault()
+    const anchor = decodeAnchor(link.getAttribute('href').slice(1))
+    const heading = getOutline(editor.state.doc).find(item => item.anchor === anchor)
+    if (heading) {
+      scrollToHeading(editor, heading.pos)
+    }
+  })
+
+  return {
+    dom,
+    update(updatedNode) {
+      if (updatedNode.type !== currentNode.type) return false
+
+      const changed = !isSameItems(updatedNode.attrs.headings, currentNode.attrs.headings)
+      currentNode = updatedNode
+      if (changed) {
+        render()
+      }
+      return true
+    },
+    // Links navigate instead of selecting the node
+    stopEvent: event => Boolean(event.target.closest?.('a')),
+    ignoreMutation: () => true
+  }
+}
+
+/**
+ * Table of contents node
+ */
+export const TableOfContents = Node.create({
+  name: 'tableOfContents',
+
+  group: 'block',
+
+  atom: true,
+
+  selectable: true,
+
+  draggable: true,
+
+  addOptions() {
+    return {
+      HTMLAttributes: {}
+    }
+  },
+
+  addAttributes() {
+    return {
+      // [{ level, text, anchor }], kept in sync with the headings
+      headings: {
+        default: [],
+        parseHTML: element => Array.from(element.querySelectorAll('a[href^="#"]')).map(link => ({
+          level: Number(link.closest('li')?.getAttribute('data-level')) || 1,
+          text: link.textContent.trim(),
+          anchor: decodeAnchor(link.getAttribute('href').slice(1))
+        })),
+        // Rendered as the list inside the node
+        renderHTML: () => ({})
+      }
+    }
+  },
+
+  parseHTML() {
+    return [{ tag: 'nav[data-type="table-of-contents"]' }]
+  },
+
+  renderHTML({ node, HTMLAttributes }) {
+    const attributes = mergeAttributes(this.options.HTMLAttributes, HTMLAttributes, {
+      'data-type': 'table-of-contents',
+      class: 'table-of-contents'
+    })
+    const { headings } = node.attrs
+    return headings.length ? ['nav', attributes, renderList(nestOutline(headings))] : ['nav', attributes]
+  },
+
+  addNodeView() {
+    return props => createTableOfContentsView(props)
+  },
+
+  /**
+   * "<!-- toc -->", list lines, "<!-- tocstop -->"
+   */
+  markdownTokenizer: {
+    name: 'tableOfContents',
+    level: 'block',
+    start: src => src.search(/^ {0,3}<!--\s*toc\s*-->/m),
+    tokenize: src => {
+      const match = /^ {0,3}<!--\s*toc\s*-->[ \t]*\n((?:(?! {0,3}<!--\s*tocstop\s*-->)[^\n]*\n)*) {0,3}<!--\s*tocstop\s*-->[ \t]*(?:\n+|$)/.exec(src)
+      if (!match) return undefined
+
+      const headings = match[1].split('\n').flatMap(line => {
+        const item = /^( *)[-*+]\s+\[((?:\\.|[^\]\\])*)\]\(#([^)\s]*)\)/.exec(line)
+        return item
+          ? [{ level: Math.floor(item[1].length / 2) + 1, text: item[2].replace(/\\(.)/g, '$1'), anchor: decodeAnchor(item[3]) }]
+          : []
+      })
+      return { type: 'tableOfContents', raw: match[0], headings }
+    }
+  },
+
+  parseMarkdown: (token, helpers) => {
+    return helpers.createNode('tableOfContents', { headings: token.headings || [] })
+  },
+
+  renderMarkdown: node => {
+    const lines = renderMarkdownList(nestOutline(node.attrs?.headings || []))
+    return ['<!-- toc -->', ...lines, '<!-- tocstop -->'].join('\n')
+  },
+
+  addCommands() {
+    return {
+      /**
+       * Insert a table of contents at the selection
+       */
+      insertTableOfContents: () => ({ state, commands }) => {
+        return commands.insertContent({
+          type: this.name,
+          attrs: { headings: getTableOfContentsItems(state.doc) }
+        })
+      }
+    }
+  },
+
+  // Content loaded before the editor existed may list old headings
+  onCreate() {
+    const tr = getTableOfContentsTransaction(this.editor.state)
+    if (tr) {
+      this.editor.view.dispatch(tr.setMeta('addToHistory', false))
+    }
+  },
+
+  addProseMirrorPlugins() {
+    return [
+      new Plugin({
+        key: tableOfContentsKey,
+        appendTransaction: (transactions, _oldState, newState) => {
+          if (!transactions.some(transaction => transaction.docChanged)) {
+            return null
+          }
+          return getTableOfContentsTransaction(newState)
+        }
+      })
+    ]
+  }
+})
+
+export default TableOfContents
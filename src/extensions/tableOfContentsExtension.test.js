@@ -0,0 +1,89 @@
+import { describe, it, expect, afterEach } from 'vitest'
+import { Editor } from '@tiptap/core'
+import { getContentExtensions } from './contentExtensions'
+import { getTableOfContentsItems } from './tableOfContentsExtension'
+import { toHTML, toMarkdown } from '../utils/markdownConverter'
+
+/**
+ * Tests for the table of contents block
+ */
+
+let editor = null
+
+function createEditor(content = '<p></p>') {
+  editor = new Editor({
+    extensions: getContentExtensions(),
+    content
+  })
+  return editor
+}
+
+afterEach(() => {
+  editor?.destroy()
+  editor = null
+})
+
+/**
+ * Entries stored in the first table of contents
+ */
+function tocHeadings() {
+  return editor.getJSON().content.find(node => node.type === 'tableOfContents').attrs.headings
+}
+
+describe('TableOfContents', () => {
+  it('inserts a block listing the headings', () => {
+    createEditor('<p></p><h1>Guide</h1><h2>Install</h2><h2></h2>')
+    editor.commands.setTextSelection(1)
+    editor.commands.insertTableOfContents()
+
+    expect(tocHeadings()).toEqual([
+      { level: 1, text: 'Guide', anchor: 'guide' },
+      { level: 2, text: 'Install', anchor: 'install' }
+    ])
+    expect(editor.view.dom.querySelectorAll('nav.table-of-contents a')).toHaveLength(2)
+  })
+
+  it('stays in sync with heading changes, in the same undo step', () => {
+    createEditor('<nav data-type="table-of-contents"></nav><h1>Guide</h1>')
+    // End of the heading text, after the table of contents (size 1)
+    editor.chain().setTextSelection(7).insertContent(' book').run()
+
+    expect(tocHeadings()).toEqual([{ level: 1, text: 'Guide book', anchor: 'guide-book' }])
+    expect(editor.view.dom.querySelector('nav.table-of-contents a').getAttribute('href')).toBe('#guide-book')
+
+    editor.commands.undo()
+    expect(tocHeadings()).toEqual([{ level: 1, text: 'Guide', anchor: 'guide' }])
+  })
+
+  it('exports a nested list of links in HTML', () => {
+    createEditor('<nav data-type="table-of-contents"></nav><h1>Guide</h1><h2>Install</h2><h1>FAQ</h1>')
+    editor.commands.setContent(editor.getHTML())
+
+    expect(editor.getHTML()).toContain(
+      '<nav data-type="table-of-contents" class="table-of-contents"><ul>' +
+      '<li data-level="1"><a href="#guide">Guide</a><ul><li data-level="2"><a href="#install">Install</a></li></ul></li>' +
+      '<li data-level="1"><a href="#faq">FAQ</a></li>' +
+      '</ul></nav>'
+    )
+  })
+
+  it('reads the entries back from HTML', () => {
+    createEditor('<nav data-type="table-of-contents"><ul><li data-level="2"><a href="#%E4%B8%AD%E6%96%87">中文</a></li></ul></nav>')
+
+    expect(tocHeadings()).toEqual([{ level: 2, text: '中文', anchor: '中文' }])
+  })
+
+  it('round-trips through Markdown as a linked list', () => {
+    const html = '<nav data-type="table-of-contents"><ul><li data-level="1"><a href="#guide">Guide [v2]</a><ul><li data-level="2"><a href="#install">Install</a></li></ul></li></ul></nav><h1>Guide [v2]</h1><h2>Install</h2>'
+    const markdown = toMarkdown(html)
+
+    expect(markdown).toContain('<!-- toc -->\n- [Guide \\[v2\\]](#guide)\n  - [Install](#install)\n<!-- tocstop -->')
+    expect(toHTML(markdown)).toContain('<a href="#guide">Guide [v2]</a><ul><li data-level="2"><a href="#install">Install</a>')
+  })
+
+  it('lists only headings with text', () => {
+    createEditor('<h1>One</h1><h2> </h2><h3>Two</h3>')
+
+    expect(getTableOfContentsItems(editor.state.doc).map(item => item.text)).toEqual(['One', 'Two'])
+  })
+})
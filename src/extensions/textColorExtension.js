@@ -0,0 +1,75 @@
+import Highlight from '@tiptap/extension-highlight'
+import { TextStyle, Color } from '@tiptap/extension-text-style'
+
+/**
+ * Text Color Extensions
+ *
+ * Inline text colors and multicolor highlights:
+ * - Text color: <span data-color="..." style="color: ...">
+ * - Highlight: <mark data-color="..." style="background-color: ...">, plain <mark> without a color
+ * - data-color keeps the exact value (style normalizes it to rgb())
+ * - Colors come from TEXT_COLORS and HIGHLIGHT_COLORS (utils/blockColors)
+ *
+ * Requirements: 2.1, 4.1
+ */
+
+/**
+ * Text color, stored on the textStyle mark
+ */
+export const TextColor = Color.extend({
+  addGlobalAttributes() {
+    return [
+      {
+        types: this.options.types,
+        attributes: {
+          color: {
+            default: null,
+            parseHTML: element => element.getAttribute('data-color') || element.style.color || null,
+            renderHTML: attributes => {
+              if (!attributes.color) {
+                return {}
+              }
+              return {
+                'data-color': attributes.color,
+                style: `color: ${attributes.color}`
+              }
+            }
+          }
+        }
+      }
+    ]
+  }
+})
+
+/**
+ * Highlight with an optional color
+ * A highlight without a color is the plain ==highlight== from Markdown.
+ */
+export const ColorHighlight = Highlight.extend({
+  addAttributes() {
+    return {
+      color: {
+        default: null,
+        parseHTML: element => element.getAttribute('data-color') || element.style.backgroundColor || null,
+        renderHTML: attributes => {
+          if (!attributes.color) {
+            return {}
+          }
+          return {
+            'data-color': attributes.color,
+            style: `background-color: ${attributes.color}; color: inherit`
+          }
+        }
+      }
+    }
+  }
+}).configure({
+  multicolor: true
+})
+
+/**
+ * Extensions for inline colors
+ */
+export const TextColorExtensions = [TextStyle, TextColor, ColorHighlight]
+
+export default TextColorExtensions
@@ -0,0 +1,98 @@
+import { describe, it, expect, afterEach } from 'vitest'
+import { Editor } from '@tiptap/core'
+import { getContentExtensions } from './contentExtensions'
+import { TEXT_COLORS, HIGHLIGHT_COLORS } from '../utils/blockColors'
+import { toHTML, toMarkdown } from '../utils/markdownConverter'
+
+/**
+ * Tests for text colors and multicolor highlights
+ * Requirements: 2.1, 4.1
+ */
+
+let editor = null
+
+function createEditor(content = '<p></p>') {
+  editor = new Editor({
+    extensions: getContentExtensions(),
+    content
+  })
+  return editor
+}
+
+afterEach(() => {
+  editor?.destroy()
+  editor = null
+})
+
+describe('color palettes', () => {
+  it('start with a Default entry that removes the color', () => {
+    expect(TEXT_COLORS[0]).toMatchObject({ name: 'Default', value: null })
+    expect(HIGHLIGHT_COLORS[0]).toMatchObject({ name: 'Default', value: null })
+  })
+
+  it('use the same color names for text and highlights', () => {
+    expect(TEXT_COLORS.map(color => color.name)).toEqual(HIGHLIGHT_COLORS.map(color => color.name))
+  })
+})
+
+describe('text color', () => {
+  it('colors the selection and keeps the exact value in HTML', () => {
+    createEditor('<p>Hello world</p>')
+    editor.chain().setTextSelection({ from: 1, to: 6 }).setColor('#d44c47').run()
+
+    expect(editor.getAttributes('textStyle').color).toBe('#d44c47')
+    expect(editor.getHTML()).toContain('data-color="#d44c47"')
+    expect(editor.getHTML()).toContain('color: ')
+  })
+
+  it('removes the color and the empty text style', () => {
+    createEditor('<p><span data-color="#337ea9" style="color: #337ea9">Hello</span></p>')
+    editor.chain().selectAll().unsetColor().run()
+
+    expect(editor.getHTML()).toBe('<p>Hello</p>')
+  })
+
+  it('parses colors from plain style attributes', () => {
+    createEditor('<p><span style="color: rgb(68, 131, 97)">Hello</span></p>')
+
+    expect(editor.getAttributes('textStyle').color).toBe('rgb(68, 131, 97)')
+  })
+})
+
+describe('highlight color', () => {
+  it('highlights the selection with a color', () => {
+    createEditor('<p>Hello world</p>')
+    editor.chain().setTextSelection({ from: 1, to: 6 }).setHighlight({ color: '#fdecc8' }).run()
+
+    expect(editor.isActive('highlight', { color: '#fdecc8' })).toBe(true)
+    expect(editor.getHTML()).toContain('<mark data-color="#fdecc8"')
+  })
+
+  it('keeps plain highlights without a color', () => {
+    createEditor('<p><mark>Hello</mark></p>')
+
+    expect(editor.getAttributes('highlight').color).toBe(null)
+    expect(editor.getHTML()).toBe('<p><mark>Hello</mark></p>')
+  })
+
+  it('removes the highlight', () => {
+    createEditor('<p><mark data-color="#ffe2dd">Hello</mark></p>')
+    editor.chain().selectAll().unsetHighlight().run()
+
+    expect(editor.getHTML()).toBe('<p>Hello</p>')
+  })
+})
+
+describe('color Markdown', () => {
+  it('writes plain highlights as Markdown', () => {
+    expect(toMarkdown('<p><mark>Hello</mark></p>')).toBe('==Hello==')
+  })
+
+  it('keeps colored text as HTML', () => {
+    const html = '<p><span data-color="#d44c47" style="color: #d44c47">Hello</span> <mark data-color="#d3e5ef">world</mark></p>'
+    const output = toHTML(toMarkdown(html))
+
+    expect(output).toContain('data-color="#d44c47"')
+    expect(output).toContain('<mark data-color="#d3e5ef"')
+  })
+})
@@ -25,13 +25,15 @@ export const BlockColor = Extension.create({
           backgroundColor: {
             default: null,
             // Parse from HTML
-            parseHTML: element => element.style.backgroundColor || null,
+            // data-background-color keeps the exact value (style normalizes it to rgb())
+            parseHTML: element => element.getAttribute('data-background-color') || element.style.backgroundColor || null,
             // Render to HTML
             renderHTML: attributes => {
               if (!attributes.backgroundColor || attributes.backgroundColor === 'transparent') {
                 return {}
               }
               return {
+                'data-background-color': attributes.backgroundColor,
                 style: `background-color: ${attributes.backgroundColor}; border-radius: 4px; padding: 2px 4px; margin: -2px -4px;`
               }
             }
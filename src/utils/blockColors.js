@@ -1,7 +1,8 @@
 /**
  * Block Colors Configuration
  * 
- * Predefined background colors for blocks.
+ * Predefined background colors for blocks, and matching text and
+ * highlight colors for inline text.
  * 
  * Requirement 4.1: Display a palette of predefined background colors
  */
@@ -19,4 +20,38 @@ export const BLOCK_COLORS = [
   { name: 'Red', value: '#fdebec', displayColor: '#fdebec' }
 ]
 
+/**
+ * Text colors, same hues as the block palette
+ * Default (null) removes the text color.
+ */
+export const TEXT_COLORS = [
+  { name: 'Default', value: null, displayColor: '#37352f' },
+  { name: 'Gray', value: '#787774', displayColor: '#787774' },
+  { name: 'Brown', value: '#9f6b53', displayColor: '#9f6b53' },
+  { name: 'Orange', value: '#d9730d', displayColor: '#d9730d' },
+  { name: 'Yellow', value: '#cb912f', displayColor: '#cb912f' },
+  { name: 'Green', value: '#448361', displayColor: '#448361' },
+  { name: 'Blue', value: '#337ea9', displayColor: '#337ea9' },
+  { name: 'Purple', value: '#9065b0', displayColor: '#9065b0' },
+  { name: 'Pink', value: '#c14c8a', displayColor: '#c14c8a' },
+  { name: 'Red', value: '#d44c47', displayColor: '#d44c47' }
+]
+
+/**
+ * Highlight colors, same hues as the block palette but stronger so they show inside colored blocks
+ * Default (null) removes the highlight.
+ */
+export const HIGHLIGHT_COLORS = [
+  { name: 'Default', value: null, displayColor: '#ffffff' },
+  { name: 'Gray', value: '#e3e2e0', displayColor: '#e3e2e0' },
+  { name: 'Brown', value: '#eee0da', displayColor: '#eee0da' },
+  { name: 'Orange', value: '#fadec9', displayColor: '#fadec9' },
+  { name: 'Yellow', value: '#fdecc8', displayColor: '#fdecc8' },
+  { name: 'Green', value: '#dbeddb', displayColor: '#dbeddb' },
+  { name: 'Blue', value: '#d3e5ef', displayColor: '#d3e5ef' },
+  { name: 'Purple', value: '#e8deee', displayColor: '#e8deee' },
+  { name: 'Pink', value: '#f5e0e9', displayColor: '#f5e0e9' },
+  { name: 'Red', value: '#ffe2dd', displayColor: '#ffe2dd' }
+]
+
 export default BLOCK_COLORS
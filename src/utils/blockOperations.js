@@ -3,12 +3,395 @@
  * 
  * Provides commands for common block-level operations in the Tiptap editor.
  * These operations are used by the drag handle context menu.
+ * Range operations act on several selected blocks at once, each as a single undo step.
+ * Keyboard shortcuts move, duplicate and delete the current block or list item:
+ * - Alt-Shift-ArrowUp / Alt-Shift-ArrowDown: move (a selected image is resized instead)
+ * - Mod-d: duplicate, Mod-Shift-Backspace: delete
+ * - Tab / Shift-Tab: indent / outdent list items
+ * Copying goes through the schema serializer, as HTML, Markdown or a link to the block.
+ * Commands that act on one block take its position or its id (see BlockId);
+ * an id can name a nested block such as a list item.
  * 
  * Requirements: 2.3, 2.4, 6.1, 6.2, 6.3, 6.4, 8.2, 8.3
  */
 
-import { Extension } from '@tiptap/core'
-import { showInfo, showWarning, showError } from './notifications'
+import { Extension, getHTMLFromFragment } from '@tiptap/core'
+import { Fragment, Slice } from '@tiptap/pm/model'
+import { NodeSelection, Selection, TextSelection } from '@tiptap/pm/state'
+import { Transform, dropPoint } from '@tiptap/pm/transform'
+import { closeHistory } from '@tiptap/pm/history'
+import { NodeRangeSelection, isNodeRangeSelection } from '@tiptap/extension-node-range'
+import { showInfo, showWarning, showError, announce } from './notifications'
+import { getBlockTypeInfo } from './blockTypes'
+import { serializeMarkdown } from './markdownConverter'
+import { getOutline } from './outline'
+import { findBlockById } from '../extensions/blockIdExtension'
+
+/**
+ * Nodes moved as a unit by the keyboard shortcuts when the cursor is inside them
+ */
+const LIST_ITEM_TYPES = ['listItem', 'taskItem']
+
+/**
+ * Get the block at a position or with an id
+ * 
+ * @param {Node} doc - The ProseMirror document
+ * @param {number|string} block - Position of the block, or its id
+ * @returns {Object|null} { node, pos } of the block
+ */
+export function getBlockAt(doc, block) {
+  if (typeof block === 'string') {
+    return findBlockById(doc, block)
+  }
+  const node = doc.nodeAt(block)
+  return node ? { node, pos: block } : null
+}
+
+/**
+ * Get the top-level block at a position
+ * Positions inside a block resolve to that block, positions between blocks to the block after them
+ * 
+ * @param {Node} doc - The ProseMirror document
+ * @param {number} pos - Any document position
+ * @returns {Object|null} { node, pos } of the block
+ */
+export function getTopLevelBlock(doc, pos) {
+  const $pos = doc.resolve(Math.min(Math.max(pos, 0), doc.content.size))
+  const blockPos = $pos.depth === 0 ? $pos.pos : $pos.before(1)
+  const node = doc.nodeAt(blockPos)
+  return node ? { node, pos: blockPos } : null
+}
+
+/**
+ * Get the top-level blocks overlapping a range
+ * 
+ * @param {Node} doc - The ProseMirror document
+ * @param {number} from - Start of the range
+ * @param {number} to - End of the range
+ * @returns {Array<Object>} { node, pos } of each block, in document order
+ */
+export function getBlocksInRange(doc, from, to) {
+  const blocks = []
+  doc.forEach((node, pos) => {
+    if (pos < to && pos + node.nodeSize > from) {
+      blocks.push({ node, pos })
+    }
+  })
+  return blocks
+}
+
+/**
+ * Get the blocks covered by the selection
+ * A block selection (NodeRangeSelection) covers whole blocks, any other selection
+ * covers the blocks it touches
+ * 
+ * @param {EditorState} state - The editor state
+ * @returns {Object|null} { from, to, blocks } where from/to are the outer block boundaries
+ */
+export function getSelectedBlocks(state) {
+  const { doc, selection } = state
+  const first = getTopLevelBlock(doc, selection.from)
+  const last = getTopLevelBlock(doc, Math.max(selection.from, selection.to - 1))
+  if (!first || !last) {
+    return null
+  }
+
+  const from = first.pos
+  const to = last.pos + last.node.nodeSize
+  return { from, to, blocks: getBlocksInRange(doc, from, to) }
+}
+
+/**
+ * Check if a block is part of the current block selection
+ * 
+ * @param {EditorState} state - The editor state
+ * @param {number} pos - Position of the block
+ * @returns {boolean}
+ */
+export function isBlockSelected(state, pos) {
+  const { selection } = state
+  return isNodeRangeSelection(selection) && pos >= selection.from && pos < selection.to
+}
+
+/**
+ * Create a selection of whole blocks from the anchor block to the head block
+ * 
+ * @param {Node} doc - The ProseMirror document
+ * @param {number} anchorPos - Position in the block the selection starts from
+ * @param {number} headPos - Position in the block the selection extends to
+ * @returns {NodeRangeSelection|null}
+ */
+export function createBlockSelection(doc, anchorPos, headPos) {
+  const anchor = getTopLevelBlock(doc, anchorPos)
+  const head = getTopLevelBlock(doc, headPos)
+  if (!anchor || !head) {
+    return null
+  }
+
+  // Keep the anchor block selected in both directions
+  if (head.pos >= anchor.pos) {
+    return NodeRangeSelection.create(doc, anchor.pos, head.pos + head.node.nodeSize, 0)
+  }
+  return NodeRangeSelection.create(doc, anchor.pos + anchor.node.nodeSize, head.pos, 0)
+}
+
+/**
+ * Create a selection of whole blocks between two blocks given by position or id
+ * Positions select the top-level blocks around them, like createBlockSelection.
+ * Blocks given by id are selected themselves when they share a parent, so the
+ * id of a list item selects that item rather than its list.
+ * 
+ * @param {Node} doc - The ProseMirror document
+ * @param {number|string} anchor - Block the selection starts from
+ * @param {number|string} head - Block the selection extends to
+ * @returns {NodeRangeSelection|null}
+ */
+export function createBlockSelectionBetween(doc, anchor, head) {
+  const [from, to] = [anchor, head].map(block => (
+    typeof block === 'string' ? findBlockById(doc, block) : getTopLevelBlock(doc, block)
+  ))
+  if (!from || !to) {
+    return null
+  }
+
+  const $from = doc.resolve(from.pos)
+  if ($from.depth === 0 || !$from.sameParent(doc.resolve(to.pos))) {
+    return createBlockSelection(doc, from.pos, to.pos)
+  }
+  if (to.pos >= from.pos) {
+    return NodeRangeSelection.create(doc, from.pos, to.pos + to.node.nodeSize, $from.depth)
+  }
+  return NodeRangeSelection.create(doc, from.pos + from.node.nodeSize, to.pos, $from.depth)
+}
+
+/**
+ * Get the nodes the keyboard shortcuts act on
+ * A block selection covers all selected blocks, a cursor inside a list its list item,
+ * and any other cursor its top-level block
+ * 
+ * @param {EditorState} state - The editor state
+ * @returns {Object|null} { from, to, node } where node is the first node of the range
+ */
+export function getCurrentBlockRange(state) {
+  const { doc, selection } = state
+  if (isNodeRangeSelection(selection)) {
+    return { from: selection.from, to: selection.to, node: doc.nodeAt(selection.from) }
+  }
+
+  const { $from } = selection
+  for (let depth = $from.depth; depth > 0; depth--) {
+    const node = $from.node(depth)
+    if (LIST_ITEM_TYPES.includes(node.type.name)) {
+      return { from: $from.before(depth), to: $from.after(depth), node }
+    }
+  }
+
+  const block = getTopLevelBlock(doc, selection.from)
+  return block && { from: block.pos, to: block.pos + block.node.nodeSize, node: block.node }
+}
+
+/**
+ * Get a readable name for a block, used in screen reader announcements
+ * 
+ * @param {Node} node - The ProseMirror node
+ * @returns {string}
+ */
+export function getBlockLabel(node) {
+  if (LIST_ITEM_TYPES.includes(node.type.name)) {
+    return node.type.name === 'taskItem' ? 'Task' : 'List item'
+  }
+  return getBlockTypeInfo(node.type.name, node.attrs)?.label || 'Block'
+}
+
+/**
+ * Move a selection by an offset, keeping its type
+ * Used when the nodes containing the selection are moved or copied
+ * 
+ * @param {Node} doc - The document after the move
+ * @param {Selection} selection - The selection before the move
+ * @param {number} offset - Distance the nodes moved
+ * @returns {Selection}
+ */
+function shiftSelection(doc, selection, offset) {
+  if (isNodeRangeSelection(selection)) {
+    return NodeRangeSelection.create(doc, selection.anchor + offset, selection.head + offset, selection.depth)
+  }
+  if (selection instanceof NodeSelection) {
+    return NodeSelection.create(doc, selection.from + offset)
+  }
+  if (selection instanceof TextSelection) {
+    return TextSelection.create(doc, selection.anchor + offset, selection.head + offset)
+  }
+  return Selection.near(doc.resolve(selection.from + offset))
+}
+
+/**
+ * Move the nodes between from and to past their previous (-1) or next (1) sibling
+ * Works at any depth and keeps the nodes themselves (attributes, marks) and a selection inside them
+ * 
+ * @param {Transaction} tr - The transaction to add the move to
+ * @param {number} from - Start of the first node
+ * @param {number} to - End of the last node
+ * @param {number} direction - -1 to move up, 1 to move down
+ * @returns {number|null} New start of the nodes, or null when there is no sibling to move past
+ */
+export function moveNodesPastSibling(tr, from, to, direction) {
+  const neighbor = direction < 0 ? tr.doc.resolve(from).nodeBefore : tr.doc.resolve(to).nodeAfter
+  if (!neighbor || from >= to) {
+    return null
+  }
+
+  const { selection } = tr
+  const { content } = tr.doc.slice(from, to)
+  // Insert position once the nodes are deleted
+  const insertPos = direction < 0 ? from - neighbor.nodeSize : from + neighbor.nodeSize
+
+  tr.delete(from, to)
+  tr.insert(insertPos, content)
+  if (selection.from >= from && selection.to <= to) {
+    tr.setSelection(shiftSelection(tr.doc, selection, insertPos - from))
+  }
+  return insertPos
+}
+
+/**
+ * Get the range to delete to remove some nodes
+ * Nodes that make up all of their parent's content take the parent with them,
+ * since an empty list or quote is not valid
+ * 
+ * @param {Node} doc - The ProseMirror document
+ * @param {number} from - Start of the first node
+ * @param {number} to - End of the last node
+ * @returns {Object} { from, to }
+ */
+function getRemovableRange(doc, from, to) {
+  let $from = doc.resolve(from)
+  while ($from.depth > 0 && from === $from.start() && to === $from.end()) {
+    from = $from.before()
+    to = $from.after()
+    $from = doc.resolve(from)
+  }
+  return { from, to }
+}
+
+/**
+ * Work out where and in what form a moved node is inserted
+ * - A position inside a textblock moves to the nearest edge of the textblock
+ * - List items moved out of a list are wrapped in their original list type
+ * - Nodes the target doesn't accept are wrapped when possible
+ *   (a paragraph between list items becomes a list item)
+ * - Otherwise the nearest position that accepts the node is used
+ * 
+ * @param {Node} doc - The document without the moved node
+ * @param {number} pos - The target position in doc
+ * @param {Node} node - The moved node
+ * @param {Node} sourceParent - The node's parent before the move
+ * @returns {Object|null} { pos, node } to insert, or null when the node can't be placed
+ */
+function getInsertion(doc, pos, node, sourceParent) {
+  let $pos = doc.resolve(pos)
+  if ($pos.parent.inlineContent) {
+    pos = $pos.parentOffset * 2 <= $pos.parent.content.size ? $pos.before() : $pos.after()
+    $pos = doc.resolve(pos)
+  }
+
+  const { parent } = $pos
+  const index = $pos.index()
+  if (parent.canReplaceWith(index, index, node.type)) {
+    return { pos, node }
+  }
+
+  if (LIST_ITEM_TYPES.includes(node.type.name) && parent.canReplaceWith(index, index, sourceParent.type)) {
+    return { pos, node: sourceParent.type.create(sourceParent.attrs, node) }
+  }
+
+  const wrapping = parent.contentMatchAt(index).findWrapping(node.type)
+  if (wrapping) {
+    return { pos, node: wrapping.reduceRight((inner, type) => type.create(null, inner), node) }
+  }
+
+  const point = dropPoint(doc, pos, new Slice(Fragment.from(node), 0, 0))
+  return point === null ? null : { pos: point, node }
+}
+
+/**
+ * Plan moving a node to another position, without changing the document
+ * 
+ * @param {Node} doc - The document
+ * @param {number} sourcePos - Position of the node
+ * @param {number} targetPos - Position to move it to (before the move)
+ * @returns {Object|null} { node, sourceEnd, removal, insertion }, or null when it can't be moved there
+ */
+function planNodeMove(doc, sourcePos, targetPos) {
+  const node = doc.nodeAt(sourcePos)
+  if (!node) {
+    return null
+  }
+  const sourceEnd = sourcePos + node.nodeSize
+  if (targetPos > sourcePos && targetPos < sourceEnd) {
+    return null
+  }
+
+  const sourceParent = doc.resolve(sourcePos).parent
+  const removal = getRemovableRange(doc, sourcePos, sourceEnd)
+  const removed = new Transform(doc).delete(removal.from, removal.to)
+  const insertion = getInsertion(removed.doc, removed.mapping.map(targetPos), node, sourceParent)
+  return insertion && { node, sourceEnd, removal, insertion }
+}
+
+/**
+ * Move a node to another position with a transaction
+ * Works at any depth: into and out of lists and quotes. The node keeps its attributes
+ * and marks, a selection inside it moves with it, and the move is a single undo step.
+ * 
+ * @param {Transaction} tr - The transaction to add the move to
+ * @param {number} sourcePos - Position of the node
+ * @param {number} targetPos - Position to move it to (before the move)
+ * @returns {number|null} New position of the node, or null when it can't be moved there
+ */
+export function moveNodeTo(tr, sourcePos, targetPos) {
+  // Plan the insertion first, so nothing changes when the node can't be placed
+  const plan = planNodeMove(tr.doc, sourcePos, targetPos)
+  if (!plan) {
+    return null
+  }
+
+  const { node, sourceEnd, removal, insertion } = plan
+  const { selection } = tr
+  tr.delete(removal.from, removal.to)
+  const stepCount = tr.steps.length
+  tr.replaceRange(insertion.pos, insertion.pos, new Slice(Fragment.from(insertion.node), 0, 0))
+
+  // Find the node inside whatever wrapped it
+  const insertEnd = tr.mapping.slice(stepCount).map(insertion.pos, 1)
+  let newPos = null
+  tr.doc.nodesBetween(insertion.pos, insertEnd, (child, pos) => {
+    if (newPos === null && pos >= insertion.pos && child.eq(node)) {
+      newPos = pos
+    }
+    return newPos === null
+  })
+
+  if (newPos !== null && selection.from >= sourcePos && selection.to <= sourceEnd) {
+    tr.setSelection(shiftSelection(tr.doc, selection, newPos - sourcePos))
+  }
+  return newPos ?? insertion.pos
+}
+
+/**
+ * Get the position of the block a selection was started from
+ * Shift-click extends the block selection from this block
+ * 
+ * @param {Selection} selection - The current selection
+ * @returns {number}
+ */
+function getSelectionAnchorPos(selection) {
+  if (isNodeRangeSelection(selection)) {
+    const { ranges } = selection
+    return selection.isForwards ? ranges[0].$from.pos : ranges[ranges.length - 1].$from.pos
+  }
+  return selection.anchor
+}
 
 /**
  * Validate drop position for block move operation
@@ -70,6 +453,9 @@ export function validateDropPosition({ sourcePos, targetPos, nodeSize, docSize }
  * Requirement 8.2: Allow reordering within the same list
  * Requirement 8.3: Operations affect entire block including nested elements
  * 
+ * The move is a single transaction (see moveNodeTo), so it is one undo step
+ * and keeps the node's attributes, marks and a selection inside it.
+ * 
  * @param {Editor} editor - The Tiptap editor instance
  * @param {number} sourcePos - Original position of the block
  * @param {number} targetPos - Target drop position
@@ -110,25 +496,16 @@ export function moveBlock(editor, sourcePos, targetPos) {
   }
   
   try {
-    // Create a copy of the node content
-    // Requirement 8.3: Preserve entire block including nested elements
-    const nodeJSON = node.toJSON()
-    
-    // Determine the actual insert position after deletion
-    // If target is after source, we need to adjust for the deleted content
-    let adjustedTargetPos = targetPos
-    if (targetPos > sourcePos) {
-      adjustedTargetPos = targetPos - nodeSize
-    }
-    
-    // Perform the move: delete from source, insert at target
-    editor.chain()
+    // Requirement 8.3: The node itself is moved, including nested elements
+    const moved = editor.chain()
       .focus()
-      .deleteRange({ from: sourcePos, to: sourcePos + nodeSize })
-      .insertContentAt(adjustedTargetPos, nodeJSON)
+      .moveBlockTo(sourcePos, targetPos)
       .run()
     
-    return true
+    if (!moved) {
+      showWarning('Invalid drop position')
+    }
+    return moved
   } catch (error) {
     console.error('Failed to move block:', error)
     showError('Failed to move block')
@@ -165,63 +542,163 @@ export function moveListItem(editor, sourcePos, targetPos) {
 }
 
 /**
- * Duplicate a block node
- * Requirement 6.1: Create an identical copy of the Block immediately below the original
+ * Copy block content to clipboard
+ * Requirement 6.2: Copy the Block content to the system clipboard in both HTML and plain text formats
  * 
  * @param {Editor} editor - The Tiptap editor instance
- * @param {number} pos - Position of the block to duplicate
- * @param {Node} node - The ProseMirror node to duplicate
- * @returns {boolean} Whether the operation succeeded
+ * @param {number} pos - Position of the block
+ * @param {Node} node - The ProseMirror node to copy
+ * @returns {Promise<boolean>} Whether the operation succeeded
  */
-export function duplicateBlock(editor, pos, node) {
-  if (!editor || pos === undefined || !node) {
+export async function copyBlockToClipboard(editor, pos, node) {
+  if (!editor || !node) {
     return false
   }
 
-  try {
-    // Calculate insert position (immediately after the original block)
-    const insertPos = pos + node.nodeSize
-    
-    // Create a deep copy of the node with all attributes and content preserved
-    const nodeJSON = node.toJSON()
-    
-    // Insert the duplicated node
-    editor.chain()
-      .focus()
-      .insertContentAt(insertPos, nodeJSON)
-      .run()
-    
-    showInfo('Block duplicated')
-    return true
-  } catch (error) {
-    console.error('Failed to duplicate block:', error)
-    showError('Failed to duplicate block')
+  return copyBlocksToClipboard(editor, pos, pos + node.nodeSize)
+}
+
+/**
+ * Copy several blocks to the clipboard as one payload
+ * Plain text separates blocks with blank lines, HTML keeps them in document order
+ * 
+ * @param {Editor} editor - The Tiptap editor instance
+ * @param {number} from - Start of the first block
+ * @param {number} to - End of the last block
+ * @returns {Promise<boolean>} Whether the operation succeeded
+ */
+export async function copyBlocksToClipboard(editor, from, to) {
+  const blocks = editor ? getBlocksInRange(editor.state.doc, from, to) : []
+  if (!blocks.length) {
     return false
   }
+
+  const plainText = blocks
+    .map(({ node }) => node.isTextblock ? node.textContent : node.textBetween(0, node.content.size, '\n'))
+    .join('\n\n')
+  return writeToClipboard(plainText, getBlocksHTML(editor, from, to))
 }
 
 /**
- * Copy block content to clipboard
- * Requirement 6.2: Copy the Block content to the system clipboard in both HTML and plain text formats
+ * Copy blocks as Markdown
+ * The HTML flavor is written too, so pasting back into the editor keeps the structure
+ * 
+ * @param {Editor} editor - The Tiptap editor instance
+ * @param {number} from - Start of the first block
+ * @param {number} to - End of the last block
+ * @returns {Promise<boolean>} Whether the operation succeeded
+ */
+export async function copyBlocksAsMarkdown(editor, from, to) {
+  if (!editor || !getBlocksInRange(editor.state.doc, from, to).length) {
+    return false
+  }
+
+  return writeToClipboard(getBlocksMarkdown(editor, from, to), getBlocksHTML(editor, from, to), 'Copied as Markdown')
+}
+
+/**
+ * Copy blocks as HTML source
+ * 
+ * @param {Editor} editor - The Tiptap editor instance
+ * @param {number} from - Start of the first block
+ * @param {number} to - End of the last block
+ * @returns {Promise<boolean>} Whether the operation succeeded
+ */
+export async function copyBlocksAsHTML(editor, from, to) {
+  if (!editor || !getBlocksInRange(editor.state.doc, from, to).length) {
+    return false
+  }
+
+  const html = getBlocksHTML(editor, from, to)
+  return writeToClipboard(html, html, 'Copied as HTML')
+}
+
+/**
+ * Copy a link to a block
  * 
  * @param {Editor} editor - The Tiptap editor instance
  * @param {number} pos - Position of the block
- * @param {Node} node - The ProseMirror node to copy
  * @returns {Promise<boolean>} Whether the operation succeeded
  */
-export async function copyBlockToClipboard(editor, pos, node) {
-  if (!editor || !node) {
+export async function copyBlockLink(editor, pos) {
+  const anchor = editor ? getBlockAnchor(editor.state.doc, pos) : null
+  if (!anchor) {
     return false
   }
 
+  const url = `${window.location.href.split('#')[0]}#${encodeURIComponent(anchor)}`
+  return writeToClipboard(url, `<a href="${escapeAttribute(url)}">${escapeHTML(url)}</a>`, 'Link copied')
+}
+
+/**
+ * Serialize the top-level blocks overlapping a range to HTML with the schema serializer
+ * 
+ * @param {Editor} editor - The Tiptap editor instance
+ * @param {number} from - Start of the range
+ * @param {number} to - End of the range
+ * @returns {string} HTML string
+ */
+export function getBlocksHTML(editor, from, to) {
+  return getHTMLFromFragment(getBlocksFragment(editor.state.doc, from, to), editor.schema)
+}
+
+/**
+ * Serialize the top-level blocks overlapping a range to Markdown
+ * Uses the editor's Markdown manager when it has one
+ * 
+ * @param {Editor} editor - The Tiptap editor instance
+ * @param {number} from - Start of the range
+ * @param {number} to - End of the range
+ * @returns {string} Markdown string
+ */
+export function getBlocksMarkdown(editor, from, to) {
+  const doc = { type: 'doc', content: getBlocksFragment(editor.state.doc, from, to).toJSON() ?? [] }
+  return editor.markdown ? editor.markdown.serialize(doc) : serializeMarkdown(doc)
+}
+
+/**
+ * Get the anchor a link to a block points at
+ * Uses the outline anchor of a heading, the block's id, or the block's index
+ * 
+ * @param {Node} doc - The ProseMirror document
+ * @param {number} pos - Position of the block
+ * @returns {string|null} Anchor without the leading #
+ */
+export function getBlockAnchor(doc, pos) {
+  const block = getTopLevelBlock(doc, pos)
+  if (!block) {
+    return null
+  }
+
+  const { node } = block
+  if (node.type.name === 'heading') {
+    // Same anchor as the outline and the table of contents
+    return getOutline(doc).find(item => item.pos === block.pos).anchor
+  }
+  if (node.attrs.id) {
+    return node.attrs.id
+  }
+  return `block-${doc.resolve(block.pos).index() + 1}`
+}
+
+/**
+ * Get the top-level blocks overlapping a range as a fragment
+ */
+function getBlocksFragment(doc, from, to) {
+  return Fragment.from(getBlocksInRange(doc, from, to).map(({ node }) => node))
+}
+
+/**
+ * Write plain text and HTML to the system clipboard
+ * Falls back to plain text when ClipboardItem is not supported
+ * 
+ * @param {string} plainText - Plain text content
+ * @param {string} htmlContent - HTML content
+ * @param {string} message - Notification shown on success
+ * @returns {Promise<boolean>} Whether the operation succeeded
+ */
+async function writeToClipboard(plainText, htmlContent, message = 'Copied to clipboard') {
   try {
-    // Get plain text content
-    const plainText = node.textContent || ''
-    
-    // Get HTML content by creating a temporary fragment
-    // We need to serialize the node to HTML
-    const htmlContent = getNodeHTML(editor, pos, node)
-    
     // Try to use the modern Clipboard API with both formats
     if (navigator.clipboard && window.ClipboardItem) {
       try {
@@ -231,7 +708,7 @@ export async function copyBlockToClipboard(editor, pos, node) {
             'text/html': new Blob([htmlContent], { type: 'text/html' })
           })
         ])
-        showInfo('Copied to clipboard')
+        showInfo(message)
         return true
       } catch (clipboardError) {
         // Fall back to text-only clipboard
@@ -241,7 +718,7 @@ export async function copyBlockToClipboard(editor, pos, node) {
     
     // Fallback: copy plain text only
     await navigator.clipboard.writeText(plainText)
-    showInfo('Copied to clipboard (text only)')
+    showInfo(`${message} (text only)`)
     return true
   } catch (error) {
     console.error('Failed to copy to clipboard:', error)
@@ -251,64 +728,38 @@ export async function copyBlockToClipboard(editor, pos, node) {
 }
 
 /**
- * Get HTML representation of a node
- * @param {Editor} editor - The Tiptap editor instance
- * @param {number} pos - Position of the node
- * @param {Node} node - The ProseMirror node
- * @returns {string} HTML string
+ * Escape text for HTML content
  */
-function getNodeHTML(editor, pos, node) {
-  try {
-    // Create a temporary div to render the node
-    const tempDiv = document.createElement('div')
-    const fragment = editor.view.state.doc.slice(pos, pos + node.nodeSize)
-    
-    // Use the editor's serializer to convert to DOM
-    const dom = editor.view.nodeDOM(pos)
-    if (dom && dom.outerHTML) {
-      return dom.outerHTML
-    }
-    
-    // Fallback: create basic HTML from node type and content
-    const nodeType = node.type.name
-    const content = node.textContent || ''
-    
-    switch (nodeType) {
-      case 'paragraph':
-        return `<p>${content}</p>`
-      case 'heading':
-        const level = node.attrs?.level || 1
-        return `<h${level}>${content}</h${level}>`
-      case 'bulletList':
-        return `<ul>${getListItemsHTML(node)}</ul>`
-      case 'orderedList':
-        return `<ol>${getListItemsHTML(node)}</ol>`
-      case 'blockquote':
-        return `<blockquote>${content}</blockquote>`
-      case 'codeBlock':
-        return `<pre><code>${content}</code></pre>`
-      default:
-        return `<div>${content}</div>`
-    }
-  } catch (error) {
-    console.warn('Failed to get node HTML:', error)
-    return node.textContent || ''
-  }
+function escapeHTML(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
 }
 
 /**
- * Get HTML for list items
- * @param {Node} listNode - The list node
- * @returns {string} HTML string of list items
+ * Escape text for an HTML attribute value
  */
-function getListItemsHTML(listNode) {
-  let html = ''
-  listNode.forEach(child => {
-    if (child.type.name === 'listItem') {
-      html += `<li>${child.textContent}</li>`
-    }
-  })
-  return html
+function escapeAttribute(text) {
+  return escapeHTML(text).replace(/"/g, '&quot;')
+}
+
+/**
+ * Duplicate a block node
+ * Requirement 6.1: Create an identical copy of the Block immediately below the original
+ * 
+ * @param {Editor} editor - The Tiptap editor instance
+ * @param {number} pos - Position of the block to duplicate
+ * @param {Node} node - The ProseMirror node to duplicate
+ * @returns {boolean} Whether the operation succeeded
+ */
+export function duplicateBlock(editor, pos, node) {
+  if (!editor || pos === undefined || !node) {
+    return false
+  }
+
+  const duplicated = editor.chain().focus().duplicateBlockAt(pos).run()
+  if (duplicated) {
+    showInfo('Block duplicated')
+  }
+  return duplicated
 }
 
 /**
@@ -325,40 +776,11 @@ export function deleteBlock(editor, pos, node) {
     return false
   }
 
-  try {
-    const docSize = editor.state.doc.content.size
-    const endPos = pos + node.nodeSize
-    
-    // Determine where to place cursor after deletion
-    // Prefer the block before, otherwise the block after
-    let cursorPos = null
-    
-    if (pos > 0) {
-      // There's content before - place cursor at end of previous block
-      cursorPos = pos - 1
-    } else if (endPos < docSize) {
-      // There's content after - cursor will naturally move there
-      cursorPos = pos
-    }
-    
-    // Delete the block
-    editor.chain()
-      .focus()
-      .deleteRange({ from: pos, to: endPos })
-      .run()
-    
-    // If we have a cursor position and the document isn't empty, set focus
-    if (cursorPos !== null && editor.state.doc.content.size > 0) {
-      // Focus will be handled automatically by the deleteRange command
-    }
-    
+  const deleted = editor.chain().focus().deleteBlockAt(pos).run()
+  if (deleted) {
     showInfo('Block deleted')
-    return true
-  } catch (error) {
-    console.error('Failed to delete block:', error)
-    showError('Failed to delete block')
-    return false
   }
+  return deleted
 }
 
 /**
@@ -375,32 +797,109 @@ export function resetBlockFormatting(editor, pos, node) {
     return false
   }
 
-  try {
-    // Calculate the text range within the block
-    // pos is the position before the node, pos + 1 is the start of content
-    const from = pos + 1
-    const to = pos + node.nodeSize - 1
-    
-    // Only proceed if there's actual content to reset
-    if (from >= to) {
-      showInfo('No formatting to reset')
-      return true
-    }
-    
-    // Select the block content and remove all marks
-    editor.chain()
-      .focus()
-      .setTextSelection({ from, to })
-      .unsetAllMarks()
-      .run()
-    
+  const reset = editor.chain().focus().resetBlockFormattingAt(pos).run()
+  if (reset) {
     showInfo('Formatting reset')
-    return true
-  } catch (error) {
-    console.error('Failed to reset formatting:', error)
-    showError('Failed to reset formatting')
+  }
+  return reset
+}
+
+/**
+ * Duplicate several blocks
+ * The copies are inserted after the last block and selected, in a single undo step
+ * 
+ * @param {Editor} editor - The Tiptap editor instance
+ * @param {number} from - Start of the first block
+ * @param {number} to - End of the last block
+ * @returns {boolean} Whether the operation succeeded
+ */
+export function duplicateBlocks(editor, from, to) {
+  if (!editor) {
+    return false
+  }
+
+  const count = getBlocksInRange(editor.state.doc, from, to).length
+  const duplicated = editor.chain().focus().duplicateBlockRange(from, to).run()
+  if (duplicated) {
+    showInfo(count > 1 ? `${count} blocks duplicated` : 'Block duplicated')
+  }
+  return duplicated
+}
+
+/**
+ * Delete several blocks in a single undo step
+ * 
+ * @param {Editor} editor - The Tiptap editor instance
+ * @param {number} from - Start of the first block
+ * @param {number} to - End of the last block
+ * @returns {boolean} Whether the operation succeeded
+ */
+export function deleteBlocks(editor, from, to) {
+  if (!editor) {
     return false
   }
+
+  const count = getBlocksInRange(editor.state.doc, from, to).length
+  const deleted = editor.chain().focus().deleteBlockRange(from, to).run()
+  if (deleted) {
+    showInfo(count > 1 ? `${count} blocks deleted` : 'Block deleted')
+  }
+  return deleted
+}
+
+/**
+ * Move several blocks one block up or down
+ * The moved blocks stay selected, and the move is a single undo step
+ * 
+ * @param {Editor} editor - The Tiptap editor instance
+ * @param {number} from - Start of the first block
+ * @param {number} to - End of the last block
+ * @param {number} direction - -1 to move up, 1 to move down
+ * @returns {boolean} Whether the blocks were moved
+ */
+export function moveBlocks(editor, from, to, direction) {
+  if (!editor) {
+    return false
+  }
+
+  return editor.chain().focus().moveBlockRange(from, to, direction).run()
+}
+
+/**
+ * Set the background color of several blocks in a single undo step
+ * 
+ * @param {Editor} editor - The Tiptap editor instance
+ * @param {number} from - Start of the first block
+ * @param {number} to - End of the last block
+ * @param {string} color - CSS color value or 'transparent' to remove
+ * @returns {boolean} Whether any block was colored
+ */
+export function setBlocksColor(editor, from, to, color) {
+  if (!editor) {
+    return false
+  }
+
+  return editor.chain().focus().setBlockRangeColor(from, to, color).run()
+}
+
+/**
+ * Remove inline formatting from several blocks in a single undo step
+ * 
+ * @param {Editor} editor - The Tiptap editor instance
+ * @param {number} from - Start of the first block
+ * @param {number} to - End of the last block
+ * @returns {boolean} Whether the operation succeeded
+ */
+export function resetBlocksFormatting(editor, from, to) {
+  if (!editor) {
+    return false
+  }
+
+  const reset = editor.chain().focus().resetBlockRangeFormatting(from, to).run()
+  if (reset) {
+    showInfo('Formatting reset')
+  }
+  return reset
 }
 
 /**
@@ -410,14 +909,34 @@ export function resetBlockFormatting(editor, pos, node) {
 export const BlockOperations = Extension.create({
   name: 'blockOperations',
 
+  // Runs before the list item keymaps so Tab and Shift-Tab can be announced
+  priority: 110,
+
   addCommands() {
     return {
       /**
-       * Move a block from source position to target position
+       * Move a block (position or id) to a target position
        * Requirements 2.3, 2.4
        */
-      moveBlockTo: (sourcePos, targetPos) => ({ editor }) => {
-        return moveBlock(editor, sourcePos, targetPos)
+      moveBlockTo: (source, targetPos) => ({ tr, dispatch }) => {
+        const block = getBlockAt(tr.doc, source)
+        if (!block) return false
+        const { node, pos: sourcePos } = block
+
+        const { isValid } = validateDropPosition({
+          sourcePos,
+          targetPos,
+          nodeSize: node.nodeSize,
+          docSize: tr.doc.content.size
+        })
+        // can() and the real move agree on drops that can't be placed
+        if (!isValid || !planNodeMove(tr.doc, sourcePos, targetPos)) return false
+
+        if (dispatch) {
+          moveNodeTo(tr, sourcePos, targetPos)
+          tr.scrollIntoView()
+        }
+        return true
       },
 
       /**
@@ -437,55 +956,317 @@ export const BlockOperations = Extension.create({
       },
 
       /**
-       * Duplicate a block at the given position
+       * Duplicate a block at the given position or with the given id
        * Requirement 6.1
        */
-      duplicateBlockAt: (pos) => ({ editor, state }) => {
-        const node = state.doc.nodeAt(pos)
-        if (!node) return false
-        return duplicateBlock(editor, pos, node)
+      duplicateBlockAt: (posOrId) => ({ tr, dispatch }) => {
+        const block = getBlockAt(tr.doc, posOrId)
+        if (!block) return false
+
+        if (dispatch) {
+          const insertPos = block.pos + block.node.nodeSize
+          tr.insert(insertPos, block.node)
+          // A block selection covers top-level blocks; in a nested copy (list item)
+          // the cursor goes to its start, so the keyboard shortcuts act on the copy
+          tr.setSelection(tr.doc.resolve(insertPos).depth > 0
+            ? Selection.near(tr.doc.resolve(insertPos + 1))
+            : createBlockSelection(tr.doc, insertPos, insertPos))
+        }
+        return true
       },
 
       /**
-       * Copy a block to clipboard
+       * Copy a block (position or id) to clipboard
        * Requirement 6.2
        */
-      copyBlockAt: (pos) => ({ editor, state }) => {
-        const node = state.doc.nodeAt(pos)
-        if (!node) return false
-        copyBlockToClipboard(editor, pos, node)
+      copyBlockAt: (posOrId) => ({ editor, state, dispatch }) => {
+        const block = getBlockAt(state.doc, posOrId)
+        if (!block) return false
+
+        if (dispatch) {
+          copyBlockToClipboard(editor, block.pos, block.node)
+        }
         return true
       },
 
       /**
-       * Delete a block at the given position
+       * Delete a block at the given position or with the given id
        * Requirement 6.3
        */
-      deleteBlockAt: (pos) => ({ editor, state }) => {
-        const node = state.doc.nodeAt(pos)
-        if (!node) return false
-        return deleteBlock(editor, pos, node)
+      deleteBlockAt: (posOrId) => ({ tr, commands }) => {
+        const block = getBlockAt(tr.doc, posOrId)
+        if (!block) return false
+
+        // The last item of a list takes the list with it
+        const { from, to } = getRemovableRange(tr.doc, block.pos, block.pos + block.node.nodeSize)
+        return commands.deleteBlockRange(from, to)
       },
 
       /**
-       * Reset formatting on a block
+       * Reset formatting on a block (position or id)
        * Requirement 6.4
        */
-      resetBlockFormattingAt: (pos) => ({ editor, state }) => {
-        const node = state.doc.nodeAt(pos)
-        if (!node) return false
-        return resetBlockFormatting(editor, pos, node)
+      resetBlockFormattingAt: (posOrId) => ({ tr, commands }) => {
+        const block = getBlockAt(tr.doc, posOrId)
+        if (!block) return false
+        return commands.resetBlockRangeFormatting(block.pos, block.pos + block.node.nodeSize)
       },
 
       /**
        * Move a list item within its parent list
        * Requirement 8.2: Allow reordering within the same list
        */
-      moveListItemTo: (sourcePos, targetPos) => ({ editor }) => {
-        return moveListItem(editor, sourcePos, targetPos)
+      moveListItemTo: (source, targetPos) => ({ tr, commands }) => {
+        if (getBlockAt(tr.doc, source)?.node.type.name !== 'listItem') return false
+        return commands.moveBlockTo(source, targetPos)
+      },
+
+      /**
+       * Select whole blocks from the anchor block to the head block
+       * Positions select top-level blocks, ids the blocks themselves (see createBlockSelectionBetween)
+       */
+      selectBlocks: (anchor, head = anchor) => ({ tr, dispatch }) => {
+        const selection = createBlockSelectionBetween(tr.doc, anchor, head)
+        if (!selection) return false
+        if (dispatch) {
+          tr.setSelection(selection)
+        }
+        return true
+      },
+
+      /**
+       * Extend the block selection to the block at a position (shift-click)
+       */
+      extendBlockSelection: (pos) => ({ tr, dispatch }) => {
+        const selection = createBlockSelection(tr.doc, getSelectionAnchorPos(tr.selection), pos)
+        if (!selection) return false
+        if (dispatch) {
+          tr.setSelection(selection)
+        }
+        return true
+      },
+
+      /**
+       * Move the blocks between from and to one block up (-1) or down (1)
+       * Fails at the start or end of the document
+       */
+      moveBlockRange: (from, to, direction) => ({ tr, dispatch }) => {
+        const neighbor = direction < 0 ? tr.doc.resolve(from).nodeBefore : tr.doc.resolve(to).nodeAfter
+        if (from >= to || !neighbor) return false
+
+        if (dispatch) {
+          const insertPos = moveNodesPastSibling(tr, from, to, direction)
+          tr.setSelection(createBlockSelection(tr.doc, insertPos, insertPos + (to - from) - 1))
+          tr.scrollIntoView()
+        }
+        return true
+      },
+
+      /**
+       * Duplicate the blocks between from and to, and select the copies
+       */
+      duplicateBlockRange: (from, to) => ({ tr, dispatch }) => {
+        if (from >= to) return false
+
+        if (dispatch) {
+          const { content } = tr.doc.slice(from, to)
+          tr.insert(to, content)
+          tr.setSelection(createBlockSelection(tr.doc, to, to + content.size - 1))
+        }
+        return true
+      },
+
+      /**
+       * Copy the blocks between from and to as one clipboard payload
+       */
+      copyBlockRange: (from, to) => ({ editor, state, dispatch }) => {
+        if (!getBlocksInRange(state.doc, from, to).length) return false
+
+        if (dispatch) {
+          copyBlocksToClipboard(editor, from, to)
+        }
+        return true
+      },
+
+      /**
+       * Delete the blocks between from and to
+       */
+      deleteBlockRange: (from, to) => ({ tr, dispatch }) => {
+        if (from >= to) return false
+
+        if (dispatch) {
+          tr.delete(from, to)
+        }
+        return true
+      },
+
+      /**
+       * Set the background color of the blocks between from and to
+       * Blocks without color support are skipped
+       */
+      setBlockRangeColor: (from, to, color) => ({ tr, commands }) => {
+        const blocks = getBlocksInRange(tr.doc, from, to)
+          .filter(({ node }) => 'backgroundColor' in node.type.attrs)
+        if (!blocks.length) return false
+
+        blocks.forEach(({ pos }) => commands.setBlockColorAt(pos, color))
+        return true
+      },
+
+      /**
+       * Remove inline formatting from the blocks between from and to
+       */
+      resetBlockRangeFormatting: (from, to) => ({ tr, dispatch }) => {
+        if (from >= to) return false
+
+        if (dispatch) {
+          tr.removeMark(from, to)
+        }
+        return true
+      },
+
+      /**
+       * Move the current block, list item or block selection up (-1) or down (1)
+       * Each move is its own undo step, even when repeated quickly
+       */
+      moveCurrentBlock: (direction) => ({ tr, state, dispatch }) => {
+        const range = getCurrentBlockRange(state)
+        if (!range) return false
+        const neighbor = direction < 0 ? tr.doc.resolve(range.from).nodeBefore : tr.doc.resolve(range.to).nodeAfter
+        if (!neighbor) return false
+
+        if (dispatch) {
+          closeHistory(tr)
+          moveNodesPastSibling(tr, range.from, range.to, direction)
+          tr.scrollIntoView()
+        }
+        return true
+      },
+
+      /**
+       * Duplicate the current block, list item or block selection below itself
+       * The selection moves into the copy
+       */
+      duplicateCurrentBlock: () => ({ tr, state, dispatch }) => {
+        const range = getCurrentBlockRange(state)
+        if (!range) return false
+
+        if (dispatch) {
+          const { from, to } = range
+          closeHistory(tr)
+          tr.insert(to, tr.doc.slice(from, to).content)
+          tr.setSelection(shiftSelection(tr.doc, state.selection, to - from))
+          tr.scrollIntoView()
+        }
+        return true
+      },
+
+      /**
+       * Delete the current block, list item or block selection
+       * Deleting every item of a list deletes the list; the cursor moves to the adjacent block
+       */
+      deleteCurrentBlock: () => ({ tr, state, dispatch }) => {
+        const range = getCurrentBlockRange(state)
+        if (!range) return false
+
+        if (dispatch) {
+          const { from, to } = getRemovableRange(tr.doc, range.from, range.to)
+
+          closeHistory(tr)
+          if (from === 0 && to === tr.doc.content.size) {
+            // The document needs at least one block
+            tr.replaceWith(from, to, state.schema.nodes.paragraph.create())
+            tr.setSelection(TextSelection.create(tr.doc, 1))
+          } else {
+            tr.delete(from, to)
+            tr.setSelection(Selection.near(tr.doc.resolve(Math.min(from, tr.doc.content.size)), from > 0 ? -1 : 1))
+          }
+          tr.scrollIntoView()
+        }
+        return true
       }
     }
+  },
+
+  /**
+   * Keyboard block movement and nesting
+   * Every action is announced to screen readers
+   */
+  addKeyboardShortcuts() {
+    return {
+      // A selected image is resized instead (see CustomImage)
+      'Alt-Shift-ArrowUp': ({ editor }) => !isImageSelected(editor.state) && moveCurrentBlockWithAnnouncement(editor, -1),
+      'Alt-Shift-ArrowDown': ({ editor }) => !isImageSelected(editor.state) && moveCurrentBlockWithAnnouncement(editor, 1),
+      'Mod-d': ({ editor }) => {
+        const range = getCurrentBlockRange(editor.state)
+        if (!range || !editor.commands.duplicateCurrentBlock()) return false
+        announce(`${getBlockLabel(range.node)} duplicated`)
+        return true
+      },
+      'Mod-Shift-Backspace': ({ editor }) => {
+        const range = getCurrentBlockRange(editor.state)
+        if (!range || !editor.commands.deleteCurrentBlock()) return false
+        announce(`${getBlockLabel(range.node)} deleted`)
+        return true
+      },
+      Tab: ({ editor }) => nestListItemWithAnnouncement(editor, 1),
+      'Shift-Tab': ({ editor }) => nestListItemWithAnnouncement(editor, -1)
+    }
   }
 })
 
+/**
+ * Check if an image is node-selected
+ * Its Shift-Alt-Arrow shortcuts change its size, so they don't move it.
+ */
+function isImageSelected(state) {
+  return state.selection instanceof NodeSelection && state.selection.node.type.name === 'image'
+}
+
+/**
+ * Move the current block and announce the result
+ * 
+ * @param {Editor} editor - The Tiptap editor instance
+ * @param {number} direction - -1 to move up, 1 to move down
+ * @returns {boolean} Whether the shortcut was handled
+ */
+function moveCurrentBlockWithAnnouncement(editor, direction) {
+  const range = getCurrentBlockRange(editor.state)
+  if (!range) return false
+
+  const label = getBlockLabel(range.node)
+  const where = direction < 0 ? 'up' : 'down'
+  if (!editor.commands.moveCurrentBlock(direction)) {
+    announce(`${label} cannot move further ${where}`)
+    return true
+  }
+
+  // Position among its siblings after the move, e.g. "2 of 5"
+  const $pos = editor.state.doc.resolve(getCurrentBlockRange(editor.state).from)
+  announce(`${label} moved ${where}, ${$pos.index() + 1} of ${$pos.parent.childCount}`)
+  return true
+}
+
+/**
+ * Indent (1) or outdent (-1) the list item at the cursor and announce the result
+ * Inside a list the shortcut is always handled, so Tab doesn't move focus out of the editor
+ * 
+ * @param {Editor} editor - The Tiptap editor instance
+ * @param {number} direction - 1 to indent, -1 to outdent
+ * @returns {boolean} Whether the shortcut was handled
+ */
+function nestListItemWithAnnouncement(editor, direction) {
+  const range = getCurrentBlockRange(editor.state)
+  const itemType = range?.node.type.name
+  if (!LIST_ITEM_TYPES.includes(itemType) || isNodeRangeSelection(editor.state.selection)) return false
+
+  const label = getBlockLabel(range.node)
+  const nested = direction > 0
+    ? editor.commands.sinkListItem(itemType)
+    : editor.commands.liftListItem(itemType)
+  const action = direction > 0 ? 'indented' : 'outdented'
+  announce(nested ? `${label} ${action}` : `${label} cannot be ${action}`)
+  return true
+}
+
 export default BlockOperations
@@ -0,0 +1,611 @@
+import { describe, it, expect, afterEach, vi } from 'vitest'
+import { Editor, Node } from '@tiptap/core'
+import NodeRange, { isNodeRangeSelection } from '@tiptap/extension-node-range'
+import { getContentExtensions } from '../extensions/contentExtensions'
+import { parseMarkdown } from './markdownConverter'
+import {
+  BlockOperations,
+  getSelectedBlocks,
+  isBlockSelected,
+  moveBlock,
+  duplicateBlock,
+  deleteBlock,
+  resetBlockFormatting,
+  getBlocksHTML,
+  getBlocksMarkdown,
+  getBlockAnchor,
+  copyBlocksAsMarkdown,
+  copyBlocksAsHTML,
+  copyBlockLink
+} from './blockOperations'
+
+/**
+ * Tests for multi-block selection and bulk block operations
+ * Requirements: 6.1, 6.2, 6.3, 8.2, 8.3
+ */
+
+let editor = null
+
+function createEditor(content = '<p>A</p><p>B</p><p>C</p><p>D</p>') {
+  editor = new Editor({
+    extensions: [...getContentExtensions(), NodeRange, BlockOperations],
+    content
+  })
+  return editor
+}
+
+/**
+ * Positions of the top-level blocks
+ */
+function blockPositions() {
+  const positions = []
+  editor.state.doc.forEach((node, pos) => positions.push(pos))
+  return positions
+}
+
+/**
+ * Text of each top-level block
+ */
+function blockTexts() {
+  const texts = []
+  editor.state.doc.forEach(node => texts.push(node.textContent))
+  return texts
+}
+
+/**
+ * Select blocks by index and return the selected range
+ */
+function selectBlocks(anchor, head) {
+  const positions = blockPositions()
+  editor.commands.selectBlocks(positions[anchor], positions[head])
+  return getSelectedBlocks(editor.state)
+}
+
+/**
+ * Count document changes made by a callback
+ */
+function countUpdates(callback) {
+  const onUpdate = vi.fn()
+  editor.on('update', onUpdate)
+  callback()
+  editor.off('update', onUpdate)
+  return onUpdate.mock.calls.length
+}
+
+afterEach(() => {
+  editor?.destroy()
+  editor = null
+})
+
+describe('block selection', () => {
+  it('selects whole blocks between two blocks', () => {
+    createEditor()
+    const { blocks } = selectBlocks(1, 2)
+
+    expect(isNodeRangeSelection(editor.state.selection)).toBe(true)
+    expect(blocks.map(({ node }) => node.textContent)).toEqual(['B', 'C'])
+  })
+
+  it('selects backwards and keeps the anchor block', () => {
+    createEditor()
+    const { blocks } = selectBlocks(2, 0)
+
+    expect(blocks.map(({ node }) => node.textContent)).toEqual(['A', 'B', 'C'])
+  })
+
+  it('extends the selection from the anchor block (shift-click)', () => {
+    createEditor()
+    const positions = blockPositions()
+    selectBlocks(1, 1)
+    editor.commands.extendBlockSelection(positions[3])
+    expect(getSelectedBlocks(editor.state).blocks).toHaveLength(3)
+
+    editor.commands.extendBlockSelection(positions[0])
+    const { blocks } = getSelectedBlocks(editor.state)
+    expect(blocks.map(({ node }) => node.textContent)).toEqual(['A', 'B'])
+  })
+
+  it('reports whether a block is selected', () => {
+    createEditor()
+    const positions = blockPositions()
+    selectBlocks(1, 2)
+
+    expect(isBlockSelected(editor.state, positions[1])).toBe(true)
+    expect(isBlockSelected(editor.state, positions[3])).toBe(false)
+  })
+
+  it('treats a text selection as the blocks it touches', () => {
+    createEditor()
+    editor.commands.setTextSelection(2)
+
+    expect(getSelectedBlocks(editor.state).blocks).toHaveLength(1)
+    expect(isBlockSelected(editor.state, blockPositions()[0])).toBe(false)
+  })
+})
+
+describe('bulk block operations', () => {
+  it('moves several blocks in one step', () => {
+    createEditor()
+    const { from, to } = selectBlocks(1, 2)
+
+    expect(countUpdates(() => editor.commands.moveBlockRange(from, to, 1))).toBe(1)
+    expect(blockTexts()).toEqual(['A', 'D', 'B', 'C'])
+    expect(getSelectedBlocks(editor.state).blocks.map(({ node }) => node.textContent)).toEqual(['B', 'C'])
+
+    const moved = getSelectedBlocks(editor.state)
+    editor.commands.moveBlockRange(moved.from, moved.to, -1)
+    expect(blockTexts()).toEqual(['A', 'B', 'C', 'D'])
+  })
+
+  it('does not move blocks past the document edges', () => {
+    createEditor()
+    const { from, to } = selectBlocks(0, 1)
+
+    expect(editor.commands.moveBlockRange(from, to, -1)).toBe(false)
+    expect(blockTexts()).toEqual(['A', 'B', 'C', 'D'])
+  })
+
+  it('duplicates several blocks and selects the copies', () => {
+    createEditor()
+    const { from, to } = selectBlocks(0, 1)
+
+    expect(countUpdates(() => editor.commands.duplicateBlockRange(from, to))).toBe(1)
+    expect(blockTexts()).toEqual(['A', 'B', 'A', 'B', 'C', 'D'])
+    expect(getSelectedBlocks(editor.state).from).toBe(to)
+  })
+
+  it('deletes several blocks in one step', () => {
+    createEditor()
+    const { from, to } = selectBlocks(1, 3)
+
+    expect(countUpdates(() => editor.commands.deleteBlockRange(from, to))).toBe(1)
+    expect(blockTexts()).toEqual(['A'])
+  })
+
+  it('colors every selected block in one step', () => {
+    createEditor()
+    const { from, to } = selectBlocks(0, 2)
+
+    expect(countUpdates(() => editor.commands.setBlockRangeColor(from, to, '#fbecdd'))).toBe(1)
+    const colors = []
+    editor.state.doc.forEach(node => colors.push(node.attrs.backgroundColor))
+    expect(colors).toEqual(['#fbecdd', '#fbecdd', '#fbecdd', null])
+  })
+
+  it('removes inline formatting from every selected block', () => {
+    createEditor('<p><strong>A</strong></p><p><em>B</em></p>')
+    const { from, to } = selectBlocks(0, 1)
+    editor.commands.resetBlockRangeFormatting(from, to)
+
+    expect(editor.getHTML()).toBe('<p>A</p><p>B</p>')
+  })
+
+  it('keeps the single-block helpers', () => {
+    createEditor('<p><strong>A</strong></p><p>B</p><p>C</p>')
+    const block = position => editor.state.doc.nodeAt(position)
+
+    expect(duplicateBlock(editor, 0, block(0))).toBe(true)
+    expect(blockTexts()).toEqual(['A', 'A', 'B', 'C'])
+
+    const last = blockPositions()[3]
+    expect(deleteBlock(editor, last, block(last))).toBe(true)
+    expect(blockTexts()).toEqual(['A', 'A', 'B'])
+
+    expect(resetBlockFormatting(editor, 0, block(0))).toBe(true)
+    expect(editor.getHTML()).toBe('<p>A</p><p><strong>A</strong></p><p>B</p>')
+    expect(deleteBlock(editor, 0, null)).toBe(false)
+  })
+
+  it('undoes a bulk action in a single step', () => {
+    createEditor()
+    const before = editor.getHTML()
+    const { from, to } = selectBlocks(0, 2)
+    editor.commands.deleteBlockRange(from, to)
+    editor.commands.undo()
+
+    expect(editor.getHTML()).toBe(before)
+  })
+})
+
+describe('keyboard block shortcuts', () => {
+  /**
+   * Run the editor's keydown handlers for a key combination
+   */
+  function pressKey(key, modifiers = {}) {
+    const event = new KeyboardEvent('keydown', { key, ...modifiers })
+    return editor.view.someProp('handleKeyDown', handler => handler(editor.view, event)) ?? false
+  }
+
+  /**
+   * Place the cursor after the first occurrence of some text
+   */
+  function placeCursorAfter(text) {
+    let pos = null
+    editor.state.doc.descendants((node, nodePos) => {
+      if (pos === null && node.isText && node.text.includes(text)) {
+        pos = nodePos + node.text.indexOf(text) + text.length
+      }
+    })
+    editor.commands.setTextSelection(pos)
+    return pos
+  }
+
+  function announcement() {
+    return document.getElementById('kiro-announcer')?.textContent.trim()
+  }
+
+  it('moves the current block with Alt-Shift-Arrow and keeps the cursor', () => {
+    createEditor('<p>A</p><h2 data-background-color="#fbecdd">Title</h2><p>C</p><p>D</p>')
+    placeCursorAfter('Tit')
+
+    expect(pressKey('ArrowDown', { altKey: true, shiftKey: true })).toBe(true)
+    expect(blockTexts()).toEqual(['A', 'C', 'Title', 'D'])
+    expect(editor.state.doc.child(2).attrs).toMatchObject({ level: 2, backgroundColor: '#fbecdd' })
+    expect(editor.state.selection.$from.parent.textContent).toBe('Title')
+    expect(editor.state.selection.$from.parentOffset).toBe(3)
+    expect(announcement()).toBe('Heading 2 moved down, 3 of 4')
+  })
+
+  it('moves list items within their list', () => {
+    createEditor('<ul><li><p>one</p></li><li><p><strong>two</strong></p></li></ul><p>after</p>')
+    placeCursorAfter('tw')
+
+    pressKey('ArrowUp', { altKey: true, shiftKey: true })
+    expect(editor.getHTML()).toBe('<ul><li><p><strong>two</strong></p></li><li><p>one</p></li></ul><p>after</p>')
+    expect(editor.state.selection.$from.parent.textContent).toBe('two')
+    expect(announcement()).toBe('List item moved up, 1 of 2')
+  })
+
+  it('announces when the block cannot move further', () => {
+    createEditor('<p>A</p><p>B</p>')
+    placeCursorAfter('A')
+
+    expect(pressKey('ArrowUp', { altKey: true, shiftKey: true })).toBe(true)
+    expect(blockTexts()).toEqual(['A', 'B'])
+    expect(announcement()).toBe('Text cannot move further up')
+  })
+
+  it('makes each move its own undo step', () => {
+    createEditor()
+    placeCursorAfter('A')
+    pressKey('ArrowDown', { altKey: true, shiftKey: true })
+    pressKey('ArrowDown', { altKey: true, shiftKey: true })
+    expect(blockTexts()).toEqual(['B', 'C', 'A', 'D'])
+
+    editor.commands.undo()
+    expect(blockTexts()).toEqual(['B', 'A', 'C', 'D'])
+  })
+
+  it('resizes a selected image with Shift-Alt-Arrow and moves other blocks', () => {
+    createEditor('<p>A</p><img src="https://example.com/a.png" width="400" height="200"><p>B</p>')
+    editor.commands.setNodeSelection(blockPositions()[1])
+
+    expect(pressKey('ArrowDown', { altKey: true, shiftKey: true })).toBe(true)
+    expect(editor.state.doc.child(1).attrs).toMatchObject({ width: 400, height: 210 })
+    expect(editor.state.doc.child(1).type.name).toBe('image')
+
+    placeCursorAfter('A')
+    expect(pressKey('ArrowDown', { altKey: true, shiftKey: true })).toBe(true)
+    expect(editor.state.doc.child(0).type.name).toBe('image')
+    expect(blockTexts()).toEqual(['', 'A', 'B'])
+  })
+
+  it('moves the block selection as a whole', () => {
+    createEditor()
+    selectBlocks(0, 1)
+    pressKey('ArrowDown', { altKey: true, shiftKey: true })
+
+    expect(blockTexts()).toEqual(['C', 'A', 'B', 'D'])
+    expect(getSelectedBlocks(editor.state).blocks.map(({ node }) => node.textContent)).toEqual(['A', 'B'])
+  })
+
+  it('duplicates the current block with Mod-d', () => {
+    createEditor('<p>A</p><p>B</p>')
+    placeCursorAfter('A')
+
+    expect(pressKey('d', { ctrlKey: true })).toBe(true)
+    expect(blockTexts()).toEqual(['A', 'A', 'B'])
+    expect(editor.state.selection.from).toBe(5)
+    expect(announcement()).toBe('Text duplicated')
+  })
+
+  it('deletes the current block with Mod-Shift-Backspace', () => {
+    createEditor('<p>A</p><ul><li><p>only</p></li></ul><p>B</p>')
+    placeCursorAfter('only')
+
+    expect(pressKey('Backspace', { ctrlKey: true, shiftKey: true })).toBe(true)
+    expect(editor.getHTML()).toBe('<p>A</p><p>B</p>')
+    expect(editor.state.selection.$from.parent.textContent).toBe('A')
+    expect(announcement()).toBe('List item deleted')
+  })
+
+  it('leaves an empty paragraph when the last block is deleted', () => {
+    createEditor('<h1>Title</h1>')
+    placeCursorAfter('Title')
+    pressKey('Backspace', { ctrlKey: true, shiftKey: true })
+
+    expect(editor.getHTML()).toBe('<p></p>')
+  })
+
+  it('indents and outdents list items with Tab and Shift-Tab', () => {
+    createEditor('<ul><li><p>one</p></li><li><p>two</p></li></ul><p>after</p>')
+    placeCursorAfter('two')
+
+    expect(pressKey('Tab')).toBe(true)
+    expect(editor.getHTML()).toBe('<ul><li><p>one</p><ul><li><p>two</p></li></ul></li></ul><p>after</p>')
+    expect(announcement()).toBe('List item indented')
+
+    expect(pressKey('Tab', { shiftKey: true })).toBe(true)
+    expect(editor.getHTML()).toBe('<ul><li><p>one</p></li><li><p>two</p></li></ul><p>after</p>')
+    expect(announcement()).toBe('List item outdented')
+  })
+
+  it('keeps Tab inside the editor when a list item cannot be indented', () => {
+    createEditor('<ul><li><p>one</p></li></ul><p>text</p>')
+    placeCursorAfter('one')
+    expect(pressKey('Tab')).toBe(true)
+    expect(announcement()).toBe('List item cannot be indented')
+
+    placeCursorAfter('text')
+    expect(pressKey('Tab')).toBe(false)
+  })
+})
+
+describe('moveBlock', () => {
+  /**
+   * Position of the first node of a type with the given text
+   */
+  function findNode(typeName, text) {
+    let found = null
+    editor.state.doc.descendants((node, pos) => {
+      if (found === null && node.type.name === typeName && node.textContent === text) {
+        found = pos
+      }
+      return found === null
+    })
+    return found
+  }
+
+  /**
+   * Position right after the first node of a type with the given text
+   */
+  function afterNode(typeName, text) {
+    const pos = findNode(typeName, text)
+    return pos + editor.state.doc.nodeAt(pos).nodeSize
+  }
+
+  it('moves a block with its marks, attributes and the cursor', () => {
+    createEditor('<p>A</p><h3 data-background-color="#e7f3f8"><em>Title</em></h3><p>C</p><p>D</p>')
+    const source = findNode('heading', 'Title')
+    editor.commands.setTextSelection(source + 3)
+
+    expect(moveBlock(editor, source, afterNode('paragraph', 'C'))).toBe(true)
+    expect(blockTexts()).toEqual(['A', 'C', 'Title', 'D'])
+    const heading = editor.state.doc.child(2)
+    expect(heading.attrs).toMatchObject({ level: 3, backgroundColor: '#e7f3f8' })
+    expect(heading.firstChild.marks.map(mark => mark.type.name)).toEqual(['italic'])
+    expect(editor.state.selection.$from.parent.textContent).toBe('Title')
+    expect(editor.state.selection.$from.parentOffset).toBe(2)
+  })
+
+  it('is undone in a single step', () => {
+    createEditor()
+    const before = editor.getHTML()
+    moveBlock(editor, findNode('paragraph', 'A'), afterNode('paragraph', 'C'))
+    expect(blockTexts()).toEqual(['B', 'C', 'A', 'D'])
+
+    editor.commands.undo()
+    expect(editor.getHTML()).toBe(before)
+  })
+
+  it('turns a paragraph moved between list items into a list item', () => {
+    createEditor('<p>X</p><ul><li><p>one</p></li><li><p>two</p></li></ul><p>after</p>')
+    moveBlock(editor, findNode('paragraph', 'X'), afterNode('listItem', 'one'))
+
+    expect(editor.getHTML()).toBe('<ul><li><p>one</p></li><li><p>X</p></li><li><p>two</p></li></ul><p>after</p>')
+  })
+
+  it('keeps a list item moved out of a list in its original list type', () => {
+    createEditor('<ol><li><p>one</p></li><li><p>two</p></li></ol><p>after</p>')
+    moveBlock(editor, findNode('listItem', 'two'), editor.state.doc.content.size)
+
+    // The trailing paragraph is added by the editor after a final list
+    expect(editor.getHTML()).toBe('<ol><li><p>one</p></li></ol><p>after</p><ol><li><p>two</p></li></ol><p></p>')
+  })
+
+  it('removes a list left empty by the move', () => {
+    createEditor('<ul><li><p>only</p></li></ul><p>after</p>')
+    moveBlock(editor, findNode('listItem', 'only'), editor.state.doc.content.size)
+
+    expect(editor.getHTML()).toBe('<p>after</p><ul><li><p>only</p></li></ul><p></p>')
+  })
+
+  it('reorders items within a list with moveListItemTo', () => {
+    createEditor('<ol><li><p>one</p></li><li><p>two</p></li><li><p>three</p></li></ol><p>after</p>')
+
+    expect(editor.commands.moveListItemTo(findNode('listItem', 'three'), findNode('listItem', 'one'))).toBe(true)
+    expect(editor.getHTML()).toBe('<ol><li><p>three</p></li><li><p>one</p></li><li><p>two</p></li></ol><p>after</p>')
+    expect(editor.commands.moveListItemTo(findNode('paragraph', 'after'), 0)).toBe(false)
+  })
+
+  it('moves a nested list item to the outer list', () => {
+    createEditor('<ul><li><p>one</p><ul><li><p>nested</p></li></ul></li><li><p>two</p></li></ul><p>after</p>')
+    moveBlock(editor, findNode('listItem', 'nested'), findNode('listItem', 'two'))
+
+    expect(editor.getHTML()).toBe('<ul><li><p>one</p></li><li><p>nested</p></li><li><p>two</p></li></ul><p>after</p>')
+  })
+
+  it('moves blocks into and out of blockquotes', () => {
+    createEditor('<p>X</p><blockquote><p>quote</p></blockquote><p>after</p>')
+    moveBlock(editor, findNode('paragraph', 'X'), afterNode('paragraph', 'quote'))
+    expect(editor.getHTML()).toBe('<blockquote><p>quote</p><p>X</p></blockquote><p>after</p>')
+
+    moveBlock(editor, findNode('paragraph', 'quote'), editor.state.doc.content.size)
+    moveBlock(editor, findNode('paragraph', 'X'), editor.state.doc.content.size)
+    expect(editor.getHTML()).toBe('<p>after</p><p>quote</p><p>X</p>')
+  })
+
+  it('moves a block dropped inside a textblock to its nearest edge', () => {
+    createEditor('<p>A</p><p>Hello world</p><p>C</p>')
+    const target = findNode('paragraph', 'Hello world') + 10
+    moveBlock(editor, findNode('paragraph', 'A'), target)
+
+    expect(blockTexts()).toEqual(['Hello world', 'A', 'C'])
+  })
+
+  it('keeps the document unchanged for drops onto the block itself', () => {
+    createEditor()
+    const before = editor.getHTML()
+    const source = findNode('paragraph', 'B')
+
+    expect(moveBlock(editor, source, source + 1)).toBe(false)
+    expect(editor.getHTML()).toBe(before)
+  })
+
+  it('reports drops that cannot be placed to can()', () => {
+    // Cells only fit in a grid, and a grid can't be created around them (required attribute)
+    const GridCell = Node.create({
+      name: 'gridCell',
+      content: 'paragraph',
+      parseHTML: () => [{ tag: 'grid-cell' }],
+      renderHTML: () => ['grid-cell', 0]
+    })
+    const Grid = Node.create({
+      name: 'grid',
+      group: 'block',
+      content: 'gridCell+',
+      addAttributes: () => ({ columns: { isRequired: true, parseHTML: element => element.getAttribute('columns') } }),
+      parseHTML: () => [{ tag: 'grid-block' }],
+      renderHTML: ({ HTMLAttributes }) => ['grid-block', HTMLAttributes, 0]
+    })
+    editor = new Editor({
+      extensions: [...getContentExtensions(), NodeRange, BlockOperations, Grid, GridCell],
+      content: '<grid-block columns="2"><grid-cell><p>cell</p></grid-cell><grid-cell><p>other</p></grid-cell></grid-block><p>B</p><p>C</p>'
+    })
+    const before = editor.getHTML()
+    const source = findNode('gridCell', 'cell')
+    const target = findNode('paragraph', 'C')
+
+    expect(editor.can().moveBlockTo(source, target)).toBe(false)
+    expect(editor.commands.moveBlockTo(source, target)).toBe(false)
+    expect(editor.getHTML()).toBe(before)
+    expect(editor.can().moveBlockTo(source, afterNode('gridCell', 'other'))).toBe(true)
+  })
+})
+
+describe('block copy', () => {
+  const RICH_CONTENT = [
+    '<h2>Title <em>here</em></h2>',
+    '<p>Some <strong>bold</strong>, <code>code</code> and <a href="https://example.com">a link</a></p>',
+    '<ul><li><p>one</p><ul><li><p>nested</p></li></ul></li><li><p>two</p></li></ul>',
+    '<ul data-type="taskList"><li data-type="taskItem" data-checked="true"><p>done</p></li></ul>',
+    '<pre><code class="language-js">const a = 1</code></pre>',
+    '<blockquote><p>quote</p></blockquote>',
+    '<p>end</p>'
+  ].join('')
+
+  /**
+   * JSON of the top-level blocks
+   */
+  function blocksJSON() {
+    return editor.getJSON().content
+  }
+
+  /**
+   * Stub the text-only clipboard used when ClipboardItem is unavailable
+   */
+  function stubClipboard() {
+    const writeText = vi.fn().mockResolvedValue()
+    vi.stubGlobal('navigator', { ...navigator, clipboard: { writeText } })
+    return writeText
+  }
+
+  afterEach(() => {
+    vi.unstubAllGlobals()
+  })
+
+  it('serializes blocks with the schema serializer', () => {
+    createEditor('<p>A <strong>bold</strong> word</p><ol start="3"><li><p>item</p></li></ol>')
+
+    expect(getBlocksHTML(editor, 0, editor.state.doc.content.size))
+      .toBe('<p>A <strong>bold</strong> word</p><ol start="3"><li><p>item</p></li></ol>')
+  })
+
+  it('pastes copied HTML back with the same structure', () => {
+    createEditor(RICH_CONTENT)
+    const original = blocksJSON()
+    const html = getBlocksHTML(editor, 0, editor.state.doc.content.size)
+
+    editor.commands.setContent('<p></p>')
+    editor.view.pasteHTML(html, new Event('paste'))
+
+    expect(blocksJSON()).toEqual(original)
+  })
+
+  it('only copies the blocks overlapping the range', () => {
+    createEditor()
+    const { from, to } = selectBlocks(1, 2)
+
+    expect(getBlocksHTML(editor, from, to)).toBe('<p>B</p><p>C</p>')
+  })
+
+  it('serializes blocks to Markdown that parses back to the same structure', () => {
+    createEditor(RICH_CONTENT)
+    const original = blocksJSON()
+    const markdown = getBlocksMarkdown(editor, 0, editor.state.doc.content.size)
+
+    expect(markdown).toContain('## Title *here*')
+    expect(markdown).toContain('- [x] done')
+    expect(parseMarkdown(markdown).content).toEqual(original)
+  })
+
+  it('writes Markdown to the clipboard', async () => {
+    createEditor('<h1>Title</h1><p>Some <strong>bold</strong></p>')
+    const writeText = stubClipboard()
+    const { from, to } = selectBlocks(0, 1)
+
+    expect(await copyBlocksAsMarkdown(editor, from, to)).toBe(true)
+    expect(writeText).toHaveBeenCalledWith('# Title\n\nSome **bold**')
+  })
+
+  it('writes HTML source to the clipboard', async () => {
+    createEditor()
+    const writeText = stubClipboard()
+    const { from, to } = selectBlocks(0, 0)
+
+    expect(await copyBlocksAsHTML(editor, from, to)).toBe(true)
+    expect(writeText).toHaveBeenCalledWith('<p>A</p>')
+  })
+
+  it('only writes to the clipboard when the copy commands run', () => {
+    createEditor()
+    const writeText = stubClipboard()
+
+    expect(editor.can().copyBlockRange(0, 3)).toBe(true)
+    expect(editor.can().copyBlockAt(0)).toBe(true)
+    expect(writeText).not.toHaveBeenCalled()
+    expect(editor.can().copyBlockRange(3, 3)).toBe(false)
+
+    expect(editor.commands.copyBlockRange(0, 3)).toBe(true)
+    expect(writeText).toHaveBeenCalledWith('A')
+  })
+
+  it('links headings by slug and other blocks by index', async () => {
+    createEditor('<h2>Getting Started!</h2><p>A</p><p>B</p>')
+    const positions = blockPositions()
+
+    expect(getBlockAnchor(editor.state.doc, positions[0])).toBe('getting-started')
+    expect(getBlockAnchor(editor.state.doc, positions[2])).toBe('block-3')
+
+    const writeText = stubClipboard()
+    expect(await copyBlockLink(editor, positions[0])).toBe(true)
+    expect(writeText.mock.calls[0][0]).toMatch(/#getting-started$/)
+  })
+
+  it('links repeated headings like the table of contents', () => {
+    createEditor('<h2>Setup</h2><p>A</p><h2>Setup</h2>')
+    const positions = blockPositions()
+
+    expect(getBlockAnchor(editor.state.doc, positions[2])).toBe('setup-1')
+  })
+})
@@ -4,7 +4,7 @@
  * Predefined block types for "Turn Into" conversion.
  * 
  * Requirement 5.1: Display available Block_Type conversion options
- * Requirement 8.1: Support all block types (Paragraph, Heading, BulletList, OrderedList, Blockquote, CodeBlock)
+ * Requirement 8.1: Support all block types (Paragraph, Heading, BulletList, OrderedList, TaskList, Blockquote, CodeBlock)
  */
 
 /**
@@ -18,7 +18,10 @@ export const SUPPORTED_BLOCK_TYPES = [
   'orderedList',
   'blockquote',
   'codeBlock',
-  'listItem'
+  'listItem',
+  'taskList',
+  'taskItem',
+  'callout'
 ]
 
 /**
@@ -72,6 +75,12 @@ export const BLOCK_TYPES = [
     icon: '1.',
     description: 'Ordered list with numbers'
   },
+  {
+    type: 'taskList',
+    label: 'Task List',
+    icon: '☑',
+    description: 'Checklist with checkboxes'
+  },
   { 
     type: 'codeBlock', 
     label: 'Code Block', 
@@ -82,7 +91,13 @@ export const BLOCK_TYPES = [
     type: 'blockquote', 
     label: 'Quote', 
     icon: '"',
-    description: 'Quote or callout block'
+    description: 'Quote block'
+  },
+  {
+    type: 'callout',
+    label: 'Callout',
+    icon: '💡',
+    description: 'Highlighted note with an icon'
   }
 ]
 
@@ -125,7 +140,7 @@ export function isConversionValid(sourceType, targetType, targetAttrs = {}, sour
   }
   
   // List items can only be converted within list context
-  if (sourceType === 'listItem') {
+  if (sourceType === 'listItem' || sourceType === 'taskItem') {
     return { 
       valid: false, 
       reason: 'List items cannot be converted directly. Convert the entire list instead.' 
@@ -0,0 +1,62 @@
+/**
+ * Document JSON Utilities
+ *
+ * Validates ProseMirror/Tiptap JSON documents against the editor schema
+ * before they are loaded, so invalid data from storage is reported instead
+ * of silently dropped.
+ *
+ * Requirements: 3.1, 3.2
+ */
+
+/**
+ * Validate a JSON document against a schema
+ *
+ * @param {Object|string} json - Document JSON, or a JSON string
+ * @param {Schema} schema - Editor schema
+ * @returns {{ valid: boolean, error?: string, doc?: Node }} Validation result, with the parsed document when valid
+ */
+export function validateDocumentJSON(json, schema) {
+  let value = json
+
+  if (typeof value === 'string') {
+    try {
+      value = JSON.parse(value)
+    } catch (e) {
+      return {
+        valid: false,
+        error: `Invalid JSON: ${e.message}`
+      }
+    }
+  }
+
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return {
+      valid: false,
+      error: 'Document JSON must be an object'
+    }
+  }
+
+  const topNodeName = schema.topNodeType.name
+  if (value.type !== topNodeName) {
+    return {
+      valid: false,
+      error: `Document JSON must have type "${topNodeName}" (got ${JSON.stringify(value.type)})`
+    }
+  }
+
+  try {
+    const doc = schema.nodeFromJSON(value)
+    // Checks node content, marks and attributes
+    doc.check()
+    return { valid: true, doc }
+  } catch (e) {
+    return {
+      valid: false,
+      error: `Document JSON does not match the editor schema: ${e.message}`
+    }
+  }
+}
+
+export default {
+  validateDocumentJSON
+}
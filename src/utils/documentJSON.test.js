@@ -0,0 +1,51 @@
+import { describe, it, expect } from 'vitest'
+import { getSchema } from '@tiptap/core'
+import { getContentExtensions } from '../extensions/contentExtensions'
+import { validateDocumentJSON } from './documentJSON'
+
+/**
+ * Tests for document JSON validation
+ * Requirements: 3.1, 3.2
+ */
+
+const schema = getSchema(getContentExtensions())
+
+const paragraph = text => ({ type: 'paragraph', content: [{ type: 'text', text }] })
+
+describe('validateDocumentJSON', () => {
+  it('accepts a valid document and returns the parsed node', () => {
+    const result = validateDocumentJSON({ type: 'doc', content: [paragraph('Hello')] }, schema)
+    expect(result.valid).toBe(true)
+    expect(result.doc.textContent).toBe('Hello')
+  })
+
+  it('accepts a JSON string', () => {
+    const result = validateDocumentJSON(JSON.stringify({ type: 'doc', content: [paragraph('Hi')] }), schema)
+    expect(result.valid).toBe(true)
+  })
+
+  it('rejects malformed JSON strings', () => {
+    const result = validateDocumentJSON('{ "type": ', schema)
+    expect(result.valid).toBe(false)
+    expect(result.error).toMatch(/^Invalid JSON/)
+  })
+
+  it('rejects values that are not a document', () => {
+    expect(validateDocumentJSON(null, schema).error).toBe('Document JSON must be an object')
+    expect(validateDocumentJSON([], schema).error).toBe('Document JSON must be an object')
+    expect(validateDocumentJSON(paragraph('x'), schema).error).toContain('must have type "doc"')
+  })
+
+  it('rejects unknown node types', () => {
+    const result = validateDocumentJSON({ type: 'doc', content: [{ type: 'widget' }] }, schema)
+    expect(result.valid).toBe(false)
+    expect(result.error).toContain('widget')
+  })
+
+  it('rejects content the schema does not allow', () => {
+    // A list item directly inside the document
+    const result = validateDocumentJSON({ type: 'doc', content: [{ type: 'listItem', content: [paragraph('x')] }] }, schema)
+    expect(result.valid).toBe(false)
+    expect(result.error).toContain('does not match the editor schema')
+  })
+})
@@ -20,7 +20,10 @@ const SUPPORTED_BLOCK_TYPES = [
   'orderedList',
   'blockquote',
   'codeBlock',
-  'listItem'
+  'listItem',
+  'taskList',
+  'taskItem',
+  'callout'
 ]
 
 /**
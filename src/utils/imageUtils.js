@@ -20,6 +20,12 @@ export const SUPPORTED_IMAGE_TYPES = [
   'image/svg+xml'
 ]
 
+/**
+ * Image MIME types that can't carry scripts
+ * SVG is excluded: SVG data URIs must go through the sanitizer (utils/sanitizer)
+ */
+export const RASTER_IMAGE_TYPES = SUPPORTED_IMAGE_TYPES.filter(type => type !== 'image/svg+xml')
+
 /**
  * Supported image file extensions
  */
@@ -86,6 +92,7 @@ export function isValidImageUrl(url) {
 
 /**
  * Validates if a string is a valid data URI for an image
+ * SVG data URIs are rejected: they can carry scripts
  * 
  * @param {string} dataUri - The data URI to validate
  * @returns {boolean} True if valid image data URI
@@ -104,7 +111,7 @@ export function isValidDataUri(dataUri) {
   }
 
   const mimeType = match[1]
-  return SUPPORTED_IMAGE_TYPES.includes(mimeType)
+  return RASTER_IMAGE_TYPES.includes(mimeType)
 }
 
 /**
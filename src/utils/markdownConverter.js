@@ -1,74 +1,462 @@
-import TurndownService from 'turndown'
-import { marked } from 'marked'
+import { Extension, elementFromString, getHTMLFromFragment, getSchema } from '@tiptap/core'
+import { DOMParser as ProseMirrorDOMParser, Fragment } from '@tiptap/pm/model'
+import { MarkdownManager } from '@tiptap/markdown'
+import { getContentExtensions } from '../extensions/contentExtensions'
+import { SAME_TAB_TARGET } from '../extensions/linkExtension'
+import { sanitizeDocument, sanitizeHTML } from './sanitizer'
 
 /**
  * Markdown Converter Utility
- * Provides bidirectional conversion between HTML and Markdown
- * 
+ * Provides bidirectional conversion between the editor document, HTML and Markdown
+ *
+ * There is a single Markdown pipeline, built on @tiptap/markdown and the same
+ * extensions as the editor, so import and export always agree:
+ * - Standard Markdown where it exists: headings, lists, emphasis, code, links,
+ *   GFM tables and task lists, GitHub alerts for callouts, images (caption as title),
+ *   ==highlight==, ++underline++, $math$
+ * - Inline HTML (valid in Markdown) for what Markdown cannot express:
+ *   block background colors, text colors and colored highlights, callout icons,
+ *   image alignment/size, merged or resized table cells, same-tab links,
+ *   numbered lists not starting at 1 and empty paragraphs
+ * - Text is escaped so literal Markdown characters survive a round trip
+ *
  * Requirements: 5.1-5.6, 6.1-6.3
  */
 
-// Configure Turndown for HTML to Markdown conversion
-const turndownService = new TurndownService({
-  headingStyle: 'atx',           // Use # style headings
-  hr: '---',                      // Horizontal rule style
-  bulletListMarker: '-',          // Unordered list marker
-  codeBlockStyle: 'fenced',       // Use ``` for code blocks
-  fence: '```',                   // Code fence character
-  emDelimiter: '*',               // Italic delimiter
-  strongDelimiter: '**',          // Bold delimiter
+/**
+ * Node type used for blocks exported as HTML
+ */
+const HTML_BLOCK = 'markdownHTML'
+
+/**
+ * Renders blocks that have been converted to HTML
+ */
+const MarkdownHTML = Extension.create({
+  name: HTML_BLOCK,
+  renderMarkdown: node => node.attrs.html
 })
 
-// Configure Marked for Markdown to HTML conversion
-marked.setOptions({
-  gfm: true,                      // GitHub Flavored Markdown
-  breaks: false,                  // Don't convert \n to <br>
+/**
+ * Turns backslash escapes (\*, \#, ...) back into plain text
+ */
+const MarkdownEscape = Extension.create({
+  name: 'markdownEscape',
+  markdownTokenName: 'escape',
+  parseMarkdown: (token, helpers) => helpers.createTextNode(token.text)
 })
 
+/**
+ * Escape Markdown syntax in a text node
+ *
+ * @param {string} text - Plain text
+ * @param {boolean} lineStart - Whether the text starts a line (block start or after a hard break)
+ * @returns {string} Text that Markdown parses back to the same string
+ */
+export function escapeMarkdownText(text, lineStart = false) {
+  let escaped = text
+    // Emphasis, code, links, HTML, strikethrough, math, tables, headings
+    .replace(/[\\`*_[\]<~$|#]/g, '\\$&')
+    // Highlight (==) and underline (++)
+    .replace(/=(?==)|(?<==)=/g, '\\=')
+    .replace(/\+(?=\+)|(?<=\+)\+/g, '\\+')
+    // GFM autolinks: URLs, www. and e-mail addresses
+    .replace(/:(?=\/\/)/g, '\\:')
+    .replace(/\b(www)\./gi, '$1\\.')
+    .replace(/@/g, '\\@')
+
+  if (lineStart) {
+    escaped = escaped
+      // Lists, blockquotes and setext underlines
+      .replace(/^(\s*)([-+>=])/, '$1\\$2')
+      // Ordered lists
+      .replace(/^(\s*\d+)([.)])/, '$1\\$2')
+  }
+
+  return escaped
+}
+
+/**
+ * Get the plain text of a JSON node
+ */
+function getText(node) {
+  if (node.type === 'text') return node.text || ''
+  return (node.content || []).map(getText).join('')
+}
+
+/**
+ * Check whether inline content can be written as Markdown without losing anything
+ */
+function isMarkdownSafeInline(content) {
+  return content.every((child, index) => {
+    if (child.type === 'text') {
+      const isCode = child.marks?.some(mark => mark.type === 'code')
+      if (isCode && (child.text.includes('`') || /^\s|\s$/.test(child.text))) {
+        return false
+      }
+      const link = child.marks?.find(mark => mark.type === 'link')
+      if (link && /[\s()<>]/.test(link.attrs?.href || '')) {
+        return false
+      }
+      // Same-tab links keep their target attribute in HTML
+      if (link?.attrs?.target === SAME_TAB_TARGET) {
+        return false
+      }
+      // Text colors and colored highlights have no Markdown syntax
+      if (child.marks?.some(mark => mark.type === 'textStyle' || (mark.type === 'highlight' && mark.attrs?.color))) {
+        return false
+      }
+      return true
+    }
+
+    if (child.type === 'inlineMath') {
+      const latex = child.attrs?.latex || ''
+      const next = content[index + 1]
+      return Boolean(latex) &&
+        !/[$\n]|^\s|\s$/.test(latex) &&
+        !(next?.type === 'text' && /^\d/.test(next.text))
+    }
+
+    return true
+  })
+}
+
+/**
+ * Check whether a list can be written as a Markdown list
+ * (numbered from 1, each item a single-line paragraph optionally followed by nested lists)
+ */
+function isMarkdownSafeList(list) {
+  if (list.type === 'orderedList' && ((list.attrs?.start ?? 1) !== 1 || list.attrs?.type)) {
+    return false
+  }
+
+  return (list.content || []).every(item => {
+    const [paragraph, ...children] = item.content || []
+    return !item.attrs?.backgroundColor &&
+      paragraph?.type === 'paragraph' &&
+      !requiresHTML(paragraph) &&
+      !paragraph.content.some(child => child.type === 'hardBreak') &&
+      children.every(child => isList(child) && !requiresHTML(child))
+  })
+}
+
+/**
+ * Check whether a table can be written as a GFM table
+ * (a header row, no merged or resized cells, one plain paragraph per cell)
+ */
+function isGfmTable(table) {
+  const rows = table.content || []
+  if (rows.length === 0) return false
+
+  return rows.every((row, rowIndex) => (row.content || []).every(cell => {
+    const attrs = cell.attrs || {}
+    const paragraph = cell.content?.[0]
+    return cell.type === (rowIndex === 0 ? 'tableHeader' : 'tableCell') &&
+      (attrs.colspan ?? 1) === 1 &&
+      (attrs.rowspan ?? 1) === 1 &&
+      !attrs.colwidth &&
+      cell.content?.length === 1 &&
+      paragraph.type === 'paragraph' &&
+      !paragraph.attrs?.backgroundColor &&
+      isMarkdownSafeInline(paragraph.content || []) &&
+      !(paragraph.content || []).some(child => child.type === 'hardBreak')
+  }))
+}
+
+/**
+ * Check whether a block has to be exported as HTML
+ *
+ * @param {Object} node - JSON node
+ * @returns {boolean}
+ */
+function requiresHTML(node) {
+  const attrs = node.attrs || {}
+
+  // Block background colors - Requirement 4.4
+  if (attrs.backgroundColor) return true
+
+  switch (node.type) {
+    case 'paragraph':
+      return !node.content?.length || !isMarkdownSafeInline(node.content)
+    case 'heading':
+      // A Markdown heading is a single line
+      return !node.content?.length || !isMarkdownSafeInline(node.content) ||
+        node.content.some(child => child.type === 'hardBreak')
+    case 'codeBlock': {
+      const code = getText(node)
+      return code.includes('```') || /^\n|\n$/.test(code)
+    }
+    case 'bulletList':
+    case 'orderedList':
+    case 'taskList':
+      return !isMarkdownSafeList(node)
+    case 'callout':
+      // GitHub alerts have no custom icons
+      return Boolean(attrs.icon)
+    case 'image':
+      return Boolean(attrs.title || attrs.width || attrs.height) ||
+        (attrs.alignment || 'center') !== 'center'
+    case 'table':
+      return !isGfmTable(node)
+    default:
+      return false
+  }
+}
+
+/**
+ * Check whether a node is a bullet, numbered or task list
+ */
+function isList(node) {
+  return node.type === 'bulletList' || node.type === 'orderedList' || node.type === 'taskList'
+}
+
+/**
+ * Check whether a node is an empty, uncolored paragraph
+ */
+function isTrailingParagraph(node) {
+  return node?.type === 'paragraph' && !node.content?.length && !node.attrs?.backgroundColor
+}
+
+/**
+ * Join adjacent text nodes with the same marks
+ * (backslash escapes are parsed as separate text nodes)
+ */
+function joinTextNodes(node) {
+  if (!node.content) return node
+
+  const content = []
+  node.content.forEach(child => {
+    const previous = content[content.length - 1]
+    if (child.type === 'text' && previous?.type === 'text' &&
+      JSON.stringify(child.marks || []) === JSON.stringify(previous.marks || [])) {
+      content[content.length - 1] = { ...previous, text: previous.text + child.text }
+    } else {
+      content.push(joinTextNodes(child))
+    }
+  })
+  return { ...node, content }
+}
+
+/**
+ * Apply a function to every paragraph inside a node
+ */
+function mapParagraphs(node, fn) {
+  if (node.type === 'paragraph') return fn(node)
+  if (!node.content) return node
+  return { ...node, content: node.content.map(child => mapParagraphs(child, fn)) }
+}
+
+/**
+ * Escape the text of a paragraph or heading
+ */
+function escapeInlineContent(content) {
+  let lineStart = true
+  return content.map(child => {
+    if (child.type !== 'text') {
+      lineStart = child.type === 'hardBreak'
+      return child
+    }
+
+    const isCode = child.marks?.some(mark => mark.type === 'code')
+    const text = isCode ? child.text : escapeMarkdownText(child.text, lineStart)
+    lineStart = false
+    return { ...child, text }
+  })
+}
+
+/**
+ * Markdown manager used by the editor and the converter
+ *
+ * Prepares the document before serializing: blocks Markdown cannot express
+ * are replaced with their HTML, and text is escaped.
+ */
+export class EditorMarkdownManager extends MarkdownManager {
+  /**
+   * @param {Object} options - MarkdownManager options
+   * @param {Extension[]} options.extensions - Editor extensions
+   * @param {Schema} [options.schema] - Schema built from the extensions (created if omitted)
+   */
+  constructor({ schema, ...options }) {
+    super(options)
+    this.schema = schema || getSchema(options.extensions)
+    this.registerExtension(MarkdownHTML)
+    this.registerExtension(MarkdownEscape)
+  }
+
+  /**
+   * Serialize a JSON document to Markdown
+   *
+   * @param {Object} doc - Tiptap JSON document
+   * @returns {string} Markdown
+   */
+  serialize(doc) {
+    if (!doc) return ''
+
+    let content = doc.content || []
+    // The trailing empty paragraph is added back by the editor
+    while (isTrailingParagraph(content[content.length - 1])) {
+      content = content.slice(0, -1)
+    }
+
+    const markdown = super.serialize({ ...doc, content: this.prepareContent(content) })
+    return markdown.replace(/^\n+|\n+$/g, '')
+  }
+
+  /**
+   * Parse Markdown into a normalized JSON document
+   * (adjacent text nodes with the same marks are joined, default attributes filled in)
+   *
+   * @param {string} markdown - Markdown string
+   * @returns {Object} Tiptap JSON document
+   */
+  parse(markdown) {
+    return this.schema.nodeFromJSON(joinTextNodes(super.parse(markdown))).toJSON()
+  }
+
+  /**
+   * Replace blocks that need HTML and escape text
+   */
+  prepareContent(content) {
+    return content.map((node, index) => {
+      // Markdown joins consecutive lists of the same type, so the second one is written as HTML
+      if (isList(node) && content[index - 1]?.type === node.type) {
+        return { type: HTML_BLOCK, attrs: { html: this.renderHTML(node) } }
+      }
+      return this.prepareNode(node)
+    })
+  }
+
+  /**
+   * Prepare a single node (see prepareContent)
+   */
+  prepareNode(node) {
+    if (node.type === 'text') return node
+
+    if (requiresHTML(node)) {
+      return { type: HTML_BLOCK, attrs: { html: this.renderHTML(node) } }
+    }
+
+    if (node.type === 'paragraph' || node.type === 'heading') {
+      return { ...node, content: escapeInlineContent(node.content || []) }
+    }
+
+    if (node.type === 'table') {
+      // GFM table cells hold a single, possibly empty, paragraph
+      return mapParagraphs(node, paragraph => ({ ...paragraph, content: escapeInlineContent(paragraph.content || []) }))
+    }
+
+    if (node.type === 'codeBlock' || !node.content) return node
+
+    return { ...node, content: this.prepareContent(node.content) }
+  }
+
+  /**
+   * Render a JSON node as single-line HTML
+   * Newlines (e.g. in code) are encoded so the HTML block is not split by blank lines.
+   */
+  renderHTML(node) {
+    const html = getHTMLFromFragment(Fragment.from(this.schema.nodeFromJSON(node)), this.schema)
+    return html.replace(/\n/g, '&#10;')
+  }
+}
+
+let defaultManager = null
+
+/**
+ * Get the manager for the default content extensions
+ */
+function getDefaultManager() {
+  if (!defaultManager) {
+    defaultManager = new EditorMarkdownManager({ extensions: getContentExtensions() })
+  }
+  return defaultManager
+}
+
+/**
+ * Create the Markdown manager for a set of editor extensions
+ *
+ * @param {Object} options
+ * @param {Extension[]} options.extensions - Editor extensions
+ * @param {Schema} [options.schema] - Editor schema
+ * @param {Object} [options.indentation] - Indentation settings
+ * @returns {EditorMarkdownManager}
+ */
+export function createMarkdownManager(options) {
+  return new EditorMarkdownManager(options)
+}
+
+/**
+ * Parse Markdown into a Tiptap JSON document
+ *
+ * @param {string} markdown - Markdown string
+ * @returns {Object} Tiptap JSON document
+ */
+export function parseMarkdown(markdown) {
+  return getDefaultManager().parse(markdown || '')
+}
+
+/**
+ * Serialize a Tiptap JSON document to Markdown
+ *
+ * @param {Object} doc - Tiptap JSON document
+ * @returns {string} Markdown string
+ */
+export function serializeMarkdown(doc) {
+  return getDefaultManager().serialize(doc)
+}
+
 /**
  * Convert HTML content to Markdown
- * 
+ * The HTML is sanitized before it is parsed (utils/sanitizer).
+ *
  * @param {string} html - HTML string to convert
  * @returns {string} Markdown string
- * 
+ *
  * Requirements: 5.1, 5.2, 5.3, 5.4, 5.5, 5.6
  */
 export function toMarkdown(html) {
   if (!html || typeof html !== 'string') {
     return ''
   }
-  
+
   // Handle empty paragraph tags
   const trimmedHtml = html.trim()
   if (trimmedHtml === '' || trimmedHtml === '<p></p>') {
     return ''
   }
-  
-  return turndownService.turndown(html)
+
+  const manager = getDefaultManager()
+  const doc = ProseMirrorDOMParser.fromSchema(manager.schema).parse(elementFromString(sanitizeHTML(trimmedHtml)))
+  return manager.serialize(doc.toJSON())
 }
 
 /**
  * Convert Markdown content to HTML
- * 
+ * Unsafe links, images and colors are removed from the output (utils/sanitizer).
+ *
  * @param {string} markdown - Markdown string to convert
  * @returns {string} HTML string
- * 
+ *
  * Requirements: 6.1, 6.2, 6.3
  */
 export function toHTML(markdown) {
   if (!markdown || typeof markdown !== 'string') {
     return ''
   }
-  
+
   const trimmedMarkdown = markdown.trim()
   if (trimmedMarkdown === '') {
     return ''
   }
-  
-  return marked.parse(markdown)
+
+  const manager = getDefaultManager()
+  const doc = manager.schema.nodeFromJSON(sanitizeDocument(manager.parse(markdown)))
+  return getHTMLFromFragment(doc.content, manager.schema)
 }
 
 export default {
   toMarkdown,
   toHTML,
+  parseMarkdown,
+  serializeMarkdown,
+  createMarkdownManager,
 }
@@ -0,0 +1,242 @@
+import { describe, it, expect } from 'vitest'
+import fc from 'fast-check'
+import { getSchema } from '@tiptap/core'
+import { getContentExtensions } from '../extensions/contentExtensions'
+import { parseMarkdown, serializeMarkdown, escapeMarkdownText } from './markdownConverter'
+
+/**
+ * Property-based round-trip tests for the Markdown pipeline
+ * For any document the editor can hold, parse(serialize(doc)) gives back the same document.
+ *
+ * Requirements: 5.1-5.6, 6.1-6.3
+ */
+
+const schema = getSchema(getContentExtensions())
+
+// Fill in default attributes, as the editor does
+const normalize = doc => schema.nodeFromJSON(doc).toJSON()
+
+const roundTrip = doc => parseMarkdown(serializeMarkdown(doc))
+
+const text = (value, marks) => (marks?.length ? { type: 'text', text: value, marks } : { type: 'text', text: value })
+
+// Words used inside marks
+const wordArb = fc.stringMatching(/^[A-Za-z0-9]{1,8}$/)
+
+// Plain words, including characters that mean something in Markdown
+const plainWordArb = fc.array(
+  fc.constantFrom(...'abcXYZ019*_#[]()<>~$|=+-:/.@\\`!&'.split('')),
+  { minLength: 1, maxLength: 6 }
+).map(chars => chars.join(''))
+
+const urlArb = wordArb.map(word => `https://example.com/${word}`)
+
+const colorArb = fc.constantFrom('#fef3c7', '#dbeafe', '#fee2e2')
+
+const textColorArb = fc.constantFrom('#d44c47', '#337ea9')
+
+const markArb = fc.oneof(
+  fc.subarray(['bold', 'italic', 'strike', 'underline', 'highlight'], { minLength: 1 })
+    .map(types => types.map(type => ({ type }))),
+  fc.constant([{ type: 'code' }]),
+  fc.tuple(urlArb, fc.constantFrom('_blank', '_self'))
+    .map(([href, target]) => [{ type: 'link', attrs: { href, target } }]),
+  textColorArb.map(color => [{ type: 'textStyle', attrs: { color } }]),
+  colorArb.map(color => [{ type: 'highlight', attrs: { color } }])
+)
+
+const inlineItemArb = fc.oneof(
+  plainWordArb.map(word => [text(word)]),
+  fc.tuple(wordArb, markArb).map(([word, marks]) => [text(word, marks)]),
+  fc.stringMatching(/^[a-z][a-z0-9^_{}+=]{0,6}$/).map(latex => [{ type: 'inlineMath', attrs: { latex } }])
+)
+
+// Items are separated by a space or a hard break, never at the edges of a block
+const inlineArb = fc.array(fc.tuple(inlineItemArb, fc.boolean()), { minLength: 1, maxLength: 5 })
+  .map(items => items.flatMap(([nodes, hardBreak], index) => {
+    if (index === 0) return nodes
+    return [hardBreak ? { type: 'hardBreak' } : text(' '), ...nodes]
+  }))
+  .map(content => content.reduce((joined, node) => {
+    // Join text nodes the same way the parser does
+    const previous = joined[joined.length - 1]
+    if (node.type === 'text' && previous?.type === 'text' &&
+      JSON.stringify(previous.marks || []) === JSON.stringify(node.marks || [])) {
+      joined[joined.length - 1] = { ...previous, text: previous.text + node.text }
+    } else {
+      joined.push(node)
+    }
+    return joined
+  }, []))
+
+const paragraphArb = fc.tuple(inlineArb, fc.option(colorArb, { nil: null }))
+  .map(([content, backgroundColor]) => ({ type: 'paragraph', attrs: { backgroundColor }, content }))
+
+const headingArb = fc.tuple(fc.integer({ min: 1, max: 6 }), inlineArb, fc.option(colorArb, { nil: null }))
+  .map(([level, content, backgroundColor]) => ({ type: 'heading', attrs: { level, backgroundColor }, content }))
+
+const createListArb = itemArb => fc.tuple(
+  fc.constantFrom('bulletList', 'orderedList'),
+  fc.array(itemArb, { minLength: 1, maxLength: 3 }),
+  fc.integer({ min: 1, max: 5 })
+).map(([type, content, start]) => ({
+  type,
+  ...(type === 'orderedList' ? { attrs: { start } } : {}),
+  content
+}))
+
+const createTaskListArb = nestedArb => fc.array(
+  fc.tuple(paragraphArb, fc.boolean(), nestedArb),
+  { minLength: 1, maxLength: 3 }
+).map(items => ({
+  type: 'taskList',
+  content: items.map(([paragraph, checked, list]) => ({
+    type: 'taskItem',
+    attrs: { checked },
+    content: list ? [paragraph, list] : [paragraph]
+  }))
+}))
+
+const nestedListArb = createListArb(paragraphArb.map(paragraph => ({ type: 'listItem', content: [paragraph] })))
+
+// List items with an optional nested list
+const listArb = createListArb(
+  fc.tuple(paragraphArb, fc.option(nestedListArb, { nil: null }))
+    .map(([paragraph, list]) => ({ type: 'listItem', content: list ? [paragraph, list] : [paragraph] }))
+)
+
+// Task items with an optional nested task list
+const taskListArb = createTaskListArb(fc.option(createTaskListArb(fc.constant(null)), { nil: null }))
+
+const calloutArb = fc.tuple(
+  fc.constantFrom('info', 'warning', 'success', 'danger'),
+  fc.option(fc.constantFrom('💡', '🔥'), { nil: null }),
+  fc.array(fc.oneof(paragraphArb, listArb), { minLength: 1, maxLength: 2 })
+).map(([variant, icon, content]) => ({ type: 'callout', attrs: { variant, icon }, content }))
+
+// Whitespace-only code is normalized by the HTML parser, so every block has some code
+const codeBlockArb = fc.tuple(
+  fc.array(fc.constantFrom(...'ab {}*#<>`$\n'.split('')), { minLength: 1, maxLength: 20 })
+    .map(chars => chars.join(''))
+    .filter(code => /\S/.test(code)),
+  fc.option(fc.constantFrom('js', 'python'), { nil: null })
+).map(([code, language]) => ({ type: 'codeBlock', attrs: { language }, content: [text(code)] }))
+
+const imageArb = fc.record({
+  src: urlArb.map(url => `${url}.png`),
+  alt: fc.option(wordArb, { nil: null }),
+  caption: fc.option(fc.array(wordArb, { minLength: 1, maxLength: 3 }).map(words => words.join(' ')), { nil: '' }),
+  alignment: fc.constantFrom('left', 'center', 'right'),
+  width: fc.option(fc.integer({ min: 20, max: 800 }), { nil: null }),
+  height: fc.option(fc.integer({ min: 20, max: 800 }), { nil: null })
+}).map(attrs => ({ type: 'image', attrs }))
+
+const blockMathArb = fc.stringMatching(/^[a-z][a-z0-9^_{}+= \\]{0,10}[a-z0-9}]$/)
+  .map(latex => ({ type: 'blockMath', attrs: { latex } }))
+
+const cellArb = type => fc.tuple(fc.option(inlineArb, { nil: null }), fc.constantFrom(1, 1, 2))
+  .map(([content, colspan]) => ({
+    type,
+    attrs: { colspan },
+    content: [content ? { type: 'paragraph', content } : { type: 'paragraph' }]
+  }))
+
+const tableArb = fc.tuple(fc.integer({ min: 1, max: 3 }), fc.integer({ min: 1, max: 3 }), fc.boolean())
+  .chain(([rows, cols, hasHeader]) => fc.tuple(
+    ...Array.from({ length: rows }, (_, row) => fc.tuple(
+      ...Array.from({ length: cols }, () => cellArb(hasHeader && row === 0 ? 'tableHeader' : 'tableCell'))
+    ))
+  ))
+  .map(rows => ({ type: 'table', content: rows.map(cells => ({ type: 'tableRow', content: cells })) }))
+
+const blockArb = fc.oneof(
+  { arbitrary: paragraphArb, weight: 4 },
+  headingArb,
+  listArb,
+  taskListArb,
+  calloutArb,
+  paragraphArb.map(paragraph => ({ type: 'blockquote', content: [paragraph] })),
+  codeBlockArb,
+  fc.constant({ type: 'horizontalRule' }),
+  fc.constant({ type: 'paragraph' }),
+  imageArb,
+  blockMathArb,
+  tableArb
+)
+
+// The editor always ends a document with an empty paragraph, which export drops
+const docArb = fc.array(blockArb, { minLength: 1, maxLength: 5 })
+  .filter(blocks => blocks[blocks.length - 1].content?.length || blocks[blocks.length - 1].type !== 'paragraph')
+  .map(content => ({ type: 'doc', content }))
+
+describe('markdownConverter round trip', () => {
+  it('parses serialized documents back to the same document', () => {
+    fc.assert(
+      fc.property(docArb, doc => {
+        expect(roundTrip(doc)).toEqual(normalize(doc))
+      }),
+      { numRuns: 100 }
+    )
+  }, 30000)
+
+  it('keeps Markdown characters in plain text', () => {
+    fc.assert(
+      fc.property(fc.array(plainWordArb, { minLength: 1, maxLength: 6 }), words => {
+        const doc = { type: 'doc', content: [{ type: 'paragraph', content: [text(words.join(' '))] }] }
+        expect(roundTrip(doc)).toEqual(normalize(doc))
+      }),
+      { numRuns: 200 }
+    )
+  })
+
+  it('is stable: serializing a parsed document gives the same Markdown', () => {
+    fc.assert(
+      fc.property(docArb, doc => {
+        const markdown = serializeMarkdown(doc)
+        expect(serializeMarkdown(parseMarkdown(markdown))).toBe(markdown)
+      }),
+      { numRuns: 100 }
+    )
+  }, 30000)
+})
+
+describe('markdownConverter export', () => {
+  it('writes underline, highlight and math as Markdown', () => {
+    const doc = {
+      type: 'doc',
+      content: [{
+        type: 'paragraph',
+        content: [
+          text('a', [{ type: 'underline' }]),
+          text(' '),
+          text('b', [{ type: 'highlight' }]),
+          text(' '),
+          { type: 'inlineMath', attrs: { latex: 'x^2' } }
+        ]
+      }]
+    }
+    expect(serializeMarkdown(doc)).toBe('++a++ ==b== $x^2$')
+  })
+
+  it('writes block colors as HTML', () => {
+    const doc = {
+      type: 'doc',
+      content: [{ type: 'paragraph', attrs: { backgroundColor: '#fef3c7' }, content: [text('note')] }]
+    }
+    expect(serializeMarkdown(doc)).toMatch(/^<p data-background-color="#fef3c7"[^>]*>note<\/p>$/)
+  })
+
+  it('writes image captions as the title and layout attributes as HTML', () => {
+    const image = attrs => ({ type: 'doc', content: [{ type: 'image', attrs: { src: 'a.png', alt: 'A', ...attrs } }] })
+
+    expect(serializeMarkdown(image({ caption: 'A cat' }))).toBe('![A](a.png "A cat")')
+    expect(serializeMarkdown(image({ alignment: 'left', width: 200 }))).toContain('<figure')
+  })
+
+  it('escapes Markdown syntax in text', () => {
+    expect(escapeMarkdownText('*a* [b] `c`')).toBe('\\*a\\* \\[b\\] \\`c\\`')
+    expect(escapeMarkdownText('# title', true)).toBe('\\# title')
+    expect(escapeMarkdownText('1. item', true)).toBe('1\\. item')
+    expect(escapeMarkdownText('1. item')).toBe('1. item')
+  })
+})
@@ -65,15 +65,15 @@ describe('markdownConverter', () => {
     it('converts - lists to ul/li tags', () => {
       const html = toHTML('- Item 1\n- Item 2')
       expect(html).toContain('<ul>')
-      expect(html).toContain('<li>Item 1</li>')
-      expect(html).toContain('<li>Item 2</li>')
+      expect(html).toContain('<li><p>Item 1</p></li>')
+      expect(html).toContain('<li><p>Item 2</p></li>')
     })
 
     it('converts 1. lists to ol/li tags', () => {
       const html = toHTML('1. First\n2. Second')
       expect(html).toContain('<ol>')
-      expect(html).toContain('<li>First</li>')
-      expect(html).toContain('<li>Second</li>')
+      expect(html).toContain('<li><p>First</p></li>')
+      expect(html).toContain('<li><p>Second</p></li>')
     })
 
     it('converts fenced code blocks to pre/code tags', () => {
@@ -89,4 +89,59 @@ describe('markdownConverter', () => {
       expect(toHTML(undefined)).toBe('')
     })
   })
+
+  describe('math', () => {
+    it('converts inline math nodes to $...$ syntax', () => {
+      const html = '<p>Energy <span data-type="inline-math" data-latex="E=mc^2"></span> here</p>'
+      expect(toMarkdown(html)).toBe('Energy $E=mc^2$ here')
+    })
+
+    it('converts block math nodes to $$...$$ syntax', () => {
+      const html = '<div data-type="block-math" data-latex="\\sum_{i=1}^{n} x_i"></div>'
+      expect(toMarkdown(html)).toBe('$$\n\\sum_{i=1}^{n} x_i\n$$')
+    })
+
+    it('parses $...$ into inline math markup', () => {
+      const html = toHTML('Energy $E=mc^2$ here')
+      expect(html).toContain('<span data-latex="E=mc^2" data-type="inline-math"></span>')
+    })
+
+    it('parses $$...$$ into block math markup', () => {
+      const html = toHTML('$$\n\\frac{a}{b}\n$$')
+      expect(html).toContain('<div data-latex="\\frac{a}{b}" data-type="block-math"></div>')
+    })
+
+    it('keeps LaTeX intact in attributes', () => {
+      const container = document.createElement('div')
+      container.innerHTML = toHTML('$a<b$')
+      expect(container.querySelector('[data-type="inline-math"]').getAttribute('data-latex')).toBe('a<b')
+    })
+
+    it('leaves currency amounts as text', () => {
+      const html = toHTML('It costs $5 and $10')
+      expect(html).not.toContain('inline-math')
+      expect(html).toContain('$5 and $10')
+    })
+  })
+
+  describe('task lists', () => {
+    it('converts task lists to GFM - [ ] / - [x] syntax', () => {
+      const html = '<ul data-type="taskList">' +
+        '<li data-type="taskItem" data-checked="false"><p>Todo</p></li>' +
+        '<li data-type="taskItem" data-checked="true"><p>Done</p></li>' +
+        '</ul>'
+      expect(toMarkdown(html)).toBe('- [ ] Todo\n- [x] Done')
+    })
+
+    it('parses GFM task lists with nested items', () => {
+      const container = document.createElement('div')
+      container.innerHTML = toHTML('- [x] Parent\n  - [ ] Child')
+
+      const items = container.querySelectorAll('li[data-type="taskItem"]')
+      expect(items).toHaveLength(2)
+      expect(items[0].getAttribute('data-checked')).toBe('true')
+      expect(items[1].getAttribute('data-checked')).toBe('false')
+      expect(items[0].querySelector('ul[data-type="taskList"]')).not.toBeNull()
+    })
+  })
 })
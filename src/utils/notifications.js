@@ -60,6 +60,28 @@ export function showInfo(message) {
   showNotification(message, 'info', 3000)
 }
 
+/**
+ * Announce a message to screen readers without showing it
+ * Uses a shared polite live region; repeated messages are announced again
+ * @param {string} message - The message to announce
+ */
+export function announce(message) {
+  let region = document.getElementById('kiro-announcer')
+  if (!region) {
+    ensureStyles()
+    region = document.createElement('div')
+    region.id = 'kiro-announcer'
+    region.className = 'kiro-sr-only'
+    region.setAttribute('role', 'status')
+    region.setAttribute('aria-live', 'polite')
+    region.setAttribute('aria-atomic', 'true')
+    document.body.appendChild(region)
+  }
+
+  // Screen readers skip unchanged text, so alternate a trailing no-break space
+  region.textContent = region.textContent === message ? `${message}\u00a0` : message
+}
+
 /**
  * Ensure notification styles are added to the document
  */
@@ -110,6 +132,18 @@ function ensureStyles() {
       background-color: #10b981;
       color: white;
     }
+
+    .kiro-sr-only {
+      position: absolute;
+      width: 1px;
+      height: 1px;
+      padding: 0;
+      margin: -1px;
+      overflow: hidden;
+      clip: rect(0, 0, 0, 0);
+      white-space: nowrap;
+      border: 0;
+    }
   `
   document.head.appendChild(style)
 }
@@ -118,5 +152,6 @@ export default {
   showNotification,
   showWarning,
   showError,
-  showInfo
+  showInfo,
+  announce
 }
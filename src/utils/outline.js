@@ -0,0 +1,155 @@
+/**
+ * Document Outline
+ *
+ * Reads the heading structure of a document, for the outline sidebar, the
+ * table of contents block and heading folding:
+ * - Every heading gets a unique anchor, a slug of its text (repeated slugs get
+ *   a -1, -2, ... suffix, as on GitHub), rendered as its HTML id (see BlockId);
+ *   its block id is separate and does not change with the text
+ * - A heading's section is the blocks after it, up to the next heading of
+ *   the same or a higher level in the same parent
+ */
+
+/**
+ * Turn heading text into an anchor slug
+ * Letters and digits of any script are kept, spaces become hyphens.
+ *
+ * @param {string} text - Heading text
+ * @returns {string} Slug, empty when the text has no letters or digits
+ */
+export function slugify(text) {
+  return (text || '')
+    .trim()
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s-]/gu, '')
+    .replace(/\s+/g, '-')
+}
+
+/**
+ * Get the headings of a document in document order
+ *
+ * @param {Node} doc - The ProseMirror document
+ * @returns {Array<{ level: number, text: string, pos: number, anchor: string, id: string|null }>} Outline items
+ */
+export function getOutline(doc) {
+  const items = []
+  const used = new Set()
+
+  doc.descendants((node, pos) => {
+    if (node.type.name === 'heading') {
+      const text = node.textContent.trim()
+      const base = slugify(text) || 'heading'
+      let anchor = base
+      for (let count = 1; used.has(anchor); count++) {
+        anchor = `${base}-${count}`
+      }
+      used.add(anchor)
+      items.push({ level: node.attrs.level, text, pos, anchor, id: node.attrs.id || null })
+    }
+    // Headings can't be inside text blocks
+    return !node.isTextblock
+  })
+
+  return items
+}
+
+/**
+ * Nest outline items by level
+ * Items deeper than their parent by more than one level are nested directly under it.
+ *
+ * @param {Array<{ level: number }>} items - Outline items in document order
+ * @returns {Array<Object>} Items with a children array
+ */
+export function nestOutline(items) {
+  const root = { level: 0, children: [] }
+  const stack = [root]
+
+  items.forEach(item => {
+    while (stack.length > 1 && stack[stack.length - 1].level >= item.level) {
+      stack.pop()
+    }
+    const entry = { ...item, children: [] }
+    stack[stack.length - 1].children.push(entry)
+    stack.push(entry)
+  })
+
+  return root.children
+}
+
+/**
+ * Get the range of the section under a heading
+ *
+ * @param {Node} doc - The ProseMirror document
+ * @param {number} pos - Position of the heading
+ * @returns {{ from: number, to: number }|null} Range of the blocks in the section
+ *   (from === to when it is empty), or null when there is no heading at pos
+ */
+export function getSectionRange(doc, pos) {
+  const heading = doc.nodeAt(pos)
+  if (heading?.type.name !== 'heading') {
+    return null
+  }
+
+  const $pos = doc.resolve(pos)
+  const parent = $pos.parent
+  const from = pos + heading.nodeSize
+  let to = from
+
+  for (let index = $pos.index() + 1; index < parent.childCount; index++) {
+    const node = parent.child(index)
+    if (node.type.name === 'heading' && node.attrs.level <= heading.attrs.level) {
+      break
+    }
+    to += node.nodeSize
+  }
+
+  return { from, to }
+}
+
+/**
+ * Get the index of the outline item whose section contains a position
+ *
+ * @param {Array<{ pos: number }>} items - Outline items
+ * @param {number} pos - Document position
+ * @returns {number} Index of the last heading at or before pos, -1 when pos is before the first heading
+ */
+export function getActiveOutlineIndex(items, pos) {
+  let active = -1
+  items.forEach((item, index) => {
+    if (item.pos <= pos) {
+      active = index
+    }
+  })
+  return active
+}
+
+/**
+ * Put the cursor at the end of a heading and scroll it to the top of the view
+ * Folded sections around the heading open when the cursor moves in (see HeadingFold).
+ *
+ * @param {Editor} editor - The Tiptap editor instance
+ * @param {number} pos - Position of the heading
+ * @returns {boolean} Whether there was a heading to scroll to
+ */
+export function scrollToHeading(editor, pos) {
+  const node = editor?.state.doc.nodeAt(pos)
+  if (node?.type.name !== 'heading') {
+    return false
+  }
+
+  editor.chain().focus(null, { scrollIntoView: false }).setTextSelection(pos + node.nodeSize - 1).run()
+  const dom = editor.view.nodeDOM(pos)
+  if (dom?.scrollIntoView) {
+    dom.scrollIntoView({ behavior: 'smooth', block: 'start' })
+  }
+  return true
+}
+
+export default {
+  slugify,
+  getOutline,
+  nestOutline,
+  getSectionRange,
+  getActiveOutlineIndex,
+  scrollToHeading
+}
@@ -0,0 +1,102 @@
+import { describe, it, expect, afterEach } from 'vitest'
+import { Editor } from '@tiptap/core'
+import { getContentExtensions } from '../extensions/contentExtensions'
+import { slugify, getOutline, nestOutline, getSectionRange, getActiveOutlineIndex } from './outline'
+
+/**
+ * Tests for reading the document outline
+ */
+
+let editor = null
+
+function createEditor(content = '<p></p>') {
+  editor = new Editor({
+    extensions: getContentExtensions(),
+    content
+  })
+  return editor
+}
+
+afterEach(() => {
+  editor?.destroy()
+  editor = null
+})
+
+/**
+ * Position of the nth top-level block
+ */
+function blockPos(index) {
+  let pos = 0
+  for (let i = 0; i < index; i++) {
+    pos += editor.state.doc.child(i).nodeSize
+  }
+  return pos
+}
+
+describe('slugify', () => {
+  it('keeps letters and digits of any script', () => {
+    expect(slugify('  Getting Started!  ')).toBe('getting-started')
+    expect(slugify('Version 2.0 — notes')).toBe('version-20-notes')
+    expect(slugify('中文 标题')).toBe('中文-标题')
+    expect(slugify('?!')).toBe('')
+  })
+})
+
+describe('getOutline', () => {
+  it('lists headings in document order with unique anchors', () => {
+    createEditor('<h1>Guide</h1><p>Intro</p><h2>Setup</h2><aside data-type="callout"><h3>Note</h3></aside><h2>Setup</h2><h2>?!</h2>')
+
+    expect(getOutline(editor.state.doc).map(({ level, text, anchor }) => ({ level, text, anchor }))).toEqual([
+      { level: 1, text: 'Guide', anchor: 'guide' },
+      { level: 2, text: 'Setup', anchor: 'setup' },
+      { level: 3, text: 'Note', anchor: 'note' },
+      { level: 2, text: 'Setup', anchor: 'setup-1' },
+      { level: 2, text: '?!', anchor: 'heading' }
+    ])
+  })
+
+  it('gives the position of each heading', () => {
+    createEditor('<p>Intro</p><h2>Setup</h2>')
+
+    expect(getOutline(editor.state.doc)[0].pos).toBe(blockPos(1))
+  })
+})
+
+describe('nestOutline', () => {
+  it('nests headings under the previous higher heading', () => {
+    const tree = nestOutline([{ level: 2 }, { level: 3 }, { level: 4 }, { level: 3 }, { level: 1 }, { level: 3 }])
+
+    expect(tree.map(item => item.children.length)).toEqual([2, 1])
+    expect(tree[0].children[0].children).toHaveLength(1)
+    expect(tree[1].children[0].level).toBe(3)
+  })
+})
+
+describe('getSectionRange', () => {
+  it('ends before the next heading of the same or a higher level', () => {
+    createEditor('<h2>A</h2><p>1</p><h3>A.1</h3><p>2</p><h2>B</h2><p>3</p>')
+    const { doc } = editor.state
+
+    expect(getSectionRange(doc, blockPos(0))).toEqual({ from: blockPos(1), to: blockPos(4) })
+    expect(getSectionRange(doc, blockPos(2))).toEqual({ from: blockPos(3), to: blockPos(4) })
+    expect(getSectionRange(doc, blockPos(4))).toEqual({ from: blockPos(5), to: doc.content.size })
+  })
+
+  it('is empty when a heading is followed by a higher one, and null for other blocks', () => {
+    createEditor('<h3>A</h3><h1>B</h1>')
+
+    expect(getSectionRange(editor.state.doc, blockPos(0))).toEqual({ from: blockPos(1), to: blockPos(1) })
+    createEditor('<p>text</p>')
+    expect(getSectionRange(editor.state.doc, 0)).toBe(null)
+  })
+})
+
+describe('getActiveOutlineIndex', () => {
+  it('finds the heading whose section contains a position', () => {
+    const items = [{ pos: 5 }, { pos: 20 }, { pos: 40 }]
+
+    expect(getActiveOutlineIndex(items, 2)).toBe(-1)
+    expect(getActiveOutlineIndex(items, 20)).toBe(1)
+    expect(getActiveOutlineIndex(items, 100)).toBe(2)
+  })
+})
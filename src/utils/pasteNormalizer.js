@@ -0,0 +1,312 @@
+/**
+ * Paste Normalizer
+ *
+ * Cleans HTML pasted from Word, Google Docs and web pages before the schema parses it:
+ * - Drops inline styles (stray colors, fonts, spacing); bold, italic, underline
+ *   and strikethrough styles become tags first
+ * - Drops Office and Google Docs markup: <o:p>, conditional comments, the
+ *   Google Docs wrapper <b>, empty paragraphs and line breaks between blocks
+ * - Rebuilds Word lists from mso-list paragraphs and nests Google Docs sub-lists
+ * - Maps Word title, subtitle and quote paragraphs to headings and blockquotes
+ * - Drops images that point at local files (Word's file:// clip images)
+ *
+ * HTML copied from this editor (data-pm-slice) is left untouched, and elements
+ * carrying the editor's data-color / data-background-color keep their styles.
+ *
+ * Requirements: 5.1-5.6
+ */
+
+/**
+ * Paste sources with their own cleanup rules
+ */
+export const PASTE_SOURCES = {
+  EDITOR: 'editor',
+  WORD: 'word',
+  GOOGLE_DOCS: 'google-docs',
+  WEB: 'web'
+}
+
+/**
+ * Word paragraph classes mapped to the tags they stand for
+ */
+const WORD_BLOCK_CLASSES = {
+  MsoTitle: 'h1',
+  MsoSubtitle: 'h2',
+  MsoQuote: 'blockquote',
+  MsoIntenseQuote: 'blockquote'
+}
+
+/**
+ * Word list bullets and numbers, rendered by Word as text
+ */
+const WORD_LIST_MARKER = '[style*="mso-list:Ignore"], [style*="mso-list: Ignore"]'
+
+/**
+ * Elements that keep a paragraph from counting as empty
+ */
+const EMBEDDED_CONTENT = 'img, table, hr, iframe, video, [data-type]'
+
+/**
+ * Word list markers that start a numbered list: 1. a) iv.
+ */
+const ORDERED_MARKER = /^(\d+|[a-z]|[ivxlcdm]+)[.)]$/i
+
+/**
+ * Detect where pasted HTML was copied from
+ *
+ * @param {string} html - Clipboard HTML
+ * @returns {string} One of PASTE_SOURCES
+ */
+export function detectPasteSource(html) {
+  if (!html) {
+    return PASTE_SOURCES.WEB
+  }
+  if (/data-pm-slice=/.test(html)) {
+    return PASTE_SOURCES.EDITOR
+  }
+  if (/id="docs-internal-guid-/.test(html)) {
+    return PASTE_SOURCES.GOOGLE_DOCS
+  }
+  if (/urn:schemas-microsoft-com:office|class="?Mso|mso-[a-z-]+:|<o:p>/i.test(html)) {
+    return PASTE_SOURCES.WORD
+  }
+  return PASTE_SOURCES.WEB
+}
+
+/**
+ * Clean pasted HTML for the editor schema
+ *
+ * @param {string} html - Clipboard HTML
+ * @returns {string} Cleaned HTML
+ */
+export function normalizePastedHTML(html) {
+  const source = detectPasteSource(html)
+  if (!html || source === PASTE_SOURCES.EDITOR) {
+    return html
+  }
+
+  const body = new window.DOMParser().parseFromString(html, 'text/html').body
+
+  removeComments(body)
+  if (source === PASTE_SOURCES.WORD) {
+    normalizeWordMarkup(body)
+  }
+  if (source === PASTE_SOURCES.GOOGLE_DOCS) {
+    body.querySelectorAll('b[id^="docs-internal-guid-"]').forEach(unwrap)
+  }
+
+  nestStrayLists(body)
+  normalizeInlineStyles(body)
+  body.querySelectorAll('img').forEach(normalizeImage)
+  body.querySelectorAll('a:not([href])').forEach(unwrap)
+  removeEmptyBlocks(body)
+
+  return body.innerHTML.trim()
+}
+
+/**
+ * Remove comments, including Office conditional comments
+ */
+function removeComments(root) {
+  const walker = root.ownerDocument.createTreeWalker(root, window.NodeFilter.SHOW_COMMENT)
+  const comments = []
+  while (walker.nextNode()) {
+    comments.push(walker.currentNode)
+  }
+  comments.forEach(comment => comment.remove())
+}
+
+/**
+ * Word: drop Office-only elements, map styled paragraphs and rebuild lists
+ */
+function normalizeWordMarkup(body) {
+  // <o:p> only holds spacing; other Office elements (w:sdt, ...) wrap real content
+  Array.from(body.getElementsByTagName('*'))
+    .filter(element => element.tagName.includes(':'))
+    .forEach(element => element.tagName.toLowerCase() === 'o:p' ? element.remove() : unwrap(element))
+
+  body.querySelectorAll('p[class]').forEach(paragraph => {
+    const tag = WORD_BLOCK_CLASSES[paragraph.className]
+    if (tag) {
+      replaceTag(paragraph, tag)
+    }
+  })
+
+  rebuildWordLists(body)
+}
+
+/**
+ * Turn runs of Word list paragraphs (style="mso-list:l0 level2 lfo1") into nested lists
+ */
+function rebuildWordLists(body) {
+  const groups = []
+  Array.from(body.querySelectorAll('p[style*="mso-list"]'))
+    .filter(paragraph => getWordListLevel(paragraph))
+    .forEach(paragraph => {
+      const group = groups[groups.length - 1]
+      if (group && group[group.length - 1].nextElementSibling === paragraph) {
+        group.push(paragraph)
+      } else {
+        groups.push([paragraph])
+      }
+    })
+
+  groups.forEach(group => {
+    const stack = []
+    group.forEach(paragraph => {
+      const level = getWordListLevel(paragraph)
+      const tag = isWordOrderedItem(paragraph) ? 'ol' : 'ul'
+      paragraph.querySelectorAll(WORD_LIST_MARKER).forEach(marker => marker.remove())
+
+      while (stack.length && stack[stack.length - 1].level > level) {
+        stack.pop()
+      }
+      if (!stack.length || stack[stack.length - 1].level < level) {
+        const list = paragraph.ownerDocument.createElement(tag)
+        const parentItem = stack.length ? stack[stack.length - 1].list.lastElementChild : null
+        if (parentItem) {
+          parentItem.appendChild(list)
+        } else {
+          paragraph.before(list)
+        }
+        stack.push({ list, level })
+      }
+
+      const item = paragraph.ownerDocument.createElement('li')
+      item.appendChild(replaceTag(paragraph, 'p'))
+      stack[stack.length - 1].list.appendChild(item)
+    })
+  })
+}
+
+/**
+ * Level of a Word list paragraph, or 0 when it is not one
+ */
+function getWordListLevel(paragraph) {
+  const match = /mso-list:\s*l\d+\s+level(\d+)/i.exec(paragraph.getAttribute('style') || '')
+  return match ? parseInt(match[1], 10) : 0
+}
+
+/**
+ * Whether a Word list paragraph has a numbered marker
+ */
+function isWordOrderedItem(paragraph) {
+  const marker = paragraph.querySelector(WORD_LIST_MARKER)
+  const text = (marker?.textContent || '').trim()
+  return ORDERED_MARKER.test(text)
+}
+
+/**
+ * Move lists that sit directly in another list into the item before them
+ * Google Docs pastes sub-lists as siblings of their parent item.
+ */
+function nestStrayLists(body) {
+  body.querySelectorAll(':is(ul, ol) > :is(ul, ol)').forEach(list => {
+    const item = list.previousElementSibling
+    if (item?.tagName === 'LI') {
+      item.appendChild(list)
+    } else {
+      const wrapper = list.ownerDocument.createElement('li')
+      list.before(wrapper)
+      wrapper.appendChild(list)
+    }
+  })
+}
+
+/**
+ * Turn formatting styles into tags and drop inline styles
+ */
+function normalizeInlineStyles(body) {
+  body.querySelectorAll('[style]').forEach(element => {
+    if (element.hasAttribute('data-color') || element.hasAttribute('data-background-color')) {
+      return
+    }
+
+    const { fontWeight, fontStyle, textDecorationLine, textDecoration } = element.style
+    const decoration = `${textDecorationLine} ${textDecoration}`
+    const isBoldTag = ['B', 'STRONG'].includes(element.tagName)
+
+    if (isBoldTag && ['normal', '400', 'lighter'].includes(fontWeight)) {
+      element.removeAttribute('style')
+      unwrap(element)
+      return
+    }
+    if (element.tagName === 'SPAN') {
+      if (fontWeight === 'bold' || parseInt(fontWeight, 10) >= 600) wrapChildren(element, 'strong')
+      if (fontStyle === 'italic') wrapChildren(element, 'em')
+      if (decoration.includes('underline') && !element.closest('a')) wrapChildren(element, 'u')
+      if (decoration.includes('line-through')) wrapChildren(element, 's')
+    }
+
+    if (element.tagName === 'IMG' && !element.hasAttribute('width') && element.style.width.endsWith('px')) {
+      element.setAttribute('width', parseInt(element.style.width, 10))
+    }
+    element.removeAttribute('style')
+    if (element.tagName === 'SPAN' && !element.attributes.length) {
+      unwrap(element)
+    }
+  })
+}
+
+/**
+ * Drop images that can't be loaded outside the source application
+ */
+function normalizeImage(image) {
+  const src = image.getAttribute('src') || ''
+  if (!src || /^(file|blob|cid):/i.test(src)) {
+    image.remove()
+  }
+}
+
+/**
+ * Drop paragraphs without text or embedded content, and line breaks between blocks
+ * Paragraphs holding only images are replaced by the images (images are blocks).
+ */
+function removeEmptyBlocks(body) {
+  body.querySelectorAll('p').forEach(paragraph => {
+    if (paragraph.textContent.trim()) {
+      return
+    }
+    const images = paragraph.querySelectorAll('img')
+    if (images.length && images.length === paragraph.querySelectorAll(EMBEDDED_CONTENT).length) {
+      paragraph.replaceWith(...images)
+    } else if (!images.length && !paragraph.querySelector(EMBEDDED_CONTENT)) {
+      paragraph.remove()
+    }
+  })
+  Array.from(body.children)
+    .filter(element => element.tagName === 'BR')
+    .forEach(element => element.remove())
+}
+
+/**
+ * Replace an element with its children
+ */
+function unwrap(element) {
+  element.replaceWith(...element.childNodes)
+}
+
+/**
+ * Wrap the children of an element in a new element
+ */
+function wrapChildren(element, tag) {
+  const wrapper = element.ownerDocument.createElement(tag)
+  wrapper.append(...element.childNodes)
+  element.appendChild(wrapper)
+}
+
+/**
+ * Replace an element with a new element of another tag, keeping its children
+ */
+function replaceTag(element, tag) {
+  const replacement = element.ownerDocument.createElement(tag)
+  replacement.append(...element.childNodes)
+  element.replaceWith(replacement)
+  return replacement
+}
+
+export default {
+  PASTE_SOURCES,
+  detectPasteSource,
+  normalizePastedHTML
+}
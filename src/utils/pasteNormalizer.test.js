@@ -0,0 +1,146 @@
+import { describe, it, expect, afterEach } from 'vitest'
+import { Editor } from '@tiptap/core'
+import { getContentExtensions } from '../extensions/contentExtensions'
+import { SmartPaste } from '../extensions/smartPasteExtension'
+import { PASTE_SOURCES, detectPasteSource, normalizePastedHTML } from './pasteNormalizer'
+import wordHTML from './__fixtures__/paste/word.html?raw'
+import googleDocsHTML from './__fixtures__/paste/google-docs.html?raw'
+import webHTML from './__fixtures__/paste/web.html?raw'
+
+/**
+ * Tests for cleaning pasted HTML, using clipboard HTML saved from each source
+ * Requirements: 5.1-5.6
+ */
+
+let editor = null
+
+function createEditor(content = '<p></p>') {
+  editor = new Editor({
+    extensions: [...getContentExtensions(), SmartPaste],
+    content
+  })
+  return editor
+}
+
+/**
+ * Paste HTML into an empty editor and return the document JSON
+ */
+function paste(html) {
+  createEditor()
+  editor.view.pasteHTML(html, new Event('paste'))
+  return editor.getJSON()
+}
+
+/**
+ * Types of the top-level blocks, without the trailing paragraph
+ */
+function blockTypes(json) {
+  const types = json.content.map(node => node.type)
+  return types[types.length - 1] === 'paragraph' && !json.content[types.length - 1].content ? types.slice(0, -1) : types
+}
+
+/**
+ * Find every node of a type in a JSON document
+ */
+function findAll(json, type) {
+  const found = []
+  const visit = node => {
+    if (node.type === type) found.push(node)
+    node.content?.forEach(visit)
+  }
+  visit(json)
+  return found
+}
+
+afterEach(() => {
+  editor?.destroy()
+  editor = null
+})
+
+describe('detectPasteSource', () => {
+  it('recognizes each saved clipboard sample', () => {
+    expect(detectPasteSource(wordHTML)).toBe(PASTE_SOURCES.WORD)
+    expect(detectPasteSource(googleDocsHTML)).toBe(PASTE_SOURCES.GOOGLE_DOCS)
+    expect(detectPasteSource(webHTML)).toBe(PASTE_SOURCES.WEB)
+  })
+
+  it('recognizes HTML copied from the editor', () => {
+    expect(detectPasteSource('<p data-pm-slice="1 1 []">Hello</p>')).toBe(PASTE_SOURCES.EDITOR)
+  })
+})
+
+describe('Word paste', () => {
+  it('maps headings, lists, tables and quotes to editor nodes', () => {
+    const json = paste(wordHTML)
+
+    expect(blockTypes(json)).toEqual(['heading', 'heading', 'paragraph', 'bulletList', 'orderedList', 'table', 'blockquote'])
+    expect(editor.getHTML()).toContain('<ul><li><p>First point</p><ul><li><p>Detail</p></li></ul></li><li><p>Second point</p></li></ul>')
+    expect(editor.getHTML()).toContain('<ol><li><p>Collect numbers</p></li><li><p>Write report</p></li></ol>')
+    expect(editor.getHTML()).toContain('<blockquote><p>Less is more.</p></blockquote>')
+  })
+
+  it('drops list markers, empty paragraphs, highlights and local images', () => {
+    const json = paste(wordHTML)
+    const html = editor.getHTML()
+
+    expect(html).not.toMatch(/·|mso-|Mso|file:/)
+    expect(html).toContain('<p>Revenue grew by <strong>12%</strong> and <em>costs</em> fell.</p>')
+    expect(findAll(json, 'image')).toHaveLength(0)
+    expect(findAll(json, 'paragraph').filter(node => !node.content)).toHaveLength(1)
+  })
+})
+
+describe('Google Docs paste', () => {
+  it('unwraps the document wrapper and keeps real formatting', () => {
+    const json = paste(googleDocsHTML)
+
+    expect(blockTypes(json)).toEqual(['heading', 'paragraph', 'bulletList', 'orderedList', 'table', 'image', 'paragraph'])
+    expect(editor.getHTML()).toContain('<p>We ship <strong>on time</strong><em>, mostly</em>. See <a target="_blank" rel="noopener noreferrer" href="https://example.com/plan">the plan</a>.</p>')
+  })
+
+  it('nests sub-lists in their parent item', () => {
+    paste(googleDocsHTML)
+
+    expect(editor.getHTML()).toContain('<ul><li><p>Design</p><ul><li><p>Mockups</p></li></ul></li><li><p>Build</p></li></ul>')
+  })
+
+  it('drops stray colors and keeps image sizes', () => {
+    const json = paste(googleDocsHTML)
+
+    expect(JSON.stringify(json)).not.toMatch(/"(backgroundColor|color)":"/)
+    expect(findAll(json, 'image')[0].attrs).toMatchObject({ width: 320, height: 180 })
+  })
+})
+
+describe('web page paste', () => {
+  it('ignores inline background colors on blocks', () => {
+    const json = paste(webHTML)
+
+    expect(findAll(json, 'paragraph')[0].attrs.backgroundColor).toBe(null)
+    expect(findAll(json, 'bulletList')[0].attrs.backgroundColor).toBe(null)
+  })
+
+  it('keeps bold styles, figures and code languages', () => {
+    const json = paste(webHTML)
+
+    expect(editor.getHTML()).toContain('<strong>background sync</strong>')
+    expect(findAll(json, 'image')[0].attrs).toMatchObject({ alt: 'Dashboard', caption: 'The new dashboard', width: 480 })
+    expect(findAll(json, 'codeBlock')[0].attrs.language).toBe('bash')
+  })
+})
+
+describe('editor HTML', () => {
+  it('leaves HTML copied from the editor untouched', () => {
+    const html = '<p data-pm-slice="1 1 []" style="background-color: #fbf3db">Hello</p>'
+
+    expect(normalizePastedHTML(html)).toBe(html)
+  })
+
+  it('keeps the editor colors in copied HTML', () => {
+    const html = '<h2>Title</h2><p data-background-color="#fbf3db" style="background-color: #fbf3db">A <span data-color="#d44c47" style="color: #d44c47">red</span> word</p><p>End</p>'
+    const json = paste(html)
+
+    expect(json.content[1].attrs.backgroundColor).toBe('#fbf3db')
+    expect(editor.getHTML()).toContain('data-color="#d44c47"')
+  })
+})
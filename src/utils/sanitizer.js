@@ -0,0 +1,337 @@
+/**
+ * Sanitizer
+ *
+ * Keeps untrusted content from carrying scripts into documents that are
+ * rendered to other users:
+ * - Links only use ALLOWED_LINK_PROTOCOLS (or are relative)
+ * - Images only use ALLOWED_IMAGE_PROTOCOLS; data URIs must be images, and
+ *   SVG data URIs are stripped of scripts, event handlers and external references
+ * - Remote images can be blocked with allowRemoteImages: false; images from the
+ *   page's own origin and from allowedImageOrigins (e.g. an upload CDN) are kept
+ * - Colors must be plain CSS colors, inline styles can't load resources
+ *
+ * sanitizeHTML cleans HTML strings before they are parsed, sanitizeDocument
+ * cleans Tiptap JSON documents. Both take { allowRemoteImages, allowedImageOrigins }.
+ *
+ * Requirements: 3.1, 3.2, 6.1-6.3
+ */
+
+import { RASTER_IMAGE_TYPES } from './imageUtils'
+
+/**
+ * Protocols allowed in link hrefs
+ */
+export const ALLOWED_LINK_PROTOCOLS = ['http', 'https', 'mailto', 'tel']
+
+/**
+ * Protocols allowed in image sources
+ */
+export const ALLOWED_IMAGE_PROTOCOLS = ['http', 'https', 'data']
+
+/**
+ * Elements removed with their content
+ */
+const BLOCKED_ELEMENTS = [
+  'script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet',
+  'link', 'meta', 'base', 'form', 'input', 'button', 'select', 'textarea',
+  'template', 'noscript', 'svg', 'math'
+].join(', ')
+
+/**
+ * Attributes holding URLs that are never needed by the schema
+ */
+const BLOCKED_URL_ATTRIBUTES = [
+  'action', 'formaction', 'background', 'poster', 'srcset', 'lowsrc', 'dynsrc',
+  'longdesc', 'cite', 'data', 'xlink:href', 'ping'
+]
+
+/**
+ * SVG elements that can run scripts or embed other documents
+ */
+const BLOCKED_SVG_ELEMENTS = 'script, foreignObject, iframe, embed, object, handler, listener'
+
+/**
+ * CSS that loads resources or runs code
+ */
+const UNSAFE_STYLE = /expression\s*\(|url\s*\(|javascript:|vbscript:|behavior\s*:|-moz-binding|@import/i
+
+/**
+ * Attribute values that would end a raw text element (<noscript>, <style>, ...)
+ * or a comment around them, so their markup turns into elements when the HTML
+ * is parsed again inside one (mutation XSS). Plain "<" as in "a<b" is kept.
+ */
+const RAW_TEXT_BREAKOUT = /<\/(noscript|noembed|noframes|script|style|textarea|title|xmp|iframe|plaintext)|--!?>/i
+
+/**
+ * Plain CSS colors: #hex, rgb()/rgba()/hsl()/hsla(), named colors and custom properties
+ */
+const SAFE_COLOR = /^(#[0-9a-f]{3,8}|(rgb|hsl)a?\(\s*[\d\s.,%/]+\)|[a-z]+|var\(--[a-z0-9-]+\))$/i
+
+/**
+ * Get the lowercase protocol of a URL without the colon, or null for relative URLs
+ * Control characters and whitespace are ignored, as browsers do ("java\tscript:").
+ */
+function getProtocol(url) {
+  const match = /^([a-z][a-z\d+.-]*):/i.exec(url.replace(/[\u0000- \u007f-\u009f]/g, ''))
+  return match ? match[1].toLowerCase() : null
+}
+
+/**
+ * Check if a link href is safe to render
+ *
+ * @param {string} url - Link href
+ * @returns {boolean} True for relative URLs and allowed protocols
+ */
+export function isSafeLinkUrl(url) {
+  if (typeof url !== 'string') {
+    return false
+  }
+  const protocol = getProtocol(url)
+  return protocol === null || ALLOWED_LINK_PROTOCOLS.includes(protocol)
+}
+
+/**
+ * Check if a CSS color value is a plain color
+ *
+ * @param {string} value - Color value
+ * @returns {boolean}
+ */
+export function isSafeColor(value) {
+  return typeof value === 'string' && SAFE_COLOR.test(value.trim())
+}
+
+/**
+ * Check if an image URL loads from another site
+ * Relative URLs, the page's own origin and allowed origins are not remote.
+ */
+function isRemoteImage(url, allowedOrigins) {
+  try {
+    const { origin } = new URL(url, globalThis.location?.href)
+    return origin !== globalThis.location?.origin && !allowedOrigins.includes(origin)
+  } catch {
+    return true
+  }
+}
+
+/**
+ * Sanitize an image source
+ *
+ * @param {string} src - Image URL or data URI
+ * @param {Object} [options]
+ * @param {boolean} [options.allowRemoteImages=true] - Keep http(s) and protocol-relative images
+ * @param {string[]} [options.allowedImageOrigins=[]] - Origins kept when remote images are blocked,
+ *   such as "https://cdn.example.com" where uploadImage stores files
+ * @returns {string|null} Safe source (SVG data URIs are cleaned), or null when the image must be removed
+ */
+export function sanitizeImageSrc(src, { allowRemoteImages = true, allowedImageOrigins = [] } = {}) {
+  if (typeof src !== 'string' || !src.trim()) {
+    return null
+  }
+
+  const trimmed = src.trim()
+  const protocol = getProtocol(trimmed)
+
+  if (protocol !== null && !ALLOWED_IMAGE_PROTOCOLS.includes(protocol)) {
+    return null
+  }
+  if (protocol !== 'data') {
+    return allowRemoteImages || !isRemoteImage(trimmed, allowedImageOrigins) ? trimmed : null
+  }
+
+  const match = /^data:(image\/[a-z0-9.+-]+)(;[^,]*)?,/i.exec(trimmed)
+  const mimeType = match?.[1].toLowerCase()
+  if (RASTER_IMAGE_TYPES.includes(mimeType)) {
+    return trimmed
+  }
+  if (mimeType === 'image/svg+xml') {
+    return sanitizeSvgDataUri(trimmed, match[0])
+  }
+  return null
+}
+
+/**
+ * Clean the SVG in a data URI and re-encode it as base64
+ */
+function sanitizeSvgDataUri(dataUri, header) {
+  try {
+    const payload = dataUri.slice(header.length)
+    const svg = /;base64/i.test(header)
+      ? new TextDecoder().decode(Uint8Array.from(atob(payload), char => char.charCodeAt(0)))
+      : decodeURIComponent(payload)
+    const clean = sanitizeSvg(svg)
+    if (!clean) {
+      return null
+    }
+    const binary = Array.from(new TextEncoder().encode(clean), byte => String.fromCharCode(byte)).join('')
+    return `data:image/svg+xml;base64,${btoa(binary)}`
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Remove script-capable parts from SVG markup
+ * Drops scripts, foreign content, event handlers, non-fragment links and
+ * animations that rewrite links or handlers.
+ *
+ * @param {string} svg - SVG markup
+ * @returns {string|null} Clean SVG markup, or null when it is not valid SVG
+ */
+export function sanitizeSvg(svg) {
+  const doc = new window.DOMParser().parseFromString(svg, 'image/svg+xml')
+  const root = doc.documentElement
+  if (!root || root.nodeName !== 'svg' || doc.querySelector('parsererror')) {
+    return null
+  }
+
+  root.querySelectorAll(BLOCKED_SVG_ELEMENTS).forEach(element => element.remove())
+  root.querySelectorAll('animate, set, animateTransform, animateMotion').forEach(element => {
+    const target = (element.getAttribute('attributeName') || '').toLowerCase()
+    if (target.startsWith('on') || target.endsWith('href')) {
+      element.remove()
+    }
+  })
+  ;[root, ...root.querySelectorAll('*')].forEach(element => {
+    Array.from(element.attributes).forEach(attribute => {
+      const name = attribute.name.toLowerCase()
+      if (name.startsWith('on')) {
+        element.removeAttribute(attribute.name)
+      } else if (name === 'href' || name.endsWith(':href')) {
+        if (!attribute.value.trim().startsWith('#')) {
+          element.removeAttributeNode(attribute)
+        }
+      } else if (name === 'style' && UNSAFE_STYLE.test(attribute.value)) {
+        element.removeAttribute(attribute.name)
+      }
+    })
+  })
+
+  return new window.XMLSerializer().serializeToString(root)
+}
+
+/**
+ * Sanitize an HTML string
+ * Removes active elements, event handlers and attribute values that break out
+ * of raw text elements, and applies the link, image, color and style rules to
+ * the remaining attributes.
+ *
+ * @param {string} html - Untrusted HTML
+ * @param {Object} [options] - { allowRemoteImages, allowedImageOrigins }
+ * @returns {string} Sanitized HTML
+ */
+export function sanitizeHTML(html, options = {}) {
+  if (!html || typeof html !== 'string') {
+    return ''
+  }
+
+  const body = new window.DOMParser().parseFromString(html, 'text/html').body
+  body.querySelectorAll(BLOCKED_ELEMENTS).forEach(element => element.remove())
+
+  body.querySelectorAll('*').forEach(element => {
+    Array.from(element.attributes).forEach(({ name, value }) => {
+      const attribute = name.toLowerCase()
+      if (attribute.startsWith('on') || BLOCKED_URL_ATTRIBUTES.includes(attribute) || RAW_TEXT_BREAKOUT.test(value)) {
+        element.removeAttribute(name)
+      } else if (attribute === 'href' && !isSafeLinkUrl(value)) {
+        element.removeAttribute(name)
+      } else if (attribute === 'src' && element.tagName !== 'IMG') {
+        element.removeAttribute(name)
+      } else if (attribute === 'style' && UNSAFE_STYLE.test(value)) {
+        element.removeAttribute(name)
+      } else if (['data-color', 'data-background-color'].includes(attribute) && !isSafeColor(value)) {
+        element.removeAttribute(name)
+      }
+    })
+  })
+
+  body.querySelectorAll('img').forEach(image => {
+    const src = sanitizeImageSrc(image.getAttribute('src'), options)
+    if (src) {
+      image.setAttribute('src', src)
+    } else {
+      image.remove()
+    }
+  })
+
+  return body.innerHTML
+}
+
+/**
+ * Sanitize the attributes of a node or mark
+ * Images and links without a safe URL are removed, unsafe colors are reset.
+ *
+ * @param {string} type - Node or mark type name
+ * @param {Object} attrs - Attributes
+ * @param {Object} [options] - { allowRemoteImages, allowedImageOrigins }
+ * @returns {Object|null} The same attrs when they are safe, cleaned attrs, or null when the node or mark must be removed
+ */
+export function sanitizeAttributes(type, attrs, options = {}) {
+  if (!attrs) {
+    return attrs
+  }
+
+  const clean = { ...attrs }
+  if (type === 'image') {
+    clean.src = sanitizeImageSrc(attrs.src, options)
+    if (!clean.src) {
+      return null
+    }
+  }
+  if (type === 'link' && !isSafeLinkUrl(attrs.href)) {
+    return null
+  }
+  ;['color', 'backgroundColor'].forEach(name => {
+    if (attrs[name] && attrs[name] !== 'transparent' && !isSafeColor(attrs[name])) {
+      clean[name] = null
+    }
+  })
+
+  return Object.keys(clean).every(name => clean[name] === attrs[name]) ? attrs : clean
+}
+
+/**
+ * Sanitize a JSON node or mark
+ */
+function sanitizeItem(item, options) {
+  const attrs = sanitizeAttributes(item.type, item.attrs, options)
+  if (attrs === null) {
+    return null
+  }
+  return attrs === item.attrs ? item : { ...item, attrs }
+}
+
+/**
+ * Sanitize a Tiptap JSON document (or any node JSON)
+ * Unsafe images and links are removed, unsafe colors are reset.
+ *
+ * @param {Object} json - Tiptap JSON node
+ * @param {Object} [options] - { allowRemoteImages, allowedImageOrigins }
+ * @returns {Object|null} Sanitized copy (unchanged parts are shared), or null when the node is removed
+ */
+export function sanitizeDocument(json, options = {}) {
+  const node = sanitizeItem(json, options)
+  if (!node) {
+    return null
+  }
+
+  const result = { ...node }
+  if (node.marks) {
+    result.marks = node.marks.map(mark => sanitizeItem(mark, options)).filter(Boolean)
+  }
+  if (node.content) {
+    result.content = node.content.map(child => sanitizeDocument(child, options)).filter(Boolean)
+  }
+  return result
+}
+
+export default {
+  ALLOWED_LINK_PROTOCOLS,
+  ALLOWED_IMAGE_PROTOCOLS,
+  isSafeLinkUrl,
+  isSafeColor,
+  sanitizeImageSrc,
+  sanitizeSvg,
+  sanitizeHTML,
+  sanitizeAttributes,
+  sanitizeDocument
+}
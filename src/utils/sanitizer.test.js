@@ -0,0 +1,294 @@
+import { describe, it, expect, afterEach } from 'vitest'
+import { Editor } from '@tiptap/core'
+import { getContentExtensions } from '../extensions/contentExtensions'
+import {
+  isSafeLinkUrl,
+  isSafeColor,
+  sanitizeImageSrc,
+  sanitizeSvg,
+  sanitizeHTML,
+  sanitizeDocument
+} from './sanitizer'
+import { toHTML, toMarkdown } from './markdownConverter'
+import { isValidImageUrl } from './imageUtils'
+import { uploadImageFile } from '../extensions/imageUploadExtension'
+
+/**
+ * Tests for the sanitizer, with known XSS payloads
+ * Requirements: 3.1, 3.2, 6.1-6.3
+ */
+
+let editor = null
+
+function createEditor(content = '<p></p>', sanitize = {}) {
+  editor = new Editor({
+    extensions: getContentExtensions({ sanitize }),
+    content
+  })
+  return editor
+}
+
+afterEach(() => {
+  editor?.destroy()
+  editor = null
+})
+
+const svg = markup => `data:image/svg+xml;base64,${btoa(markup)}`
+const decodeSvg = src => atob(src.split(',')[1])
+
+/**
+ * HTML payloads; none of the output may contain a script vector
+ */
+const HTML_PAYLOADS = [
+  '<script>alert(1)</script><p>text</p>',
+  '<img src=x onerror=alert(1)>',
+  '<img src="javascript:alert(1)">',
+  '<p onclick="alert(1)">click</p>',
+  '<a href="javascript:alert(1)">link</a>',
+  '<a href="JaVaScRiPt:alert(1)">link</a>',
+  '<a href="java\tscript:alert(1)">link</a>',
+  '<a href="&#106;avascript:alert(1)">link</a>',
+  '<a href=" javascript:alert(1)">link</a>',
+  '<a href="vbscript:msgbox(1)">link</a>',
+  '<a href="data:text/html,<script>alert(1)</script>">link</a>',
+  '<iframe src="javascript:alert(1)"></iframe>',
+  '<iframe srcdoc="<script>alert(1)</script>"></iframe>',
+  '<object data="javascript:alert(1)"></object>',
+  '<embed src="javascript:alert(1)">',
+  '<svg onload=alert(1)><circle r="1"/></svg>',
+  '<math><mtext><table><mglyph><style><img src=x onerror=alert(1)></style></mglyph></table></mtext></math>',
+  '<form action="javascript:alert(1)"><button formaction="javascript:alert(1)">go</button></form>',
+  '<details open ontoggle=alert(1)><summary>x</summary></details>',
+  '<body onload=alert(1)><p>text</p></body>',
+  '<p style="background-image: url(javascript:alert(1))">styled</p>',
+  '<p style="width: expression(alert(1))">styled</p>',
+  '<p data-background-color="red;background:url(//evil.example/x)">colored</p>',
+  '<span data-color="expression(alert(1))" style="color: red">colored</span>',
+  '<img src="data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==">',
+  `<img src="${svg('<svg xmlns="http://www.w3.org/2000/svg" onload="alert(1)"><script>alert(1)</script></svg>')}">`,
+  '<noscript><p title="</noscript><img src=x onerror=alert(1)>"></noscript>',
+  '<template><img src=x onerror=alert(1)></template>',
+  '<base href="javascript:alert(1)//">',
+  '<meta http-equiv="refresh" content="0;url=javascript:alert(1)">'
+]
+
+/**
+ * Markdown payloads
+ */
+const MARKDOWN_PAYLOADS = [
+  '[link](javascript:alert(1))',
+  '[link](JAVASCRIPT:alert(1))',
+  '![image](javascript:alert(1))',
+  `![image](${svg('<svg xmlns="http://www.w3.org/2000/svg"><script>alert(1)</script></svg>')})`,
+  '<img src=x onerror=alert(1)>',
+  '<a href="javascript:alert(1)">html link</a>',
+  '<script>alert(1)</script>'
+]
+
+const SCRIPT_VECTORS = /<script|javascript:|vbscript:|\son[a-z]+=|<iframe|<object|<embed|expression\(|url\(|data:text/i
+
+/**
+ * Check the decoded SVG data URIs in some HTML as well
+ */
+function expectNoScriptVectors(html) {
+  expect(html).not.toMatch(SCRIPT_VECTORS)
+  const svgSources = html.match(/data:image\/svg\+xml;base64,[A-Za-z0-9+/=]+/g) || []
+  svgSources.forEach(src => expect(decodeSvg(src)).not.toMatch(SCRIPT_VECTORS))
+}
+
+describe('XSS payloads', () => {
+  it.each(HTML_PAYLOADS)('sanitizeHTML removes %s', payload => {
+    expectNoScriptVectors(sanitizeHTML(payload))
+  })
+
+  it.each(HTML_PAYLOADS)('editor import and export remove %s', payload => {
+    createEditor(payload)
+
+    expectNoScriptVectors(editor.getHTML())
+    expectNoScriptVectors(JSON.stringify(editor.getJSON()))
+  })
+
+  it.each(HTML_PAYLOADS)('toMarkdown removes %s', payload => {
+    expectNoScriptVectors(toMarkdown(payload))
+  })
+
+  it.each(MARKDOWN_PAYLOADS)('toHTML removes %s', payload => {
+    expectNoScriptVectors(toHTML(payload))
+  })
+
+  it('keeps safe content around payloads', () => {
+    expect(sanitizeHTML('<p onclick="alert(1)">Hello <a href="https://example.com" onmouseover="alert(1)">world</a></p>'))
+      .toBe('<p>Hello <a href="https://example.com">world</a></p>')
+  })
+
+  it('keeps "<" in formulas, alt text and captions', () => {
+    const html = '<p><span data-type="inline-math" data-latex="a<b"></span></p>' +
+      '<img src="https://example.com/a.png" alt="if a<b then" data-caption="x <y> z">'
+    const clean = sanitizeHTML(html)
+
+    expect(clean).toContain('data-latex="a<b"')
+    expect(clean).toContain('alt="if a<b then"')
+    expect(clean).toContain('data-caption="x <y> z"')
+
+    createEditor(html)
+    expect(editor.getHTML()).toContain('data-latex="a<b"')
+    expect(editor.getJSON().content[1].attrs).toMatchObject({ alt: 'if a<b then', caption: 'x <y> z' })
+  })
+
+  it('keeps "<" in formulas and captions through Markdown conversion', () => {
+    const markdown = toMarkdown(toHTML('Formula $a<b$\n\n![if a<b then](https://example.com/a.png "x < y")'))
+
+    expect(markdown).toContain('$a<b$')
+    expect(markdown).toContain('![if a<b then](https://example.com/a.png "x < y")')
+  })
+})
+
+describe('protocol allowlists', () => {
+  it('allows links to web, mail and phone URLs and relative links', () => {
+    ['https://example.com', 'http://example.com', 'mailto:me@example.com', 'tel:+123', '/docs', '#intro', 'page.html']
+      .forEach(url => expect(isSafeLinkUrl(url)).toBe(true))
+    ;['javascript:alert(1)', 'data:text/html,x', 'file:///etc/passwd', 'ftp://example.com']
+      .forEach(url => expect(isSafeLinkUrl(url)).toBe(false))
+  })
+
+  it('allows web and raster data images', () => {
+    expect(sanitizeImageSrc('https://example.com/a.png')).toBe('https://example.com/a.png')
+    expect(sanitizeImageSrc('/uploads/a.png')).toBe('/uploads/a.png')
+    expect(sanitizeImageSrc('data:image/png;base64,iVBORw0KGgo=')).toBe('data:image/png;base64,iVBORw0KGgo=')
+    expect(sanitizeImageSrc('data:text/html;base64,PHA+')).toBe(null)
+    expect(sanitizeImageSrc('file:///C:/image.png')).toBe(null)
+  })
+
+  it('rejects SVG data URIs in the image URL check', () => {
+    expect(isValidImageUrl(svg('<svg xmlns="http://www.w3.org/2000/svg"/>'))).toBe(false)
+    expect(isValidImageUrl('data:image/png;base64,iVBORw0KGgo=')).toBe(true)
+  })
+
+  it('only accepts plain colors', () => {
+    ['#fbf3db', 'rgb(68, 131, 97)', 'rgba(0,0,0,0.5)', 'red', 'transparent'].forEach(color => expect(isSafeColor(color)).toBe(true))
+    ;['red;background:url(x)', 'expression(alert(1))', 'url(https://example.com)'].forEach(color => expect(isSafeColor(color)).toBe(false))
+  })
+})
+
+describe('SVG images', () => {
+  it('strips scripts, handlers and external links and keeps the drawing', () => {
+    const clean = sanitizeSvg(`<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" onload="alert(1)">
+      <script>alert(1)</script>
+      <foreignObject><iframe src="javascript:alert(1)"></iframe></foreignObject>
+      <a xlink:href="javascript:alert(1)"><circle r="5" fill="red" onclick="alert(1)"/></a>
+      <use href="#shape"/>
+      <animate attributeName="href" to="javascript:alert(1)"/>
+    </svg>`)
+
+    expect(clean).not.toMatch(SCRIPT_VECTORS)
+    expect(clean).toContain('<circle r="5" fill="red"/>')
+    expect(clean).toContain('<use href="#shape"/>')
+  })
+
+  it('re-encodes cleaned SVG data URIs', () => {
+    const src = sanitizeImageSrc(`data:image/svg+xml,${encodeURIComponent('<svg xmlns="http://www.w3.org/2000/svg" onload="alert(1)"><rect width="1" height="1"/></svg>')}`)
+
+    expect(src).toMatch(/^data:image\/svg\+xml;base64,/)
+    expect(decodeSvg(src)).toBe('<svg xmlns="http://www.w3.org/2000/svg"><rect width="1" height="1"/></svg>')
+  })
+
+  it('drops data URIs that are not SVG documents', () => {
+    expect(sanitizeImageSrc(svg('<html><script>alert(1)</script></html>'))).toBe(null)
+  })
+})
+
+describe('remote images', () => {
+  const html = '<p>Hi</p><img src="https://tracker.example/pixel.gif"><img src="data:image/png;base64,iVBORw0KGgo=">'
+
+  it('are kept by default', () => {
+    expect(sanitizeHTML(html)).toContain('https://tracker.example/pixel.gif')
+  })
+
+  it('can be blocked', () => {
+    const clean = sanitizeHTML(html, { allowRemoteImages: false })
+
+    expect(clean).not.toContain('tracker.example')
+    expect(clean).toContain('data:image/png')
+    expect(sanitizeImageSrc('//tracker.example/pixel.gif', { allowRemoteImages: false })).toBe(null)
+  })
+
+  it('are removed from the editor when blocked', () => {
+    createEditor(html, { allowRemoteImages: false })
+    expect(editor.getJSON().content.filter(node => node.type === 'image')).toHaveLength(1)
+
+    editor.commands.insertContent({ type: 'image', attrs: { src: 'https://tracker.example/other.gif' } })
+    expect(editor.getHTML()).not.toContain('tracker.example')
+  })
+
+  it('keep images from the page origin and allowed origins when blocked', () => {
+    const options = { allowRemoteImages: false, allowedImageOrigins: ['https://cdn.example.com'] }
+
+    expect(sanitizeImageSrc(`${window.location.origin}/uploads/a.png`, options)).toBe(`${window.location.origin}/uploads/a.png`)
+    expect(sanitizeImageSrc('/uploads/a.png', options)).toBe('/uploads/a.png')
+    expect(sanitizeImageSrc('https://cdn.example.com/a.png', options)).toBe('https://cdn.example.com/a.png')
+    expect(sanitizeImageSrc('https://cdn.example.com.evil.example/a.png', options)).toBe(null)
+  })
+
+  it('keep uploaded images from an allowed origin when blocked', async () => {
+    editor = new Editor({
+      extensions: getContentExtensions({
+        image: { uploadImage: async () => ({ src: 'https://cdn.example.com/shot.png' }) },
+        sanitize: { allowRemoteImages: false, allowedImageOrigins: ['https://cdn.example.com'] }
+      }),
+      content: '<p></p>'
+    })
+    const file = new File([new Uint8Array([137, 80, 78, 71])], 'shot.png', { type: 'image/png' })
+
+    expect(await uploadImageFile(editor, file)).toBe(true)
+    expect(editor.getJSON().content.find(node => node.type === 'image')?.attrs.src).toBe('https://cdn.example.com/shot.png')
+  })
+})
+
+describe('sanitizeDocument', () => {
+  it('removes unsafe images and links and resets unsafe colors', () => {
+    const doc = {
+      type: 'doc',
+      content: [
+        {
+          type: 'paragraph',
+          attrs: { backgroundColor: 'red;background:url(x)' },
+          content: [
+            { type: 'text', text: 'link', marks: [{ type: 'link', attrs: { href: 'javascript:alert(1)' } }, { type: 'bold' }] },
+            { type: 'text', text: 'color', marks: [{ type: 'textStyle', attrs: { color: 'expression(alert(1))' } }] }
+          ]
+        },
+        { type: 'image', attrs: { src: 'javascript:alert(1)' } }
+      ]
+    }
+
+    expect(sanitizeDocument(doc)).toEqual({
+      type: 'doc',
+      content: [
+        {
+          type: 'paragraph',
+          attrs: { backgroundColor: null },
+          content: [
+            { type: 'text', text: 'link', marks: [{ type: 'bold' }] },
+            { type: 'text', text: 'color', marks: [{ type: 'textStyle', attrs: { color: null } }] }
+          ]
+        }
+      ]
+    })
+  })
+
+  it('returns safe documents unchanged', () => {
+    const doc = { type: 'doc', content: [{ type: 'paragraph', attrs: { backgroundColor: '#fbf3db' }, content: [{ type: 'text', text: 'ok' }] }] }
+
+    expect(sanitizeDocument(doc)).toEqual(doc)
+  })
+
+  it('cleans JSON loaded into the editor', () => {
+    createEditor()
+    editor.commands.setContent({
+      type: 'doc',
+      content: [{ type: 'paragraph', content: [{ type: 'text', text: 'x', marks: [{ type: 'link', attrs: { href: 'javascript:alert(1)' } }] }] }]
+    })
+
+    expect(editor.getHTML()).toBe('<p>x</p>')
+  })
+})
@@ -3,6 +3,9 @@ import Suggestion from '@tiptap/suggestion'
 import tippy from 'tippy.js'
 import { VueRenderer } from '@tiptap/vue-3'
 import SlashCommandMenu from '../components/SlashCommandMenu.vue'
+import { insertTable } from '../extensions/tableExtension'
+import { requestMathDialog } from '../extensions/mathExtension'
+import { requestImageDialog } from '../extensions/imageExtension'
 
 /**
  * Slash Command Extension for Tiptap
@@ -21,6 +24,8 @@ export const commandItems = [
     title: 'Paragraph',
     description: 'Plain text paragraph',
     icon: '¶',
+    group: 'basic',
+    keywords: ['text', 'plain', 'p'],
     command: ({ editor, range }) => {
       editor.chain().focus().deleteRange(range).setParagraph().run()
     }
@@ -29,6 +34,8 @@ export const commandItems = [
     title: 'Heading 1',
     description: 'Large section heading',
     icon: 'H1',
+    group: 'basic',
+    keywords: ['h1', 'title', '#'],
     command: ({ editor, range }) => {
       editor.chain().focus().deleteRange(range).setHeading({ level: 1 }).run()
     }
@@ -37,6 +44,8 @@ export const commandItems = [
     title: 'Heading 2',
     description: 'Medium section heading',
     icon: 'H2',
+    group: 'basic',
+    keywords: ['h2', 'subtitle', '##'],
     command: ({ editor, range }) => {
       editor.chain().focus().deleteRange(range).setHeading({ level: 2 }).run()
     }
@@ -45,6 +54,8 @@ export const commandItems = [
     title: 'Heading 3',
     description: 'Small section heading',
     icon: 'H3',
+    group: 'basic',
+    keywords: ['h3', 'subheading', '###'],
     command: ({ editor, range }) => {
       editor.chain().focus().deleteRange(range).setHeading({ level: 3 }).run()
     }
@@ -53,6 +64,8 @@ export const commandItems = [
     title: 'Bullet List',
     description: 'Unordered list with bullets',
     icon: '•',
+    group: 'basic',
+    keywords: ['ul', 'unordered', 'bullets', '-'],
     command: ({ editor, range }) => {
       editor.chain().focus().deleteRange(range).toggleBulletList().run()
     }
@@ -61,30 +74,113 @@ export const commandItems = [
     title: 'Numbered List',
     description: 'Ordered list with numbers',
     icon: '1.',
+    group: 'basic',
+    keywords: ['ol', 'ordered', 'numbers', '1.'],
     command: ({ editor, range }) => {
       editor.chain().focus().deleteRange(range).toggleOrderedList().run()
     }
   },
+  {
+    title: 'Task List',
+    description: 'Checklist with checkboxes',
+    icon: '☑',
+    group: 'basic',
+    keywords: ['todo', 'checklist', 'checkbox', '[]'],
+    command: ({ editor, range }) => {
+      editor.chain().focus().deleteRange(range).toggleTaskList().run()
+    }
+  },
   {
     title: 'Code Block',
     description: 'Code snippet with syntax highlighting',
     icon: '</>',
+    group: 'advanced',
+    keywords: ['code', 'pre', 'snippet', '```'],
     command: ({ editor, range }) => {
       editor.chain().focus().deleteRange(range).setCodeBlock().run()
     }
   },
   {
     title: 'Blockquote',
-    description: 'Quote or callout block',
+    description: 'Quote block',
     icon: '"',
+    group: 'basic',
+    keywords: ['quote', 'citation', '>'],
     command: ({ editor, range }) => {
       editor.chain().focus().deleteRange(range).setBlockquote().run()
     }
   },
+  {
+    title: 'Callout',
+    description: 'Highlighted note with an icon',
+    icon: '💡',
+    group: 'advanced',
+    keywords: ['note', 'tip', 'warning', 'alert', 'info'],
+    command: ({ editor, range }) => {
+      editor.chain().focus().deleteRange(range).setCallout().run()
+    }
+  },
+  {
+    title: 'Image',
+    description: 'Upload or embed an image',
+    icon: '🖼',
+    group: 'media',
+    keywords: ['img', 'picture', 'photo', 'upload'],
+    command: ({ editor, range }) => {
+      editor.chain().focus().deleteRange(range).run()
+      requestImageDialog(editor)
+    }
+  },
+  {
+    title: 'Table',
+    description: 'Table with a header row',
+    icon: '▦',
+    group: 'advanced',
+    keywords: ['grid', 'rows', 'columns'],
+    command: ({ editor, range }) => {
+      editor.chain().focus().deleteRange(range).run()
+      // Same default size as the toolbar's table picker
+      insertTable(editor)
+    }
+  },
+  {
+    title: 'Table of Contents',
+    description: 'Linked list of the headings, kept up to date',
+    icon: '☰',
+    group: 'advanced',
+    keywords: ['toc', 'outline', 'contents', 'index'],
+    command: ({ editor, range }) => {
+      editor.chain().focus().deleteRange(range).insertTableOfContents().run()
+    }
+  },
+  {
+    title: 'Inline Formula',
+    description: 'LaTeX math within a line of text',
+    icon: '∑',
+    group: 'advanced',
+    keywords: ['math', 'latex', 'equation', '$'],
+    command: ({ editor, range }) => {
+      editor.chain().focus().deleteRange(range).run()
+      requestMathDialog(editor, false)
+    }
+  },
+  {
+    title: 'Block Formula',
+    description: 'Centered LaTeX math equation',
+    icon: '∫',
+    group: 'advanced',
+    keywords: ['math', 'latex', 'equation', '$$'],
+    command: ({ editor, range }) => {
+      editor.chain().focus().deleteRange(range).run()
+      requestMathDialog(editor, true)
+    }
+  },
   {
     title: 'Horizontal Rule',
     description: 'Visual divider line',
     icon: '—',
+    group: 'basic',
+    keywords: ['hr', 'divider', 'separator', 'line', '---'],
     command: ({ editor, range }) => {
       editor.chain().focus().deleteRange(range).setHorizontalRule().run()
     }
@@ -92,24 +188,278 @@ export const commandItems = [
 ]
 
 /**
- * Filter command items by query string
+ * Sections of the slash menu, in display order
+ */
+export const COMMAND_GROUPS = [
+  { id: 'basic', label: 'Basic blocks' },
+  { id: 'media', label: 'Media' },
+  { id: 'advanced', label: 'Advanced' }
+]
+
+/**
+ * How many recently used commands are remembered for ranking
+ */
+const RECENT_LIMIT = 5
+
+/**
+ * Remember that a command was used in an editor, so it ranks higher next time
+ * Each editor keeps its own list (editor.storage.slashCommand.recent).
+ *
+ * @param {Editor} editor - The editor instance
+ * @param {Object} item - The command item that was executed
+ */
+export function recordCommandUse(editor, item) {
+  const storage = editor.storage.slashCommand
+  storage.recent = [item.title, ...storage.recent.filter(title => title !== item.title)].slice(0, RECENT_LIMIT)
+}
+
+/**
+ * Ranking bonus for a recently used command
+ * Small enough that it only reorders items of similar match quality.
+ */
+function getRecencyBonus(item, recent) {
+  const index = recent.indexOf(item.title)
+  return index === -1 ? 0 : (RECENT_LIMIT - index) * 2
+}
+
+/**
+ * Score how well a query matches a piece of text
+ * Exact > prefix > word prefix > substring > fuzzy (characters in order).
+ *
+ * @param {string} query - Lowercase query
+ * @param {string} text - Text to match against
+ * @param {boolean} [fuzzy=true] - Whether to allow fuzzy matches
+ * @returns {number} Score, 0 when the text does not match
+ */
+export function scoreMatch(query, text, fuzzy = true) {
+  const value = text.toLowerCase()
+
+  if (value === query) return 100
+  if (value.startsWith(query)) return 80
+  if (value.split(/\s+/).some(word => word.startsWith(query))) return 60
+  if (value.includes(query)) return 40
+  if (!fuzzy) return 0
+
+  // Every query character must appear in order; fewer gaps score higher
+  let position = -1
+  let gaps = 0
+  for (const char of query) {
+    const next = value.indexOf(char, position + 1)
+    if (next === -1) return 0
+    if (position !== -1) gaps += next - position - 1
+    position = next
+  }
+  return Math.max(1, 20 - gaps)
+}
+
+/**
+ * Score a command item against a query
+ * Titles count most, then aliases/keywords; descriptions only match as substrings.
+ *
+ * @param {Object} item - Command item
+ * @param {string} query - Lowercase query
+ * @returns {number} Score, 0 when the item does not match
+ */
+function scoreCommand(item, query) {
+  const keywordScore = Math.max(0, ...(item.keywords || []).map(keyword => scoreMatch(query, keyword)))
+
+  return Math.max(
+    scoreMatch(query, item.title),
+    keywordScore * 0.9,
+    scoreMatch(query, item.description, false) * 0.5
+  )
+}
+
+/**
+ * Get the display position of a command's group
+ */
+function getGroupIndex(item, groups) {
+  const index = groups.findIndex(group => group.id === item.group)
+  return index === -1 ? groups.length : index
+}
+
+/**
+ * Filter and rank command items by query string
  * Requirement: 8.3 - Filter command list to show matching commands
- * 
+ *
+ * Without a query, items are listed by group, recently used first within each group.
+ * With a query, items are fuzzy matched on title, aliases and description and
+ * sorted by match quality, with recent use as a smaller bonus. Groups are kept
+ * together, ordered by their best match.
+ *
  * @param {string} query - The search query typed after "/"
- * @returns {Array} Filtered command items matching the query
+ * @param {Array} [items=commandItems] - Command items to search
+ * @param {Array} [groups=COMMAND_GROUPS] - Menu sections, in display order
+ * @param {Array<string>} [recent=[]] - Titles of recently used commands, most recent first
+ * @returns {Array} Matching command items, best first
  */
-export function filterCommands(query) {
-  if (!query) {
-    return commandItems
+export function filterCommands(query, items = commandItems, groups = COMMAND_GROUPS, recent = []) {
+  const lowerQuery = (query || '').trim().toLowerCase()
+
+  if (!lowerQuery) {
+    return items
+      .map((item, index) => ({ item, index, bonus: getRecencyBonus(item, recent) }))
+      .sort((a, b) => getGroupIndex(a.item, groups) - getGroupIndex(b.item, groups) || b.bonus - a.bonus || a.index - b.index)
+      .map(({ item }) => item)
   }
-  
-  const lowerQuery = query.toLowerCase()
-  
-  return commandItems.filter(item => {
-    const titleMatch = item.title.toLowerCase().includes(lowerQuery)
-    const descriptionMatch = item.description.toLowerCase().includes(lowerQuery)
-    return titleMatch || descriptionMatch
+
+  const ranked = items
+    .map((item, index) => ({ item, index, score: scoreCommand(item, lowerQuery) }))
+    .filter(({ score }) => score > 0)
+    .map(entry => ({ ...entry, score: entry.score + getRecencyBonus(entry.item, recent) }))
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .map(({ item }) => item)
+
+  // Keep each group together so keyboard navigation follows the menu sections
+  return groupCommands(ranked, groups).flatMap(section => section.items.map(({ item }) => item))
+}
+
+/**
+ * Split a ranked item list into menu sections
+ * Sections appear in the order of their best item, so the top match stays first.
+ *
+ * @param {Array} items - Ranked command items
+ * @param {Array} [groups=COMMAND_GROUPS] - Menu sections, for their labels
+ * @returns {Array<{ id: string, label: string, items: Array<{ item: Object, index: number }> }>}
+ *   Sections with each item's index in the flat list
+ */
+export function groupCommands(items, groups = COMMAND_GROUPS) {
+  const sections = []
+
+  items.forEach((item, index) => {
+    let section = sections.find(entry => entry.id === item.group)
+    if (!section) {
+      const group = groups.find(entry => entry.id === item.group)
+      section = { id: item.group, label: group?.label ?? 'Other', items: [] }
+      sections.push(section)
+    }
+    section.items.push({ item, index })
+  })
+
+  return sections
+}
+
+/**
+ * Merge custom command items into the built-in ones
+ * An item whose title matches a built-in command overrides its fields;
+ * { title, hidden: true } removes a command. Other items are added.
+ *
+ * @param {Array} customItems - Custom command items
+ * @param {Array} [baseItems=commandItems] - Items to merge into
+ * @returns {Array} Visible command items
+ */
+export function mergeCommandItems(customItems = [], baseItems = commandItems) {
+  const merged = [...baseItems]
+
+  customItems.forEach(custom => {
+    const index = merged.findIndex(item => item.title === custom.title)
+    if (index === -1) {
+      merged.push(custom)
+    } else {
+      merged[index] = { ...merged[index], ...custom }
+    }
+  })
+
+  return merged.filter(item => !item.hidden)
+}
+
+/**
+ * Merge custom menu sections into the built-in ones
+ * A group with a built-in id changes its label; new groups are added at the end.
+ *
+ * @param {Array} customGroups - Groups as { id, label }
+ * @returns {Array} Menu sections, in display order
+ */
+export function mergeCommandGroups(customGroups = []) {
+  const merged = [...COMMAND_GROUPS]
+
+  customGroups.forEach(custom => {
+    const index = merged.findIndex(group => group.id === custom.id)
+    if (index === -1) {
+      merged.push(custom)
+    } else {
+      merged[index] = { ...merged[index], ...custom }
+    }
   })
+
+  return merged
+}
+
+/**
+ * Resolve custom items, calling item providers
+ * A provider is a function ({ query, editor }) returning items or a promise of items.
+ * A failing provider is skipped so the rest of the menu still works.
+ *
+ * @param {Array|Function} items - Items and/or providers, or a single provider
+ * @param {Object} context - { query, editor }
+ * @returns {Promise<Array>} Command items
+ */
+export async function resolveCommandItems(items, context) {
+  const entries = typeof items === 'function' ? [items] : (items || [])
+
+  const resolved = await Promise.all(entries.map(async entry => {
+    if (typeof entry !== 'function') return [entry]
+    try {
+      return (await entry(context)) || []
+    } catch (error) {
+      console.warn('Slash command provider failed:', error)
+      return []
+    }
+  }))
+
+  return resolved.flat()
+}
+
+/**
+ * Get the slash menu items for a query
+ * Uses the editor's current configuration (see setSlashCommands).
+ *
+ * @param {Editor} editor - The editor instance
+ * @param {string} query - The search query typed after "/"
+ * @returns {Promise<Array>} Matching command items, best first
+ */
+export async function getSlashCommandItems(editor, query) {
+  const { items, filter, groups, recent } = editor.storage.slashCommand
+  const allItems = mergeCommandItems(await resolveCommandItems(items, { query, editor }))
+  const allGroups = mergeCommandGroups(groups)
+
+  if (filter) {
+    try {
+      const filtered = await filter(query, allItems, { editor, groups: allGroups })
+      // Keep each group together so keyboard navigation follows the menu sections
+      return groupCommands(filtered || [], allGroups).flatMap(section => section.items.map(({ item }) => item))
+    } catch (error) {
+      // A failing custom filter falls back to the built-in search
+      console.warn('Slash command filter failed:', error)
+    }
+  }
+  return filterCommands(query, allItems, allGroups, recent)
+}
+
+/**
+ * Request the slash menu items for a query
+ * Async providers can answer out of order, so only the items of the newest
+ * request become the menu's current items (see createSuggestionRenderer).
+ *
+ * @param {Object} context - { editor, query }
+ * @returns {Promise<Array>} Matching command items, best first
+ */
+async function requestSlashCommandItems({ editor, query }) {
+  const storage = editor.storage.slashCommand
+  const request = ++storage.itemsRequest
+  const items = await getSlashCommandItems(editor, query)
+  if (request === storage.itemsRequest) {
+    storage.currentItems = items
+  }
+  return items
+}
+
+/**
+ * Add the menu sections to the suggestion props
+ */
+function withSections(props) {
+  const groups = mergeCommandGroups(props.editor.storage.slashCommand.groups)
+  return { ...props, sections: groupCommands(props.items, groups) }
 }
 
 /**
@@ -121,15 +471,24 @@ export function filterCommands(query) {
 function createSuggestionRenderer() {
   let component
   let popup
-
   return {
+    /**
+     * Called before the items for a new menu are requested
+     */
+    onBeforeStart: (props) => {
+      props.editor.storage.slashCommand.currentItems = null
+    },
+
     /**
      * Called when suggestion is triggered (user types "/")
      * Requirement: 8.1 - Display command menu near cursor
      */
-    onStart: (props) => {
+    onStart: (startProps) => {
+      // Items of a newer query may have arrived first
+      const items = startProps.editor.storage.slashCommand.currentItems || startProps.items
+      const props = { ...startProps, items }
       component = new VueRenderer(SlashCommandMenu, {
-        props,
+        props: withSections(props),
         editor: props.editor
       })
 
@@ -156,7 +515,13 @@ function createSuggestionRenderer() {
      * Requirement: 8.3 - Filter command list
      */
     onUpdate: (props) => {
-      component.updateProps(props)
+      // Items of an earlier query that arrived after newer ones are dropped,
+      // and onStart picks up items that arrive before the menu exists
+      if (!component || props.items !== props.editor.storage.slashCommand.currentItems) {
+        return
+      }
+
+      component.updateProps(withSections(props))
 
       if (!props.clientRect) {
         return
@@ -188,9 +553,11 @@ function createSuggestionRenderer() {
     onExit: () => {
       if (popup) {
         popup[0].destroy()
+        popup = null
       }
       if (component) {
         component.destroy()
+        component = null
       }
     }
   }
@@ -201,23 +568,70 @@ function createSuggestionRenderer() {
  * 
  * Creates a Tiptap extension that triggers a command menu when "/" is typed
  * Requirements: 8.1, 8.2
+ *
+ * Options:
+ * - items: extra or overriding command items and/or async item providers
+ * - filter: (query, items, { editor, groups }) => items, replaces the built-in search (used again if it throws)
+ * - groups: extra or relabeled menu sections as { id, label }
+ *
+ * @example
+ * SlashCommand.configure({
+ *   items: [
+ *     { title: 'Jira Issue', description: 'Link a Jira issue', icon: '🎫', group: 'company', command: ({ editor, range }) => {} },
+ *     { title: 'Image', hidden: true },
+ *     async ({ query }) => fetchTemplates(query)
+ *   ],
+ *   groups: [{ id: 'company', label: 'Company' }]
+ * })
  */
 export const SlashCommand = Extension.create({
   name: 'slashCommand',
 
   addOptions() {
     return {
+      items: [],
+      filter: null,
+      groups: [],
       suggestion: {
         char: '/',
         command: ({ editor, range, props }) => {
+          recordCommandUse(editor, props)
           props.command({ editor, range })
         },
-        items: ({ query }) => filterCommands(query),
+        items: requestSlashCommandItems,
         render: createSuggestionRenderer
       }
     }
   },
 
+  // Current configuration, replaced at runtime with setSlashCommands,
+  // the titles of this editor's recently used commands, and the newest menu items
+  addStorage() {
+    return {
+      items: this.options.items,
+      filter: this.options.filter,
+      groups: this.options.groups,
+      recent: [],
+      itemsRequest: 0,
+      currentItems: null
+    }
+  },
+
+  addCommands() {
+    return {
+      /**
+       * Replace the custom slash commands
+       * @param {Object} config - { items, filter, groups }, same as the extension options
+       */
+      setSlashCommands: ({ items = [], filter = null, groups = [] } = {}) => ({ dispatch }) => {
+        if (dispatch) {
+          Object.assign(this.storage, { items, filter, groups })
+        }
+        return true
+      }
+    }
+  },
+
   addProseMirrorPlugins() {
     return [
       Suggestion({
@@ -0,0 +1,268 @@
+import { describe, it, expect, afterEach, vi } from 'vitest'
+import { Editor } from '@tiptap/core'
+import StarterKit from '@tiptap/starter-kit'
+import {
+  SlashCommand,
+  commandItems,
+  filterCommands,
+  groupCommands,
+  scoreMatch,
+  recordCommandUse,
+  mergeCommandItems,
+  mergeCommandGroups,
+  getSlashCommandItems,
+  COMMAND_GROUPS
+} from './slashCommand'
+import { TableExtensions, DEFAULT_TABLE_SIZE } from '../extensions/tableExtension'
+
+/**
+ * Tests for slash command search and custom commands
+ * Requirements: 8.3, 9.1, 9.2, 9.3
+ */
+
+function titles(items) {
+  return items.map(item => item.title)
+}
+
+function findItem(title) {
+  return commandItems.find(item => item.title === title)
+}
+
+describe('scoreMatch', () => {
+  it('ranks exact, prefix, word prefix, substring and fuzzy matches', () => {
+    const scores = [
+      scoreMatch('table', 'Table'),
+      scoreMatch('tab', 'Table'),
+      scoreMatch('list', 'Bullet List'),
+      scoreMatch('ullet', 'Bullet List'),
+      scoreMatch('blst', 'Bullet List')
+    ]
+
+    expect(scores).toEqual([...scores].sort((a, b) => b - a))
+    expect(scores.every(score => score > 0)).toBe(true)
+  })
+
+  it('does not match characters out of order', () => {
+    expect(scoreMatch('tsil', 'Bullet List')).toBe(0)
+  })
+
+  it('can disable fuzzy matching', () => {
+    expect(scoreMatch('blst', 'Bullet List', false)).toBe(0)
+  })
+})
+
+describe('filterCommands', () => {
+  it('lists every command by group without a query', () => {
+    const items = filterCommands('')
+    const groupOrder = items.map(item => COMMAND_GROUPS.findIndex(group => group.id === item.group))
+
+    expect(items).toHaveLength(commandItems.length)
+    expect(groupOrder).toEqual([...groupOrder].sort((a, b) => a - b))
+  })
+
+  it('matches aliases', () => {
+    expect(filterCommands('h1')[0].title).toBe('Heading 1')
+    expect(filterCommands('todo')[0].title).toBe('Task List')
+    expect(filterCommands('hr')[0].title).toBe('Horizontal Rule')
+  })
+
+  it('matches fuzzily', () => {
+    expect(titles(filterCommands('cdblk'))).toContain('Code Block')
+    expect(titles(filterCommands('hdng'))).toEqual(expect.arrayContaining(['Heading 1', 'Heading 2', 'Heading 3']))
+  })
+
+  it('ranks better matches first', () => {
+    expect(filterCommands('quote')[0].title).toBe('Blockquote')
+    expect(filterCommands('image')[0].title).toBe('Image')
+  })
+
+  it('returns nothing when no command matches', () => {
+    expect(filterCommands('zzzz')).toEqual([])
+  })
+
+  it('ranks recently used commands higher', () => {
+    expect(filterCommands('heading')[0].title).toBe('Heading 1')
+
+    const recent = ['Heading 3']
+    expect(filterCommands('heading', commandItems, COMMAND_GROUPS, recent)[0].title).toBe('Heading 3')
+    expect(filterCommands('', commandItems, COMMAND_GROUPS, recent)[0].title).toBe('Heading 3')
+  })
+
+  it('keeps groups together', () => {
+    const sections = groupCommands(filterCommands('math'))
+    const flatIndexes = sections.flatMap(section => section.items.map(({ index }) => index))
+
+    expect(flatIndexes).toEqual(flatIndexes.map((_, index) => index))
+  })
+})
+
+describe('groupCommands', () => {
+  it('labels sections', () => {
+    const labels = groupCommands(filterCommands('')).map(section => section.label)
+    expect(labels).toEqual(['Basic blocks', 'Media', 'Advanced'])
+  })
+
+  it('orders sections by their best match', () => {
+    const sections = groupCommands(filterCommands('img'))
+    expect(sections[0].id).toBe('media')
+  })
+})
+
+describe('command items', () => {
+  it('inserts a table of the default size', () => {
+    const editor = new Editor({ extensions: [StarterKit, ...TableExtensions], content: '<p>/table</p>' })
+    findItem('Table').command({ editor, range: { from: 1, to: 7 } })
+
+    const table = editor.getJSON().content.find(node => node.type === 'table')
+    expect(table.content).toHaveLength(DEFAULT_TABLE_SIZE.rows)
+    expect(table.content[0].content).toHaveLength(DEFAULT_TABLE_SIZE.cols)
+    expect(table.content[0].content[0].type).toBe('tableHeader')
+    expect(editor.getText()).not.toContain('/table')
+    editor.destroy()
+  })
+})
+
+describe('custom commands', () => {
+  let editor = null
+
+  function createEditor(options = {}) {
+    editor = new Editor({
+      extensions: [StarterKit, SlashCommand.configure(options)],
+      content: '<p></p>'
+    })
+    return editor
+  }
+
+  afterEach(() => {
+    editor?.destroy()
+    editor = null
+  })
+
+  const jiraItem = {
+    title: 'Jira Issue',
+    description: 'Link a Jira issue',
+    icon: '🎫',
+    group: 'company',
+    keywords: ['ticket'],
+    command: () => {}
+  }
+
+  it('adds, overrides and hides commands', () => {
+    const items = mergeCommandItems([
+      jiraItem,
+      { title: 'Table', description: 'Company table' },
+      { title: 'Image', hidden: true }
+    ])
+
+    expect(titles(items)).toContain('Jira Issue')
+    expect(titles(items)).not.toContain('Image')
+    expect(items.find(item => item.title === 'Table')).toMatchObject({ description: 'Company table', icon: '▦' })
+  })
+
+  it('adds and relabels groups', () => {
+    const groups = mergeCommandGroups([{ id: 'company', label: 'Company' }, { id: 'media', label: 'Files' }])
+
+    expect(groups.map(group => group.label)).toEqual(['Basic blocks', 'Files', 'Advanced', 'Company'])
+  })
+
+  it('searches configured items', async () => {
+    createEditor({ items: [jiraItem], groups: [{ id: 'company', label: 'Company' }] })
+
+    const items = await getSlashCommandItems(editor, 'ticket')
+    expect(items[0].title).toBe('Jira Issue')
+  })
+
+  it('resolves async item providers', async () => {
+    createEditor({
+      items: [
+        async ({ query }) => [{ ...jiraItem, title: `Template ${query}` }],
+        () => Promise.reject(new Error('offline'))
+      ]
+    })
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {})
+
+    const items = await getSlashCommandItems(editor, 'tem')
+    expect(items[0].title).toBe('Template tem')
+    expect(warn).toHaveBeenCalled()
+    warn.mockRestore()
+  })
+
+  it('keeps recently used commands per editor', async () => {
+    createEditor()
+    const other = new Editor({ extensions: [StarterKit, SlashCommand], content: '<p></p>' })
+
+    recordCommandUse(editor, findItem('Heading 3'))
+    expect((await getSlashCommandItems(editor, 'heading'))[0].title).toBe('Heading 3')
+    expect((await getSlashCommandItems(other, 'heading'))[0].title).toBe('Heading 1')
+    other.destroy()
+  })
+
+  it('shows the results of the latest query when providers answer out of order', async () => {
+    const answers = []
+    const provider = ({ query }) => new Promise(resolve => {
+      answers.push(() => resolve([{ ...jiraItem, title: `Result:${query}`, keywords: [query] }]))
+    })
+    editor = new Editor({
+      element: document.createElement('div'),
+      extensions: [StarterKit, SlashCommand.configure({ items: [provider] })],
+      content: '<p></p>'
+    })
+    const menuTitles = () => Array.from(document.querySelectorAll('.slash-command-menu .command-title'))
+      .map(title => title.textContent)
+    const tick = () => new Promise(resolve => setTimeout(resolve, 0))
+
+    editor.commands.insertContent('/')
+    await vi.waitFor(() => expect(answers).toHaveLength(1))
+    answers[0]()
+    await vi.waitFor(() => expect(menuTitles()).toContain('Result:'))
+
+    editor.commands.insertContent('a')
+    editor.commands.insertContent('b')
+    await vi.waitFor(() => expect(answers).toHaveLength(3))
+
+    // The earlier query answers while the newest one is still loading
+    answers[1]()
+    await tick()
+    expect(menuTitles()).toContain('Result:')
+    expect(menuTitles()).not.toContain('Result:a')
+
+    answers[2]()
+    await vi.waitFor(() => expect(menuTitles()).toContain('Result:ab'))
+  })
+
+  it('uses a custom filter', async () => {
+    const filter = vi.fn((query, items) => items.filter(item => item.title === 'Table'))
+    createEditor({ filter })
+
+    const items = await getSlashCommandItems(editor, 'x')
+    expect(titles(items)).toEqual(['Table'])
+    expect(filter).toHaveBeenCalledWith('x', expect.any(Array), expect.objectContaining({ editor }))
+  })
+
+  it('falls back to the built-in search when the custom filter fails', async () => {
+    createEditor({ filter: () => { throw new Error('broken') } })
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {})
+
+    const items = await getSlashCommandItems(editor, 'h1')
+    expect(items[0].title).toBe('Heading 1')
+    expect(warn).toHaveBeenCalled()
+    warn.mockRestore()
+  })
+
+  it('replaces the configuration at runtime', async () => {
+    createEditor({ items: [jiraItem] })
+    expect(titles(await getSlashCommandItems(editor, ''))).toContain('Jira Issue')
+
+    editor.commands.setSlashCommands({ items: [{ title: 'Table', hidden: true }] })
+    const items = titles(await getSlashCommandItems(editor, ''))
+    expect(items).not.toContain('Jira Issue')
+    expect(items).not.toContain('Table')
+  })
+
+  it('keeps the configuration when only checking setSlashCommands', async () => {
+    createEditor({ items: [jiraItem] })
+
+    expect(editor.can().setSlashCommands({ items: [] })).toBe(true)
+    expect(titles(await getSlashCommandItems(editor, ''))).toContain('Jira Issue')
+  })
+})
@@ -0,0 +1,117 @@
+/**
+ * Toolbar Configuration
+ *
+ * Helpers for the editor toolbar:
+ * - Formatting keyboard shortcuts for tooltips
+ * - Choosing which groups and buttons are shown (toolbar prop)
+ * - Splitting groups between the toolbar and the overflow menu when narrow
+ *
+ * Requirements: 7.3, 7.4
+ */
+
+/**
+ * Whether the current platform uses the Command key
+ */
+export function isMacPlatform() {
+  return typeof navigator !== 'undefined' && /Mac|iPhone|iPad|iPod/.test(navigator.platform || navigator.userAgent || '')
+}
+
+/**
+ * Key names shown for each modifier
+ */
+const MAC_KEYS = { Mod: '⌘', Shift: '⇧', Alt: '⌥', Ctrl: '⌃' }
+const PC_KEYS = { Mod: 'Ctrl', Shift: 'Shift', Alt: 'Alt', Ctrl: 'Ctrl' }
+
+/**
+ * Format a Tiptap shortcut for display
+ * e.g. "Mod-Shift-z" → "Ctrl+Shift+Z" or "⌘⇧Z"
+ *
+ * @param {string} shortcut - Shortcut in Tiptap notation
+ * @param {boolean} [mac=isMacPlatform()] - Use Mac symbols
+ * @returns {string} Display string
+ */
+export function formatShortcut(shortcut, mac = isMacPlatform()) {
+  if (!shortcut) return ''
+
+  const keys = mac ? MAC_KEYS : PC_KEYS
+  const parts = shortcut.split('-').map(part => keys[part] ?? (part.length === 1 ? part.toUpperCase() : part))
+  return parts.join(mac ? '' : '+')
+}
+
+/**
+ * Build a tooltip with the shortcut hint
+ *
+ * @param {string} title - Button label
+ * @param {string} [shortcut] - Shortcut in Tiptap notation
+ * @returns {string} Tooltip text
+ */
+export function getButtonTooltip(title, shortcut) {
+  return shortcut ? `${title} (${formatShortcut(shortcut)})` : title
+}
+
+/**
+ * Apply a toolbar configuration to the available groups
+ *
+ * The configuration is a list of entries, in display order:
+ * - 'lists' shows a whole group
+ * - { name: 'text-formatting', buttons: ['bold', 'italic'] } shows only some buttons
+ * Groups that are not listed are hidden. Without a configuration every group is shown.
+ *
+ * @param {Array} groups - All groups as { name, buttons }
+ * @param {Array} [config] - Toolbar configuration
+ * @returns {Array} Groups to show
+ */
+export function resolveToolbarGroups(groups, config) {
+  if (!config) return groups
+
+  return config
+    .map(entry => {
+      const name = typeof entry === 'string' ? entry : entry.name
+      const group = groups.find(candidate => candidate.name === name)
+      if (!group) return null
+
+      if (typeof entry === 'string' || !entry.buttons) return group
+      return {
+        ...group,
+        buttons: group.buttons.filter(button => entry.buttons.includes(button.name))
+      }
+    })
+    .filter(group => group && group.buttons.length > 0)
+}
+
+/**
+ * Split groups between the toolbar and the overflow menu
+ * Groups are kept in order; once one does not fit, it and every later group overflow.
+ *
+ * @param {Array} groups - Groups to show
+ * @param {number} availableWidth - Width of the toolbar content box
+ * @param {Object} widths - Measured width of each group by name
+ * @param {Object} [options]
+ * @param {number} [options.gap=8] - Space between groups
+ * @param {number} [options.overflowWidth=34] - Width of the overflow button
+ * @returns {{ visible: Array, overflow: Array }}
+ */
+export function splitToolbarGroups(groups, availableWidth, widths, { gap = 8, overflowWidth = 34 } = {}) {
+  const widthOf = group => widths[group.name] ?? 0
+  const totalWidth = groups.reduce((sum, group) => sum + widthOf(group), 0) + gap * Math.max(0, groups.length - 1)
+
+  if (totalWidth <= availableWidth) {
+    return { visible: groups, overflow: [] }
+  }
+
+  let usedWidth = overflowWidth
+  let count = 0
+  while (count < groups.length && usedWidth + widthOf(groups[count]) + gap <= availableWidth) {
+    usedWidth += widthOf(groups[count]) + gap
+    count++
+  }
+
+  return { visible: groups.slice(0, count), overflow: groups.slice(count) }
+}
+
+export default {
+  formatShortcut,
+  getButtonTooltip,
+  resolveToolbarGroups,
+  splitToolbarGroups
+}
@@ -0,0 +1,75 @@
+import { describe, it, expect } from 'vitest'
+import { formatShortcut, getButtonTooltip, resolveToolbarGroups, splitToolbarGroups } from './toolbarConfig'
+
+/**
+ * Tests for toolbar configuration helpers
+ * Requirements: 7.3, 7.4
+ */
+
+const groups = [
+  { name: 'history', buttons: [{ name: 'undo' }, { name: 'redo' }] },
+  { name: 'text-formatting', buttons: [{ name: 'bold' }, { name: 'italic' }, { name: 'code' }] },
+  { name: 'lists', buttons: [{ name: 'bulletList' }] }
+]
+
+function names(list) {
+  return list.map(group => group.name)
+}
+
+describe('formatShortcut', () => {
+  it('formats shortcuts for Windows and Linux', () => {
+    expect(formatShortcut('Mod-Shift-z', false)).toBe('Ctrl+Shift+Z')
+    expect(formatShortcut('Mod-Alt-1', false)).toBe('Ctrl+Alt+1')
+  })
+
+  it('formats shortcuts for Mac', () => {
+    expect(formatShortcut('Mod-Shift-z', true)).toBe('⌘⇧Z')
+  })
+
+  it('adds the shortcut to tooltips', () => {
+    expect(getButtonTooltip('Link')).toBe('Link')
+    expect(getButtonTooltip('Bold', 'Mod-b')).toMatch(/^Bold \((Ctrl\+B|⌘B)\)$/)
+  })
+})
+
+describe('resolveToolbarGroups', () => {
+  it('shows every group without a configuration', () => {
+    expect(resolveToolbarGroups(groups, null)).toBe(groups)
+  })
+
+  it('shows listed groups in the configured order', () => {
+    expect(names(resolveToolbarGroups(groups, ['lists', 'history']))).toEqual(['lists', 'history'])
+  })
+
+  it('limits the buttons of a group', () => {
+    const [group] = resolveToolbarGroups(groups, [{ name: 'text-formatting', buttons: ['bold', 'code'] }])
+    expect(names(group.buttons)).toEqual(['bold', 'code'])
+  })
+
+  it('drops unknown and empty groups', () => {
+    const resolved = resolveToolbarGroups(groups, ['missing', { name: 'lists', buttons: [] }, 'history'])
+    expect(names(resolved)).toEqual(['history'])
+  })
+})
+
+describe('splitToolbarGroups', () => {
+  const widths = { history: 80, 'text-formatting': 180, lists: 60 }
+
+  it('keeps every group when they fit', () => {
+    const { visible, overflow } = splitToolbarGroups(groups, 400, widths)
+    expect(names(visible)).toEqual(['history', 'text-formatting', 'lists'])
+    expect(overflow).toEqual([])
+  })
+
+  it('moves trailing groups to the overflow menu', () => {
+    const { visible, overflow } = splitToolbarGroups(groups, 320, widths)
+    expect(names(visible)).toEqual(['history', 'text-formatting'])
+    expect(names(overflow)).toEqual(['lists'])
+  })
+
+  it('keeps group order once a group overflows', () => {
+    const { visible, overflow } = splitToolbarGroups(groups, 150, widths)
+    expect(names(visible)).toEqual(['history'])
+    expect(names(overflow)).toEqual(['text-formatting', 'lists'])
+  })
+})